@@ -0,0 +1,361 @@
+/**
+ * API Contract
+ * Versioned JSON schemas for every request and response between the frontend
+ * (logic.js) and the server. Loaded as a plain script in the browser and with
+ * require() by the reference server, so both sides check the same rules.
+ */
+
+const ApiContract = (() => {
+    // Bump on any breaking change; both sides send it in the X-Contract-Version header
+    const VERSION = 1;
+    const VERSION_HEADER = 'X-Contract-Version';
+
+    // Schemas use a small JSON Schema subset: type (a name or a list of names),
+    // properties, required, additionalProperties: false, items, enum, minimum,
+    // maximum, minLength and anyOf
+    const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, 'null') });
+
+    const envelope = (data) => ({
+        type: 'object',
+        required: ['success', 'data'],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data
+        }
+    });
+
+    const Seconds = { type: 'number', minimum: 0 };
+
+    const VideoRecord = {
+        type: 'object',
+        required: ['id', 'filename', 'size'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            filename: { type: 'string' },
+            size: { type: 'integer', minimum: 0 },
+            duration: nullable(Seconds),
+            url: { type: 'string' }
+        }
+    };
+
+    const Range = {
+        type: 'object',
+        required: ['start', 'end'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string' },
+            start: Seconds,
+            end: Seconds
+        }
+    };
+
+    // One subtitle cue on the output timeline (already trimmed and re-timed by the client)
+    const Cue = {
+        type: 'object',
+        required: ['start', 'end', 'text'],
+        additionalProperties: false,
+        properties: {
+            start: Seconds,
+            end: Seconds,
+            text: { type: 'string', minLength: 1 }
+        }
+    };
+
+    // One chapter on the output timeline, from the client's markers
+    const Chapter = {
+        type: 'object',
+        required: ['start', 'end', 'title'],
+        additionalProperties: false,
+        properties: {
+            start: Seconds,
+            end: Seconds,
+            title: { type: 'string', minLength: 1 }
+        }
+    };
+
+    // Processing operations, in the order the server applies them
+    const OPERATION_TYPES = ['trim', 'merge', 'resize', 'compress', 'mute'];
+    const ENCODER_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+    const operation = (type, params = {}, required = []) => ({
+        type: 'object',
+        required: ['type'],
+        additionalProperties: false,
+        properties: {
+            type: { type: 'string', enum: [type] },
+            params: { type: 'object', required, additionalProperties: false, properties: params }
+        }
+    });
+
+    const Operation = {
+        anyOf: [
+            operation('trim'),
+            operation('merge'),
+            operation('resize', {
+                width: { type: 'integer', minimum: 16, maximum: 7680 },
+                height: { type: 'integer', minimum: 16, maximum: 4320 }
+            }, ['width', 'height']),
+            operation('compress', {
+                crf: { type: 'integer', minimum: 0, maximum: 51 },
+                preset: { type: 'string', enum: ENCODER_PRESETS }
+            }, ['crf', 'preset']),
+            operation('mute')
+        ]
+    };
+
+    // Output settings a branch carries; width and height are both set or both null
+    // (null keeps the first video's size). Resize and compress operations override them.
+    const OUTPUT_FORMATS = ['mp4', 'webm'];
+
+    const Preset = {
+        type: 'object',
+        required: ['format', 'crf', 'speed'],
+        additionalProperties: false,
+        properties: {
+            format: { type: 'string', enum: OUTPUT_FORMATS },
+            crf: { type: 'integer', minimum: 0, maximum: 51 },
+            speed: { type: 'string', enum: ENCODER_PRESETS },
+            width: nullable({ type: 'integer', minimum: 16, maximum: 7680 }),
+            height: nullable({ type: 'integer', minimum: 16, maximum: 4320 })
+        }
+    };
+
+    const Branch = {
+        type: 'object',
+        required: ['id', 'name', 'preset'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            preset: Preset
+        }
+    };
+
+    // What the client sends to create or edit a branch; the server picks the id
+    const BranchInput = {
+        type: 'object',
+        required: ['name', 'preset'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            preset: Preset
+        }
+    };
+
+    // Without `operations` the server trims the ranges and appends the second video;
+    // without `preset` it uses the one stored for `branch`; `subtitles` become a subtitle
+    // stream and `chapters` the output's chapter list
+    const ProcessRequest = {
+        type: 'object',
+        required: ['firstVideoId', 'secondVideoId', 'ranges', 'branch'],
+        additionalProperties: false,
+        properties: {
+            firstVideoId: { type: 'string', minLength: 1 },
+            secondVideoId: { type: ['string', 'null'], minLength: 1 },
+            startTime: nullable(Seconds),
+            endTime: nullable(Seconds),
+            ranges: { type: 'array', items: Range },
+            operations: { type: 'array', items: Operation },
+            branch: { type: 'string', minLength: 1 },
+            preset: Preset,
+            subtitles: { type: 'array', items: Cue },
+            chapters: { type: 'array', items: Chapter }
+        }
+    };
+
+    const ProcessResult = {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            processedUrl: { type: 'string' },
+            duration: nullable(Seconds)
+        }
+    };
+
+    const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+    const JobTicket = {
+        type: 'object',
+        required: ['jobId'],
+        properties: {
+            jobId: { type: 'string', minLength: 1 },
+            status: { type: 'string', enum: JOB_STATUSES }
+        }
+    };
+
+    const Job = {
+        type: 'object',
+        required: ['id', 'status', 'progress'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            status: { type: 'string', enum: JOB_STATUSES },
+            progress: { type: 'number', minimum: 0, maximum: 100 },
+            eta: nullable(Seconds),
+            result: nullable(ProcessResult),
+            error: { type: ['string', 'null'] }
+        }
+    };
+
+    const Health = {
+        type: 'object',
+        required: ['success'],
+        properties: {
+            success: { type: 'boolean' },
+            status: { type: 'string' }
+        }
+    };
+
+    // Keyed by "METHOD /path" as ApiService sees it (without the /api prefix);
+    // `message` is the schema of each Server-Sent Event
+    const endpoints = {
+        'GET /health': { response: Health },
+        'GET /branches': { response: envelope({ type: 'array', items: Branch }) },
+        'POST /branches': { request: BranchInput, response: envelope(Branch) },
+        'PUT /branches/:id': { request: BranchInput, response: envelope(Branch) },
+        'POST /videos/upload': { response: envelope(VideoRecord) },
+        'PATCH /videos/uploads/:id': { response: envelope(VideoRecord) },
+        'GET /videos/uploads/:id': { response: envelope(VideoRecord) },
+        // Job-based servers answer with a ticket; older ones with the finished result
+        'POST /videos/process': {
+            request: ProcessRequest,
+            response: envelope({ anyOf: [JobTicket, ProcessResult] })
+        },
+        'GET /jobs/:id': { response: envelope(Job) },
+        'DELETE /jobs/:id': { response: envelope(Job) },
+        'GET /jobs/:id/events': { message: Job }
+    };
+
+    const typeOf = (value) => {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    };
+
+    const matchesType = (type, value) => {
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return typeOf(value) === type;
+    };
+
+    const describe = value => (value === undefined ? 'undefined' : JSON.stringify(value));
+
+    // Every violation as "path: problem"; an empty list means the value conforms
+    const validate = (schema, value, path = '') => {
+        const at = path || '(root)';
+
+        if (schema.anyOf) {
+            const attempts = schema.anyOf.map(option => validate(option, value, path));
+            if (attempts.some(problems => problems.length === 0)) return [];
+            // Report the closest option rather than every alternative
+            return attempts.reduce((best, problems) => (problems.length < best.length ? problems : best));
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(type, value))) {
+                return [`${at}: expected ${types.join(' or ')}, got ${describe(value)}`];
+            }
+        }
+        if (value === null) return [];
+
+        const problems = [];
+        if (schema.enum && !schema.enum.includes(value)) {
+            problems.push(`${at}: must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}`);
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            problems.push(`${at}: must be at least ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            problems.push(`${at}: must be at most ${schema.maximum}, got ${value}`);
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            problems.push(`${at}: must not be empty`);
+        }
+
+        if (typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach((name) => {
+                if (value[name] === undefined) {
+                    problems.push(`${path ? `${path}.` : ''}${name}: is required`);
+                }
+            });
+            Object.keys(value).forEach((name) => {
+                const childPath = path ? `${path}.${name}` : name;
+                if (properties[name]) {
+                    if (value[name] !== undefined) {
+                        problems.push(...validate(properties[name], value[name], childPath));
+                    }
+                } else if (schema.additionalProperties === false) {
+                    problems.push(`${childPath}: is not part of contract v${VERSION}`);
+                }
+            });
+        }
+
+        if (typeOf(value) === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                problems.push(...validate(schema.items, item, `${path}[${index}]`));
+            });
+        }
+
+        return problems;
+    };
+
+    class ContractError extends Error {
+        constructor(endpoint, part, problems) {
+            super(`Contract v${VERSION} violation in ${endpoint} ${part}: ${problems.join('; ')}`);
+            this.name = 'ContractError';
+            this.endpoint = endpoint;
+            this.part = part;
+            this.problems = problems;
+        }
+    }
+
+    const compile = pattern => new RegExp(`^${pattern.replace(/:\w+/g, '[^/]+')}$`);
+    const routes = Object.keys(endpoints).map((key) => {
+        const [method, pattern] = key.split(' ');
+        return { key, method, regex: compile(pattern) };
+    });
+
+    // Contract key for a concrete request, e.g. ('GET', '/jobs/job_1') -> 'GET /jobs/:id'
+    const find = (method, path) => {
+        const pathname = path.split('?')[0];
+        const route = routes.find(candidate => candidate.method === method.toUpperCase() && candidate.regex.test(pathname));
+        return route ? route.key : null;
+    };
+
+    // Throws a ContractError when `value` breaks the schema for part
+    // ('request', 'response' or 'message'); endpoints without one pass
+    const check = (method, path, part, value) => {
+        const key = find(method, path);
+        const schema = key && endpoints[key][part];
+        if (!schema) return value;
+
+        const problems = validate(schema, value);
+        if (problems.length > 0) {
+            throw new ContractError(key, part, problems);
+        }
+        return value;
+    };
+
+    // A missing header means a server that predates versioning; its payloads are still checked
+    const isCompatible = version => version === null || version === undefined || Number(version) === VERSION;
+
+    return {
+        VERSION,
+        VERSION_HEADER,
+        OPERATION_TYPES,
+        ENCODER_PRESETS,
+        OUTPUT_FORMATS,
+        schemas: { VideoRecord, Range, Cue, Chapter, Operation, Preset, Branch, BranchInput, ProcessRequest, ProcessResult, Job },
+        endpoints,
+        validate,
+        find,
+        check,
+        isCompatible,
+        ContractError
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApiContract;
+}
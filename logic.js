@@ -8,78 +8,715 @@ const AppConfig = {
     API_BASE_URL: 'http://localhost:3000/api',
     MAX_FILE_SIZE: 100 * 1024 * 1024, // 100MB
     SUPPORTED_FORMATS: ['mp4', 'webm', 'ogg', 'mov', 'avi'],
-    RETRY_ATTEMPTS: 3,
-    RETRY_DELAY: 1000
+    RETRY_ATTEMPTS: 3, // Total attempts for idempotent calls
+    RETRY_DELAY: 1000, // Base backoff in ms, doubled per attempt with jitter
+    REQUEST_TIMEOUT: 15000,
+    DOWNLOAD_TIMEOUT: 120000,
+    DEFAULT_FRAME_RATE: 30, // Used until the real frame rate has been measured
+    TIMELINE_BASE_FRAMES: 60, // Thumbnails across the whole video at zoom 1
+    TIMELINE_MAX_FRAMES: 600,
+    TIMELINE_MIN_ZOOM: 0.25,
+    TIMELINE_MAX_ZOOM: 32,
+    SEEK_TIMEOUT: 4000, // Give up on a seek that never fires 'seeked'
+    THUMBNAIL_TYPE: 'image/jpeg',
+    THUMBNAIL_QUALITY: 0.7,
+    UPLOAD_CHUNK_SIZE: 5 * 1024 * 1024, // Bytes per PATCH for resumable uploads
+    JOB_UPDATES: 'auto', // 'sse', 'poll' or 'auto' (SSE with polling fallback)
+    JOB_POLL_INTERVAL: 2000,
+    PROCESSING_MODE: 'auto', // 'remote' (server), 'local' (in the browser) or 'auto' (local when the server is down)
+    HEALTH_TIMEOUT: 3000,
+    HEALTH_CHECK_TTL: 30000, // How long an 'auto' decision is reused
+    HISTORY_LIMIT: 100, // Undo steps kept
+    SESSION_SAVE_DELAY: 500, // Debounce for writing the session to IndexedDB
+    WAVEFORM_RESOLUTION: 200, // Peak buckets per second of audio
+    SILENCE_THRESHOLD: 0.01, // RMS below this (about -40 dBFS) counts as silence
+    SILENCE_SNAP_WINDOW: 0.5, // Seconds a selection edge may move to reach silence
+    SCENE_SAMPLE_RATE: 4, // Frames compared per second of video when looking for cuts
+    SCENE_MAX_SAMPLES: 1500, // Long videos are sampled more sparsely
+    SCENE_MIN_THRESHOLD: 0.1, // Lowest threshold offered; weaker changes are not kept
+    SCENE_MIN_LENGTH: 1, // Seconds between two cuts (flashes and fades count once)
+    EXPORT_QUALITY: 0.92, // JPEG and WebP quality of exported frames
+    EXPORT_TILE_WIDTH: 320, // Width of one frame on a contact or sprite sheet
+    EXPORT_MAX_FRAMES: 1000, // Most images one sequence export may write
+    ANIMATION_MAX_FRAMES: 300, // Most frames in one GIF or WebP clip (all are held in memory)
+    LONG_PRESS_DELAY: 450, // Touch hold (ms) that starts a timeline selection
+    TOUCH_SLOP: 8, // Finger movement (px) that turns a press into a pan
+    PINCH_ZOOM_STEP: 1.25 // Pinch ratio per timeline zoom step
 };
 
+// Time Code Utilities
+const TimeCode = (() => {
+    // Common broadcast rates, used to clean up measured frame rates
+    const STANDARD_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60, 120];
+
+    const normalizeFrameRate = (fps) => {
+        if (!fps || !isFinite(fps) || fps <= 0) return AppConfig.DEFAULT_FRAME_RATE;
+        const standard = STANDARD_RATES.find(rate => Math.abs(rate - fps) / rate < 0.005);
+        return standard || Math.round(fps * 1000) / 1000;
+    };
+
+    // Round seconds to the nearest frame boundary
+    const snapToFrame = (seconds, fps) => {
+        const rate = fps || AppConfig.DEFAULT_FRAME_RATE;
+        return Math.round(seconds * rate) / rate;
+    };
+
+    // "HH:MM:SS" or "HH:MM:SS.mmm" for time inputs
+    const toClock = (seconds) => {
+        const totalMs = Math.round(seconds * 1000);
+        const hours = Math.floor(totalMs / 3600000);
+        const mins = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        const clock = `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        return ms ? `${clock}.${ms.toString().padStart(3, '0')}` : clock;
+    };
+
+    // Parse "[HH:]MM:SS[.mmm]" into seconds, or null when it is not a clock value
+    const parseClock = (value) => {
+        const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec((value || '').trim());
+        if (!match) return null;
+        const [, hours = '0', mins, secs] = match;
+        return Number(hours) * 3600 + Number(mins) * 60 + Number(secs);
+    };
+
+    // Drop-frame timecode skips frame numbers 0 and 1 (0-3 at 59.94) every minute except
+    // every tenth, so 29.97 fps timecode keeps up with the wall clock
+    const isDropFrameRate = fps => Math.abs(fps - 29.97) < 0.01 || Math.abs(fps - 59.94) < 0.01;
+
+    // SMPTE "HH:MM:SS:FF" (";FF" for drop-frame rates)
+    const toTimecode = (seconds, fps) => {
+        const rate = fps || AppConfig.DEFAULT_FRAME_RATE;
+        const nominal = Math.round(rate);
+        let frame = Math.round(seconds * rate);
+        const dropFrame = isDropFrameRate(rate);
+
+        if (dropFrame) {
+            const dropped = Math.round(rate * 0.066666);
+            const perTenMinutes = Math.round(rate * 600);
+            const perMinute = nominal * 60 - dropped;
+            const tens = Math.floor(frame / perTenMinutes);
+            const rest = frame % perTenMinutes;
+            frame += dropped * 9 * tens + (rest > dropped ? dropped * Math.floor((rest - dropped) / perMinute) : 0);
+        }
+
+        const pad = value => value.toString().padStart(2, '0');
+        const hours = Math.floor(frame / (nominal * 3600));
+        const mins = Math.floor(frame / (nominal * 60)) % 60;
+        const secs = Math.floor(frame / nominal) % 60;
+        return `${pad(hours)}:${pad(mins)}:${pad(secs)}${dropFrame ? ';' : ':'}${pad(frame % nominal)}`;
+    };
+
+    // Seconds from "HH:MM:SS:FF", or null when it is not a valid timecode; either
+    // separator is accepted, drop-frame counting follows the rate
+    const parseTimecode = (value, fps) => {
+        const match = /^(\d+):(\d{1,2}):(\d{1,2})([:;])(\d{1,2})$/.exec((value || '').trim());
+        if (!match) return null;
+        const rate = fps || AppConfig.DEFAULT_FRAME_RATE;
+        const nominal = Math.round(rate);
+        const [hours, mins, secs, frames] = [match[1], match[2], match[3], match[5]].map(Number);
+        if (mins > 59 || secs > 59 || frames >= nominal) return null;
+
+        let frame = ((hours * 60 + mins) * 60 + secs) * nominal + frames;
+        if (isDropFrameRate(rate)) {
+            const dropped = Math.round(rate * 0.066666);
+            const totalMinutes = hours * 60 + mins;
+            frame -= dropped * (totalMinutes - Math.floor(totalMinutes / 10));
+        }
+        return frame / rate;
+    };
+
+    // Everything the time inputs accept: plain seconds ("12.5", "12.5s"), milliseconds
+    // ("12500ms"), clock time ("[HH:]MM:SS[.mmm]") and SMPTE timecode ("HH:MM:SS:FF")
+    const parse = (value, fps) => {
+        const text = (value || '').trim().toLowerCase();
+        const number = /^(\d+(?:\.\d+)?|\.\d+)\s*(ms|s)?$/.exec(text);
+        if (number) {
+            return number[2] === 'ms' ? Number(number[1]) / 1000 : Number(number[1]);
+        }
+        const timecode = parseTimecode(text, fps);
+        return timecode !== null ? timecode : parseClock(text);
+    };
+
+    return {
+        normalizeFrameRate,
+        snapToFrame,
+        toClock,
+        parseClock,
+        toTimecode,
+        parseTimecode,
+        parse
+    };
+})();
+
+// API Error: a failed API call classified by what went wrong
+class ApiError extends Error {
+    // kind: 'network' (no response), 'timeout', 'client' (4xx), 'server' (5xx)
+    // or 'contract' (a payload that breaks ApiContract)
+    constructor(message, { kind, status = null, endpoint = null, retryAfter = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.retryAfter = retryAfter;
+        this.cause = cause;
+    }
+
+    // Failures that may succeed on a later attempt
+    get retryable() {
+        return this.kind === 'network'
+            || this.kind === 'timeout'
+            || this.kind === 'server'
+            || this.status === 408
+            || this.status === 429;
+    }
+}
+
 // API Service Module
 const ApiService = (() => {
     const headers = {
         'Content-Type': 'application/json',
+        [ApiContract.VERSION_HEADER]: String(ApiContract.VERSION)
+    };
+
+    const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+    const retryListeners = [];
+
+    // Seconds from a Retry-After header, or null
+    const parseRetryAfter = (response) => {
+        const value = response.headers.get('Retry-After');
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return seconds;
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+    };
+
+    const toHttpError = async (response, endpoint) => {
+        const body = await response.clone().json().catch(() => ({}));
+        const kind = response.status >= 500 ? 'server' : 'client';
+        const message = body.message || `HTTP ${response.status}`;
+        return new ApiError(kind === 'server' ? `Server error (${response.status}): ${message}` : message, {
+            kind,
+            status: response.status,
+            endpoint,
+            retryAfter: parseRetryAfter(response)
+        });
     };
 
-    const handleResponse = async (response) => {
+    const handleResponse = async (response, endpoint) => {
         if (!response.ok) {
-            const error = await response.json().catch(() => ({ message: 'Network error' }));
-            throw new Error(error.message || `HTTP ${response.status}`);
+            throw await toHttpError(response, endpoint);
+        }
+        const version = response.headers.get(ApiContract.VERSION_HEADER);
+        if (!ApiContract.isCompatible(version)) {
+            throw new ApiError(`Server uses API contract v${version}, this page expects v${ApiContract.VERSION}`, {
+                kind: 'contract',
+                status: response.status,
+                endpoint
+            });
         }
-        return response.json();
+        return response.status === 204 ? null : response.json();
     };
 
+    // Payloads that break the shared schemas fail here instead of deep inside the app
+    const checkContract = (method, endpoint, part, value) => {
+        try {
+            return ApiContract.check(method, endpoint, part, value);
+        } catch (error) {
+            if (!(error instanceof ApiContract.ContractError)) throw error;
+            throw new ApiError(error.message, { kind: 'contract', endpoint, cause: error });
+        }
+    };
+
+    // Exponential backoff with jitter, unless the server said when to come back
+    const backoffDelay = (attempt, retryAfter) => {
+        if (retryAfter !== null && retryAfter !== undefined) {
+            return retryAfter * 1000;
+        }
+        const base = AppConfig.RETRY_DELAY * Math.pow(2, attempt - 1);
+        return Math.round(base / 2 + Math.random() * (base / 2));
+    };
+
+    const wait = (ms, signal) => new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Request cancelled', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) {
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+
+    const notifyRetry = (details) => {
+        retryListeners.forEach(listener => listener(details));
+    };
+
+    // One fetch with its own timeout; the caller's signal cancels it as an AbortError
+    const fetchOnce = async (url, init, { endpoint, timeout, signal }) => {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        const onAbort = () => controller.abort();
+
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            return await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw new DOMException('Request cancelled', 'AbortError');
+            }
+            if (timedOut) {
+                const limit = timeout >= 1000 ? `${Math.round(timeout / 1000)}s` : `${timeout}ms`;
+                throw new ApiError(`Request timed out after ${limit}`, { kind: 'timeout', endpoint });
+            }
+            throw new ApiError('Cannot reach the server', { kind: 'network', endpoint, cause: error });
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    };
+
+    // Request policy shared by every call. policy: { endpoint, timeout, signal, attempts,
+    // idempotent, acceptStatus }. Idempotent methods are retried up to `attempts` times in
+    // total; acceptStatus(status) lets callers handle expected non-2xx answers themselves.
+    const fetchWithPolicy = async (url, init = {}, policy = {}) => {
+        const method = (init.method || 'GET').toUpperCase();
+        const endpoint = policy.endpoint || url;
+        const idempotent = policy.idempotent !== undefined ? policy.idempotent : IDEMPOTENT_METHODS.includes(method);
+        const maxAttempts = idempotent ? Math.max(1, policy.attempts || AppConfig.RETRY_ATTEMPTS) : 1;
+        const timeout = policy.timeout !== undefined ? policy.timeout : AppConfig.REQUEST_TIMEOUT;
+        const acceptStatus = policy.acceptStatus || (() => false);
+
+        for (let attempt = 1; ; attempt++) {
+            let error;
+            try {
+                const response = await fetchOnce(url, init, { endpoint, timeout, signal: policy.signal });
+                if (response.ok || acceptStatus(response.status)) {
+                    return response;
+                }
+                error = await toHttpError(response, endpoint);
+            } catch (caught) {
+                if (!(caught instanceof ApiError)) throw caught;
+                error = caught;
+            }
+
+            if (!error.retryable || attempt >= maxAttempts) {
+                throw error;
+            }
+
+            const delay = backoffDelay(attempt, error.retryAfter);
+            notifyRetry({ endpoint, attempt, maxAttempts, delay, error });
+            await wait(delay, policy.signal);
+        }
+    };
+
+    // options: fetch init plus the policy fields (timeout, signal, attempts, idempotent)
     const request = async (endpoint, options = {}) => {
+        const { timeout, signal, attempts, idempotent, ...init } = options;
         const url = `${AppConfig.API_BASE_URL}${endpoint}`;
         try {
-            const response = await fetch(url, {
-                ...options,
-                headers: { ...headers, ...options.headers }
-            });
-            return await handleResponse(response);
+            const response = await fetchWithPolicy(url, {
+                ...init,
+                headers: { ...headers, ...init.headers }
+            }, { endpoint, timeout, signal, attempts, idempotent });
+            const body = await handleResponse(response, endpoint);
+            return checkContract(init.method || 'GET', endpoint, 'response', body);
         } catch (error) {
             console.error(`API Error: ${endpoint}`, error);
             throw error;
         }
     };
 
-    return {
-        get: (endpoint) => request(endpoint, { method: 'GET' }),
-        post: (endpoint, data) => request(endpoint, {
-            method: 'POST',
-            body: JSON.stringify(data)
-        }),
-        put: (endpoint, data) => request(endpoint, {
-            method: 'PUT',
-            body: JSON.stringify(data)
-        }),
-        delete: (endpoint) => request(endpoint, { method: 'DELETE' }),
-        upload: async (endpoint, file, onProgress) => {
-            const formData = new FormData();
-            formData.append('file', file);
-
-            return new Promise((resolve, reject) => {
-                const xhr = new XMLHttpRequest();
-
-                xhr.upload.addEventListener('progress', (e) => {
-                    if (e.lengthComputable && onProgress) {
-                        const percentComplete = (e.loaded / e.total) * 100;
-                        onProgress(percentComplete);
-                    }
-                });
+    // JSON bodies are checked against the contract before they leave
+    const sendJson = async (method, endpoint, data, options) => request(endpoint, {
+        ...options,
+        method,
+        body: JSON.stringify(checkContract(method, endpoint, 'request', data))
+    });
+
+    // Single-shot multipart upload; abort() cancels it
+    const sendMultipart = (endpoint, file, onProgress) => {
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const xhr = new XMLHttpRequest();
+        const promise = new Promise((resolve, reject) => {
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable && onProgress) {
+                    const percentComplete = (e.loaded / e.total) * 100;
+                    onProgress(percentComplete);
+                }
+            });
 
-                xhr.addEventListener('load', () => {
-                    if (xhr.status === 200) {
-                        resolve(JSON.parse(xhr.responseText));
-                    } else {
-                        reject(new Error(`Upload failed: ${xhr.status}`));
+            xhr.addEventListener('load', () => {
+                if (xhr.status === 200) {
+                    try {
+                        resolve(checkContract('POST', endpoint, 'response', JSON.parse(xhr.responseText)));
+                    } catch (error) {
+                        reject(error);
                     }
-                });
+                } else {
+                    reject(new Error(`Upload failed: ${xhr.status}`));
+                }
+            });
+
+            xhr.addEventListener('error', () => {
+                reject(new Error('Upload failed'));
+            });
+
+            xhr.addEventListener('abort', () => {
+                reject(new DOMException('Upload cancelled', 'AbortError'));
+            });
+
+            xhr.open('POST', `${AppConfig.API_BASE_URL}${endpoint}`);
+            xhr.send(formData);
+        });
+
+        return { promise, abort: () => xhr.abort() };
+    };
+
+    // Resumable uploads follow the tus protocol: OPTIONS advertises support,
+    // POST creates an upload, HEAD reports its offset, PATCH appends a chunk
+    const UPLOADS_ENDPOINT = '/videos/uploads';
+    const UPLOAD_RESOURCE = `${UPLOADS_ENDPOINT}/:id`;
+    const TUS_VERSION = '1.0.0';
+    const UPLOAD_RECORD_PREFIX = 'videoimg:upload:';
+
+    const tusHeaders = (extra = {}) => ({ 'Tus-Resumable': TUS_VERSION, ...extra });
+
+    const resolveUploadUrl = (location) => new URL(location, `${AppConfig.API_BASE_URL}/`).href;
 
-                xhr.addEventListener('error', () => {
-                    reject(new Error('Upload failed'));
+    const encodeMetadataValue = (value) => {
+        const bytes = new TextEncoder().encode(value);
+        return btoa(String.fromCharCode(...bytes));
+    };
+
+    let uploadCapabilities = null;
+
+    const getUploadCapabilities = async () => {
+        if (!uploadCapabilities) {
+            try {
+                // A single attempt: a missing server simply means single-shot uploads
+                const response = await fetchWithPolicy(`${AppConfig.API_BASE_URL}${UPLOADS_ENDPOINT}`, { method: 'OPTIONS' }, {
+                    endpoint: UPLOADS_ENDPOINT,
+                    attempts: 1,
+                    acceptStatus: () => true
                 });
+                uploadCapabilities = {
+                    resumable: response.ok && response.headers.has('Tus-Resumable'),
+                    maxSize: Number(response.headers.get('Tus-Max-Size')) || null
+                };
+            } catch (error) {
+                // Unknown for now; ask again on the next upload
+                return { resumable: false, maxSize: null };
+            }
+        }
+        return uploadCapabilities;
+    };
 
-                xhr.open('POST', `${AppConfig.API_BASE_URL}${endpoint}`);
-                xhr.send(formData);
+    // Upload URL and last confirmed offset per file fingerprint survive reloads
+    const uploadRecords = {
+        load: (fingerprint) => {
+            try {
+                return JSON.parse(localStorage.getItem(UPLOAD_RECORD_PREFIX + fingerprint));
+            } catch (error) {
+                return null;
+            }
+        },
+        save: (fingerprint, record) => {
+            try {
+                localStorage.setItem(UPLOAD_RECORD_PREFIX + fingerprint, JSON.stringify(record));
+            } catch (error) {
+                console.warn('Could not persist upload offset:', error);
+            }
+        },
+        clear: (fingerprint) => {
+            try {
+                localStorage.removeItem(UPLOAD_RECORD_PREFIX + fingerprint);
+            } catch (error) {
+                // Nothing persisted
+            }
+        }
+    };
+
+    const createRemoteUpload = async (file) => {
+        const response = await fetchWithPolicy(`${AppConfig.API_BASE_URL}${UPLOADS_ENDPOINT}`, {
+            method: 'POST',
+            headers: tusHeaders({
+                'Upload-Length': String(file.size),
+                'Upload-Metadata': `filename ${encodeMetadataValue(file.name)},filetype ${encodeMetadataValue(file.type || 'application/octet-stream')}`
+            })
+        }, { endpoint: UPLOADS_ENDPOINT });
+        const location = response.headers.get('Location');
+        if (response.status !== 201 || !location) {
+            throw new Error(`Could not start upload: HTTP ${response.status}`);
+        }
+        return resolveUploadUrl(location);
+    };
+
+    // Confirmed offset of an upload, or null when the server no longer knows it
+    const fetchUploadOffset = async (url) => {
+        const response = await fetchWithPolicy(url, { method: 'HEAD', headers: tusHeaders() }, {
+            endpoint: UPLOADS_ENDPOINT,
+            acceptStatus: status => status === 404 || status === 410
+        });
+        if (!response.ok) return null;
+        return Number(response.headers.get('Upload-Offset')) || 0;
+    };
+
+    const patchChunk = (url, offset, chunk, onChunkProgress) => {
+        const xhr = new XMLHttpRequest();
+        const promise = new Promise((resolve, reject) => {
+            xhr.upload.addEventListener('progress', (e) => onChunkProgress(e.loaded));
+
+            xhr.addEventListener('load', () => {
+                if (xhr.status === 409) {
+                    // Offset mismatch: the caller re-reads the offset and continues from there
+                    resolve({ conflict: true });
+                } else if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve({
+                        offset: Number(xhr.getResponseHeader('Upload-Offset')),
+                        body: xhr.responseText ? JSON.parse(xhr.responseText) : null
+                    });
+                } else {
+                    reject(new ApiError(`Chunk upload failed: HTTP ${xhr.status}`, {
+                        kind: xhr.status >= 500 ? 'server' : 'client',
+                        status: xhr.status,
+                        endpoint: UPLOADS_ENDPOINT
+                    }));
+                }
+            });
+
+            xhr.addEventListener('error', () => {
+                reject(new ApiError('Chunk upload failed: cannot reach the server', { kind: 'network', endpoint: UPLOADS_ENDPOINT }));
+            });
+
+            xhr.addEventListener('abort', () => {
+                reject(new DOMException('Upload interrupted', 'AbortError'));
             });
+
+            xhr.open('PATCH', url);
+            Object.entries(tusHeaders({
+                'Upload-Offset': String(offset),
+                'Content-Type': 'application/offset+octet-stream'
+            })).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            xhr.send(chunk);
+        });
+
+        return { promise, abort: () => xhr.abort() };
+    };
+
+    // Upload task shared by both transports: start() returns a promise for the
+    // server response; pause/resume only exist for resumable uploads
+    const createUploadTask = (file, { fingerprint, resumable, onProgress }) => {
+        const listeners = { progress: [], state: [] };
+        let state = 'idle';
+        let current = null;
+        let uploadUrl = null;
+        let settle = null;
+        let done = null;
+        let runId = 0; // A pause during a HEAD/POST must not leave two loops running after resume
+
+        const emit = (event, value) => listeners[event].forEach(listener => listener(value));
+
+        const setState = (next) => {
+            state = next;
+            emit('state', next);
+        };
+
+        const report = (loaded) => {
+            const percent = file.size ? Math.min(100, (loaded / file.size) * 100) : 100;
+            if (onProgress) onProgress(percent);
+            emit('progress', percent);
+        };
+
+        const runSingleShot = async () => {
+            current = sendMultipart('/videos/upload', file, report);
+            return current.promise;
+        };
+
+        const runResumable = async (id) => {
+            const record = uploadRecords.load(fingerprint);
+            let offset = 0;
+
+            if (!uploadUrl && record && record.size === file.size) {
+                uploadUrl = record.url;
+            }
+            if (uploadUrl) {
+                const serverOffset = await fetchUploadOffset(uploadUrl);
+                if (serverOffset === null) {
+                    uploadUrl = null;
+                } else {
+                    offset = serverOffset;
+                }
+            }
+            if (!uploadUrl) {
+                uploadUrl = await createRemoteUpload(file);
+                uploadRecords.save(fingerprint, { url: uploadUrl, size: file.size, offset: 0 });
+            }
+
+            report(offset);
+            let failedAttempts = 0;
+
+            for (;;) {
+                if (id !== runId || state !== 'uploading') {
+                    throw new DOMException('Upload interrupted', 'AbortError');
+                }
+                const chunkStart = offset;
+                const chunk = file.slice(chunkStart, chunkStart + AppConfig.UPLOAD_CHUNK_SIZE);
+                current = patchChunk(uploadUrl, chunkStart, chunk, loaded => report(chunkStart + loaded));
+
+                let response;
+                try {
+                    response = await current.promise;
+                    failedAttempts = 0;
+                } catch (error) {
+                    // A chunk is safe to resend from the confirmed offset, so it follows the retry policy
+                    if (!(error instanceof ApiError) || !error.retryable || ++failedAttempts >= AppConfig.RETRY_ATTEMPTS) {
+                        throw error;
+                    }
+                    const delay = backoffDelay(failedAttempts);
+                    notifyRetry({ endpoint: UPLOADS_ENDPOINT, attempt: failedAttempts, maxAttempts: AppConfig.RETRY_ATTEMPTS, delay, error });
+                    await wait(delay);
+                    response = { conflict: true };
+                }
+                current = null;
+
+                if (response.conflict) {
+                    offset = (await fetchUploadOffset(uploadUrl)) || 0;
+                    continue;
+                }
+
+                offset = response.offset;
+                uploadRecords.save(fingerprint, { url: uploadUrl, size: file.size, offset });
+                report(offset);
+
+                if (offset >= file.size) {
+                    uploadRecords.clear(fingerprint);
+                    // The final PATCH carries the video record; older servers answer 204 and serve it on GET
+                    if (response.body) return checkContract('PATCH', UPLOAD_RESOURCE, 'response', response.body);
+                    const finished = await fetchWithPolicy(uploadUrl, { headers: tusHeaders() }, { endpoint: UPLOADS_ENDPOINT });
+                    return checkContract('GET', UPLOAD_RESOURCE, 'response', await handleResponse(finished, UPLOADS_ENDPOINT));
+                }
+            }
+        };
+
+        const run = async () => {
+            const id = ++runId;
+            setState('uploading');
+            try {
+                const response = await (resumable ? runResumable(id) : runSingleShot());
+                if (id !== runId) return;
+                setState('completed');
+                settle.resolve(response);
+            } catch (error) {
+                // A pause interrupts the request on purpose; the task waits for resume()
+                if (id !== runId || state === 'paused' || state === 'cancelled') return;
+                current = null;
+                setState('failed');
+                settle.reject(error);
+            }
+        };
+
+        return {
+            resumable,
+            getState: () => state,
+            on: (event, listener) => {
+                listeners[event].push(listener);
+            },
+            start: () => {
+                if (!done) {
+                    done = new Promise((resolve, reject) => {
+                        settle = { resolve, reject };
+                    });
+                    run();
+                }
+                return done;
+            },
+            pause: () => {
+                if (!resumable || state !== 'uploading') return;
+                setState('paused');
+                if (current) current.abort();
+            },
+            resume: () => {
+                if (state !== 'paused') return;
+                run();
+            },
+            cancel: async () => {
+                if (state === 'completed' || state === 'cancelled') return;
+                setState('cancelled');
+                if (current) current.abort();
+                if (settle) settle.reject(new DOMException('Upload cancelled', 'AbortError'));
+
+                if (resumable) {
+                    uploadRecords.clear(fingerprint);
+                    if (uploadUrl) {
+                        // Termination is optional for servers; ignore failures
+                        await fetchWithPolicy(uploadUrl, { method: 'DELETE', headers: tusHeaders() }, {
+                            endpoint: UPLOADS_ENDPOINT,
+                            attempts: 1
+                        }).catch(() => {});
+                    }
+                }
+            }
+        };
+    };
+
+    // Resumable task when the server advertises chunk support, single-shot otherwise
+    const createUpload = async (file, { fingerprint, onProgress } = {}) => {
+        const capabilities = await getUploadCapabilities();
+        const fitsServerLimit = !capabilities.maxSize || file.size <= capabilities.maxSize;
+        return createUploadTask(file, {
+            fingerprint,
+            resumable: capabilities.resumable && fitsServerLimit && Boolean(fingerprint),
+            onProgress
+        });
+    };
+
+    // Binary download (e.g. a processed video) under the same policy
+    const download = async (endpoint, options = {}) => {
+        const { timeout, signal, attempts } = options;
+        const response = await fetchWithPolicy(`${AppConfig.API_BASE_URL}${endpoint}`, { method: 'GET' }, {
+            endpoint,
+            timeout: timeout !== undefined ? timeout : AppConfig.DOWNLOAD_TIMEOUT,
+            signal,
+            attempts
+        });
+        return response.blob();
+    };
+
+    return {
+        get: (endpoint, options) => request(endpoint, { ...options, method: 'GET' }),
+        post: (endpoint, data, options) => sendJson('POST', endpoint, data, options),
+        put: (endpoint, data, options) => sendJson('PUT', endpoint, data, options),
+        delete: (endpoint, options) => request(endpoint, { ...options, method: 'DELETE' }),
+        download,
+        upload: (endpoint, file, onProgress) => sendMultipart(endpoint, file, onProgress).promise,
+        createUpload,
+        checkContract,
+        // listener({ endpoint, attempt, maxAttempts, delay, error }) runs before each retry
+        onRetry: (listener) => {
+            retryListeners.push(listener);
+            return () => {
+                const index = retryListeners.indexOf(listener);
+                if (index > -1) {
+                    retryListeners.splice(index, 1);
+                }
+            };
         }
     };
 })();
@@ -92,13 +729,49 @@ const StateManager = (() => {
             second: null
         },
         processing: false,
+        // Branch ids and their processing presets, as listed by GET /branches
+        branches: [],
         currentBranch: 'main',
         timeRange: {
             start: null,
             end: null
         },
+        sources: {
+            first: null,
+            second: null
+        },
+        ranges: [],
+        activeRangeId: null,
+        // Processing steps; the server runs the enabled ones in ApiContract.OPERATION_TYPES order
+        operations: {
+            trim: { enabled: true, params: {} },
+            merge: { enabled: true, params: {} },
+            resize: { enabled: false, params: { width: 1280, height: 720 } },
+            compress: { enabled: false, params: { crf: 23, preset: 'medium' } },
+            mute: { enabled: false, params: {} }
+        },
+        media: null,
+        // Where Process runs as last resolved ('local' or 'remote'); null until first checked
+        processingMode: null,
+        job: null,
         error: null,
-        processedResult: null
+        processedResult: null,
+        // Timeline edits move their edges into nearby silence on the audio lane
+        snapToSilence: false,
+        // A/B compare: view is 'side', 'wipe' or 'onion'; offset (s) shifts the second video
+        compare: { enabled: false, view: 'side', offset: 0, wipe: 0.5, opacity: 0.5 },
+        // Scene detection on the first video: status is 'running', 'done' or 'error';
+        // candidates are every change above SCENE_MIN_THRESHOLD, the threshold picks the cuts
+        scenes: null,
+        sceneSettings: { method: 'histogram', threshold: 0.4 },
+        // Running sheet, sequence or animated clip export: { kind: 'sheet' | 'sequence' | 'animation', progress }
+        frameExport: null,
+        // Subtitle track of the first video: { name, cues: [{ id, start, end, text }] } in source time
+        subtitles: null,
+        // Named bookmarks on the first video, in time order: [{ id, name, time, color }]
+        markers: [],
+        // Send the markers as chapters for the server to embed in the output
+        embedChapters: false
     };
 
     const listeners = new Map();
@@ -108,10 +781,143 @@ const StateManager = (() => {
         callbacks.forEach(callback => callback(state[key]));
     };
 
+    // Edits the user can undo; jobs, media info and results follow the app, not the user
+    const HISTORY_KEYS = ['timeRange', 'ranges', 'activeRangeId', 'operations', 'currentBranch', 'sources', 'videos', 'subtitles', 'markers'];
+    const HISTORY_LABELS = {
+        timeRange: 'Change selection',
+        ranges: 'Edit ranges',
+        activeRangeId: 'Select range',
+        operations: 'Change operations',
+        currentBranch: 'Change branch',
+        sources: 'Change video',
+        videos: 'Change video',
+        subtitles: 'Edit subtitles',
+        markers: 'Edit markers'
+    };
+
+    // Structural equality for plain objects and arrays; anything else (Files) by reference
+    const isEqual = (a, b) => {
+        if (a === b) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        const plain = value => Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype;
+        if (!plain(a) || !plain(b)) return false;
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+    };
+
+    // Entries hold the before/after values of every key they touched
+    const undoStack = [];
+    const redoStack = [];
+    let group = null;
+
+    const getHistory = () => ({
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0,
+        undoLabel: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+        redoLabel: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+    });
+
+    // 'history' is a pseudo-key: its subscribers get getHistory() on every change
+    const notifyHistory = () => {
+        const callbacks = listeners.get('history') || [];
+        const history = getHistory();
+        callbacks.forEach(callback => callback(history));
+    };
+
+    const pushEntry = (entry) => {
+        undoStack.push(entry);
+        if (undoStack.length > AppConfig.HISTORY_LIMIT) {
+            undoStack.shift();
+        }
+        redoStack.length = 0;
+        notifyHistory();
+    };
+
+    const record = (key, previous, value) => {
+        if (group) {
+            if (!(key in group.before)) group.before[key] = previous;
+            group.after[key] = value;
+            return;
+        }
+        pushEntry({ label: HISTORY_LABELS[key], before: { [key]: previous }, after: { [key]: value } });
+    };
+
+    // Everything set until the matching endGroup() becomes one undo step (e.g. a drag);
+    // groups nest, only the outermost label is kept
+    const beginGroup = (label) => {
+        if (group) {
+            group.depth++;
+            return;
+        }
+        group = { label, depth: 1, before: {}, after: {} };
+    };
+
+    const endGroup = () => {
+        if (!group || --group.depth > 0) return;
+        const { label, before, after } = group;
+        group = null;
+
+        const changed = Object.keys(after).filter(key => !isEqual(after[key], before[key]));
+        if (changed.length === 0) return;
+        pushEntry({
+            label,
+            before: Object.fromEntries(changed.map(key => [key, before[key]])),
+            after: Object.fromEntries(changed.map(key => [key, after[key]]))
+        });
+    };
+
+    const transaction = (label, fn) => {
+        beginGroup(label);
+        try {
+            return fn();
+        } finally {
+            endGroup();
+        }
+    };
+
+    // All keys change before anyone is notified, so views never see half a step
+    const restore = (values) => {
+        Object.entries(values).forEach(([key, value]) => {
+            state[key] = value;
+        });
+        Object.keys(values).forEach(notify);
+    };
+
+    // Both are ignored while a group is open, so a drag is never split in half
+    const undo = () => {
+        if (group || undoStack.length === 0) return false;
+        const entry = undoStack.pop();
+        redoStack.push(entry);
+        restore(entry.before);
+        notifyHistory();
+        return true;
+    };
+
+    const redo = () => {
+        if (group || redoStack.length === 0) return false;
+        const entry = redoStack.pop();
+        undoStack.push(entry);
+        restore(entry.after);
+        notifyHistory();
+        return true;
+    };
+
+    const clearHistory = () => {
+        undoStack.length = 0;
+        redoStack.length = 0;
+        notifyHistory();
+    };
+
     return {
         get: (key) => state[key],
-        set: (key, value) => {
+        // Pass { record: false } for changes that should not be undoable (e.g. loading a file)
+        set: (key, value, { record: recordChange = true } = {}) => {
+            const previous = state[key];
             state[key] = value;
+            if (recordChange && HISTORY_KEYS.includes(key) && !isEqual(previous, value)) {
+                record(key, previous, value);
+            }
             notify(key);
         },
         subscribe: (key, callback) => {
@@ -127,1137 +933,7586 @@ const StateManager = (() => {
                 }
             };
         },
+        beginGroup,
+        endGroup,
+        transaction,
+        undo,
+        redo,
+        clearHistory,
+        getHistory,
         getState: () => ({ ...state })
     };
 })();
 
-// DOM Controller Module
-const DOMController = (() => {
-    const elements = {};
+// Range Management Module (edit decision list)
+const RangeManager = (() => {
+    let nextId = 1;
 
-    const init = () => {
-        // Cache DOM elements
-        elements.firstTimeInput = document.getElementById('first-time-input');
-        elements.secondTimeInput = document.getElementById('two-time-input');
-        elements.branchSelect = document.getElementById('branch-select-input');
-        elements.firstVideo = document.querySelector('.first_video');
-        elements.secondVideo = document.querySelector('.two_video');
-        elements.videoSwap = document.querySelector('.video_swap');
-        elements.actionButtons = document.querySelectorAll('.action-btn');
-        elements.container = document.querySelector('.container');
+    const getRanges = () => StateManager.get('ranges');
+
+    const find = (id) => getRanges().find(range => range.id === id) || null;
+
+    const normalize = (start, end) => ({
+        start: Math.min(start, end),
+        end: Math.max(start, end)
+    });
+
+    const add = (start, end, name) => {
+        const ranges = getRanges();
+        // Restored sessions bring their own ids
+        while (find(`range_${nextId}`)) {
+            nextId++;
+        }
+        const range = {
+            id: `range_${nextId++}`,
+            name: name || `Range ${ranges.length + 1}`,
+            ...normalize(start, end)
+        };
+        StateManager.transaction('Add range', () => {
+            StateManager.set('ranges', [...ranges, range]);
+            StateManager.set('activeRangeId', range.id);
+        });
+        return range;
     };
 
-    const showLoading = (element) => {
-        element.classList.add('loading');
+    const update = (id, changes) => {
+        StateManager.set('ranges', getRanges().map(range => {
+            if (range.id !== id) return range;
+            const next = { ...range, ...changes };
+            return { ...next, ...normalize(next.start, next.end) };
+        }));
     };
 
-    const hideLoading = (element) => {
-        element.classList.remove('loading');
+    const rename = (id, name) => {
+        const trimmed = (name || '').trim();
+        if (trimmed) {
+            update(id, { name: trimmed });
+        }
     };
 
-    const showError = (message) => {
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.textContent = message;
-        errorDiv.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: #ef4444;
-            color: white;
-            padding: 1rem 1.5rem;
-            border-radius: 0.5rem;
-            box-shadow: 0 10px 15px -3px rgb(0 0 0 / 0.1);
-            z-index: 1000;
-            animation: slideIn 0.3s ease;
-        `;
-        document.body.appendChild(errorDiv);
-        setTimeout(() => {
-            errorDiv.remove();
-        }, 5000);
+    const remove = (id) => StateManager.transaction('Remove range', () => {
+        StateManager.set('ranges', getRanges().filter(range => range.id !== id));
+        if (StateManager.get('activeRangeId') === id) {
+            StateManager.set('activeRangeId', null);
+        }
+    });
+
+    // Move a range up (-1) or down (+1) in the processing order
+    const move = (id, direction) => {
+        const ranges = [...getRanges()];
+        const index = ranges.findIndex(range => range.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= ranges.length) return;
+
+        [ranges[index], ranges[target]] = [ranges[target], ranges[index]];
+        StateManager.set('ranges', ranges);
     };
 
-    const showSuccess = (message) => {
-        const successDiv = document.createElement('div');
-        successDiv.className = 'success-message';
-        successDiv.textContent = message;
-        successDiv.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: #10b981;
-            color: white;
-            padding: 1rem 1.5rem;
-            border-radius: 0.5rem;
-            box-shadow: 0 10px 15px -3px rgb(0 0 0 / 0.1);
-            z-index: 1000;
-            animation: slideIn 0.3s ease;
-        `;
-        document.body.appendChild(successDiv);
-        setTimeout(() => {
-            successDiv.remove();
-        }, 3000);
-    };
+    // Make a range the current selection so the timeline markers edit it
+    const activate = (id) => StateManager.transaction('Select range', () => {
+        const range = find(id);
+        StateManager.set('activeRangeId', range ? range.id : null);
+        if (range) {
+            StateManager.set('timeRange', { start: range.start, end: range.end });
+        }
+    });
 
-    const updateVideoDisplay = (videoElement, file) => {
-        const video = document.createElement('video');
-        video.controls = false; // Remove default controls
-        video.autoplay = false; // Disable autoplay
-        video.muted = true; // Mute by default
-        video.style.width = '100%';
-        video.style.height = '100%';
-        video.style.objectFit = 'cover';
+    const getActive = () => find(StateManager.get('activeRangeId'));
 
-        if (typeof file === 'string') {
-            // If file is a path string
-            video.src = file;
-        } else {
-            // If file is a File object
-            video.src = URL.createObjectURL(file);
+    // Set the current selection; while a saved range is active the selection edits it
+    const select = (start, end, label = 'Select frames') => StateManager.transaction(label, () => {
+        const range = normalize(start, end);
+        StateManager.set('timeRange', range);
+        const active = getActive();
+        if (active) {
+            update(active.id, range);
         }
+    });
 
-        // Make sure video doesn't autoplay
-        video.addEventListener('loadeddata', () => {
-            video.pause();
-            // First video always starts from beginning
-            video.currentTime = 0;
-        });
+    // Ranges in processing order, without UI-only fields
+    const toSegments = () => getRanges().map(({ name, start, end }) => ({ name, start, end }));
 
-        // Generate thumbnails for preview
-        video.addEventListener('loadedmetadata', () => {
-            video.pause(); // Ensure video is paused
-            video.currentTime = 0; // Reset to beginning
-            generateVideoThumbnails(video, videoElement);
-        });
+    const clear = () => StateManager.transaction('Clear ranges', () => {
+        StateManager.set('ranges', []);
+        StateManager.set('activeRangeId', null);
+    });
 
-        // Add custom controls overlay
-        const controlsOverlay = createVideoControls(video);
+    // Swap every range for new ones in one undo step, e.g. one per detected scene
+    const replaceAll = (segments, label = 'Replace ranges') => StateManager.transaction(label, () => {
+        clear();
+        segments.forEach(({ start, end, name }) => add(start, end, name));
+        StateManager.set('activeRangeId', null);
+    });
 
-        videoElement.innerHTML = '';
-        videoElement.appendChild(video);
-        videoElement.appendChild(controlsOverlay);
+    return {
+        getRanges,
+        find,
+        add,
+        update,
+        rename,
+        remove,
+        move,
+        activate,
+        getActive,
+        select,
+        toSegments,
+        clear,
+        replaceAll
     };
+})();
 
-    const createVideoControls = (video) => {
-        const controls = document.createElement('div');
-        controls.className = 'custom-video-controls';
-        controls.style.cssText = `
-            position: absolute;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            background: linear-gradient(to top, rgba(0,0,0,0.7), transparent);
-            padding: 10px;
-            display: flex;
-            align-items: center;
-            gap: 10px;
-            opacity: 0;
-            transition: opacity 0.3s;
-        `;
+// Marker Module (named bookmarks on the first video, exported as chapters)
+const MarkerManager = (() => {
+    // New markers take the next colour; clicking a marker's swatch moves it along
+    const COLORS = ['#f59e0b', '#10b981', '#3b82f6', '#ef4444', '#8b5cf6', '#ec4899'];
 
-        const playBtn = document.createElement('button');
-        playBtn.style.cssText = `
-            width: 32px;
-            height: 32px;
-            background: rgba(255,255,255,0.2);
-            border: 1px solid rgba(255,255,255,0.3);
-            border-radius: 50%;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            cursor: pointer;
-            color: white;
-        `;
-        playBtn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="white"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`;
+    const FORMATS = {
+        vtt: { type: 'text/vtt', extension: 'vtt', label: 'WebVTT chapters' },
+        youtube: { type: 'text/plain', extension: 'txt', label: 'YouTube chapters' },
+        json: { type: 'application/json', extension: 'json', label: 'JSON' }
+    };
 
-        const timeDisplay = document.createElement('span');
-        timeDisplay.style.cssText = `
-            color: white;
-            font-size: 12px;
-            flex: 1;
-            text-align: center;
-        `;
+    let nextId = 1;
 
-        // Add center play button
-        const centerPlayBtn = document.createElement('div');
-        centerPlayBtn.className = 'center-play-btn';
-        centerPlayBtn.style.cssText = `
-            position: absolute;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            width: 60px;
-            height: 60px;
-            background: rgba(0,0,0,0.7);
-            border-radius: 50%;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            cursor: pointer;
-            transition: all 0.3s;
-            opacity: 0.8;
-        `;
-        centerPlayBtn.innerHTML = `
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
-                <polygon points="8 5 19 12 8 19 8 5"></polygon>
-            </svg>
-        `;
+    const getMarkers = () => StateManager.get('markers');
 
-        // Click handler for both play buttons
-        const togglePlay = () => {
-            if (video.paused) {
-                video.play();
-                playBtn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="white"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>`;
-                centerPlayBtn.style.opacity = '0';
-                centerPlayBtn.style.pointerEvents = 'none';
-            } else {
-                video.pause();
-                playBtn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="white"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`;
-                centerPlayBtn.style.opacity = '0.8';
-                centerPlayBtn.style.pointerEvents = 'auto';
-            }
-        };
+    const find = (id) => getMarkers().find(marker => marker.id === id) || null;
 
-        playBtn.addEventListener('click', togglePlay);
-        centerPlayBtn.addEventListener('click', togglePlay);
+    // Kept in time order, so the list and the chapters read top to bottom
+    const setMarkers = (markers) => {
+        StateManager.set('markers', [...markers].sort((a, b) => a.time - b.time));
+    };
 
-        // Video click to play/pause (no auto-play on load)
-        video.addEventListener('click', (e) => {
-            e.preventDefault();
-            togglePlay();
-        });
+    const create = ({ time, name, color }, index) => {
+        // Restored sessions bring their own ids
+        while (find(`marker_${nextId}`)) {
+            nextId++;
+        }
+        return {
+            id: `marker_${nextId++}`,
+            name: name || `Marker ${index + 1}`,
+            time: Math.max(0, time),
+            color: /^#[0-9a-f]{6}$/i.test(color || '') ? color : COLORS[index % COLORS.length]
+        };
+    };
 
-        video.addEventListener('timeupdate', () => {
-            const current = formatTime(video.currentTime);
-            const duration = formatTime(video.duration);
-            timeDisplay.textContent = `${current} / ${duration}`;
-        });
+    const add = (time, name, color) => {
+        const markers = getMarkers();
+        const marker = create({ time, name, color }, markers.length);
+        StateManager.transaction('Add marker', () => setMarkers([...markers, marker]));
+        return marker;
+    };
 
-        // Show/hide controls
-        const parent = video.parentElement;
-        if (parent) {
-            parent.addEventListener('mouseenter', () => {
-                controls.style.opacity = '1';
-                if (video.paused) {
-                    centerPlayBtn.style.opacity = '1';
-                }
-            });
-            parent.addEventListener('mouseleave', () => {
-                controls.style.opacity = '0';
-                if (video.paused) {
-                    centerPlayBtn.style.opacity = '0.5';
-                } else {
-                    centerPlayBtn.style.opacity = '0';
-                }
-            });
-        }
+    const update = (id, changes) => {
+        setMarkers(getMarkers().map(marker => (marker.id === id ? { ...marker, ...changes } : marker)));
+    };
 
-        // Add center play button to parent element
-        if (parent) {
-            parent.appendChild(centerPlayBtn);
+    const rename = (id, name) => {
+        const trimmed = (name || '').trim();
+        if (trimmed) {
+            StateManager.transaction('Rename marker', () => update(id, { name: trimmed }));
         }
+    };
 
-        controls.appendChild(playBtn);
-        controls.appendChild(timeDisplay);
+    const cycleColor = (id) => {
+        const marker = find(id);
+        if (!marker) return;
+        const next = COLORS[(COLORS.indexOf(marker.color) + 1) % COLORS.length];
+        StateManager.transaction('Change marker colour', () => update(id, { color: next }));
+    };
 
-        return controls;
+    const remove = id => StateManager.transaction('Remove marker', () => {
+        setMarkers(getMarkers().filter(marker => marker.id !== id));
+    });
+
+    const clear = () => StateManager.transaction('Clear markers', () => setMarkers([]));
+
+    // Swap every marker for imported ones in one undo step
+    const replaceAll = (entries, label = 'Import markers') => StateManager.transaction(label, () => {
+        setMarkers(entries.map((entry, index) => create(entry, index)));
+    });
+
+    // The marker before or after a time (a small margin skips the one the playhead sits on)
+    const neighbour = (time, direction) => {
+        const markers = direction > 0 ? getMarkers() : [...getMarkers()].reverse();
+        return markers.find(marker => (direction > 0 ? marker.time > time + 0.01 : marker.time < time - 0.01)) || null;
     };
 
-    const generateVideoThumbnails = (video, container) => {
-        // Generate thumbnails for the frame timeline
-        generateFrameTimeline(video);
+    // Every marker starts a chapter that runs until the next one or the end of the video
+    const toChapters = (duration) => {
+        const markers = getMarkers();
+        return markers
+            .map((marker, index) => ({
+                start: marker.time,
+                end: index < markers.length - 1 ? markers[index + 1].time : duration,
+                title: marker.name
+            }))
+            .filter(chapter => chapter.end > chapter.start);
     };
 
-    const generateFrameTimeline = (video) => {
-        const framesStrip = document.getElementById('frames-strip');
-        if (!framesStrip || !video) return;
+    // "1:02:03" or "2:03", as YouTube descriptions write them
+    const youtubeTime = (seconds) => {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const mins = Math.floor(total / 60) % 60;
+        const secs = String(total % 60).padStart(2, '0');
+        return hours ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+    };
 
-        // Clear existing frames
-        framesStrip.innerHTML = '';
+    const serialize = (format, duration) => {
+        const markers = getMarkers();
+        if (format === 'vtt') {
+            return Subtitles.toVtt(toChapters(duration).map(({ start, end, title }) => ({ start, end, text: title })));
+        }
+        if (format === 'youtube') {
+            const lines = markers.map(marker => `${youtubeTime(marker.time)} ${marker.name}`);
+            // YouTube only shows chapters when the first one starts at 0:00
+            if (!markers.length || markers[0].time >= 1) {
+                lines.unshift('0:00 Intro');
+            }
+            return `${lines.join('\n')}\n`;
+        }
+        return JSON.stringify({ markers: markers.map(({ name, time, color }) => ({ name, time, color })) }, null, 2);
+    };
 
-        const duration = video.duration;
-        if (!duration || duration === 0) {
-            console.error('Video duration is 0 or undefined');
-            return;
+    // Markers from any of the export formats; the format is told by the content
+    const parse = (text) => {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        let entries;
+        if (/^[[{]/.test(trimmed)) {
+            const data = JSON.parse(trimmed);
+            const list = Array.isArray(data) ? data : data.markers || data.chapters || [];
+            entries = list.map(item => ({
+                time: typeof item.time === 'number' ? item.time : item.start,
+                name: item.name || item.title,
+                color: item.color
+            })).filter(entry => typeof entry.time === 'number' && entry.time >= 0);
+        } else if (trimmed.startsWith('WEBVTT')) {
+            entries = Subtitles.parse(trimmed).map(cue => ({ time: cue.start, name: cue.text.split('\n')[0] }));
+        } else {
+            entries = trimmed.split(/\r?\n/).map((line) => {
+                const match = /^\s*((?:\d+:)?\d{1,2}:\d{2})\s*[-–—:|]?\s*(.+?)\s*$/.exec(line);
+                return match ? { time: TimeCode.parseClock(match[1]), name: match[2] } : null;
+            }).filter(Boolean);
         }
+        if (entries.length === 0) {
+            throw new Error('No chapters found in the file');
+        }
+        return entries.sort((a, b) => a.time - b.time);
+    };
 
-        // Create more frames for better timeline
-        const interval = 1; // Frame every 1 second
-        const frameCount = Math.min(60, Math.floor(duration / interval));
-        const frames = [];
+    const fileName = (format, source) => {
+        const base = source && source.name ? source.name.replace(/\.[^.]+$/, '') : 'video';
+        return `${base}_chapters.${FORMATS[format].extension}`;
+    };
 
-        // Store selection boundaries
-        let selectionStart = null;
-        let selectionEnd = null;
-        let isSelecting = false;
-        let isDragging = false;
+    return {
+        COLORS,
+        FORMATS,
+        getMarkers,
+        find,
+        add,
+        update,
+        rename,
+        cycleColor,
+        remove,
+        clear,
+        replaceAll,
+        neighbour,
+        toChapters,
+        serialize,
+        parse,
+        fileName
+    };
+})();
 
-        console.log(`Generating ${frameCount} frames for ${duration}s video`);
+// Operation Management Module (processing pipeline)
+const OperationManager = (() => {
+    const DEFINITIONS = {
+        trim: { label: 'Trim', hint: 'Keep only the selected ranges' },
+        merge: { label: 'Merge', hint: 'Append the second video' },
+        resize: { label: 'Resize', hint: 'Scale to a new resolution' },
+        compress: { label: 'Compress', hint: 'Re-encode with H.264' },
+        mute: { label: 'Remove audio', hint: 'Drop every audio track' }
+    };
 
-        // Add selection overlay
-        const selectionOverlay = document.createElement('div');
-        selectionOverlay.className = 'selection-overlay';
-        selectionOverlay.style.cssText = `
-            position: absolute;
-            background: rgba(99, 102, 241, 0.3);
-            border: 2px solid var(--primary-color);
-            pointer-events: none;
-            display: none;
-            top: 0;
-            bottom: 0;
-            z-index: 10;
-        `;
-        framesStrip.style.position = 'relative';
-        framesStrip.appendChild(selectionOverlay);
+    const RESOLUTIONS = [
+        { label: '4K', width: 3840, height: 2160 },
+        { label: '1080p', width: 1920, height: 1080 },
+        { label: '720p', width: 1280, height: 720 },
+        { label: '480p', width: 854, height: 480 },
+        { label: '360p', width: 640, height: 360 }
+    ];
 
-        // Add start and end markers
-        const startMarker = document.createElement('div');
-        startMarker.className = 'selection-marker start-marker';
-        startMarker.style.cssText = `
-            position: absolute;
-            width: 4px;
-            height: 100%;
-            background: var(--success-color);
-            cursor: ew-resize;
-            z-index: 12;
-            display: none;
-            top: 0;
-        `;
-        startMarker.innerHTML = `<span style="position: absolute; top: -20px; left: -20px; background: var(--success-color); color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">START</span>`;
-        framesStrip.appendChild(startMarker);
+    // Operations only browser processing can do
+    const LOCAL_TYPES = ['trim'];
 
-        const endMarker = document.createElement('div');
-        endMarker.className = 'selection-marker end-marker';
-        endMarker.style.cssText = `
-            position: absolute;
-            width: 4px;
-            height: 100%;
-            background: var(--danger-color);
-            cursor: ew-resize;
-            z-index: 12;
-            display: none;
-            top: 0;
-        `;
-        endMarker.innerHTML = `<span style="position: absolute; top: -20px; right: -15px; background: var(--danger-color); color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">END</span>`;
-        framesStrip.appendChild(endMarker);
+    const getAll = () => StateManager.get('operations');
 
-        // Allow dragging markers
-        let draggingMarker = null;
+    // The pipeline every session starts with (Trim and Merge)
+    const DEFAULTS = getAll();
 
-        startMarker.addEventListener('mousedown', (e) => {
-            e.stopPropagation();
-            draggingMarker = 'start';
-            isDragging = true;
-        });
+    const isSelected = type => Boolean(getAll()[type] && getAll()[type].enabled);
 
-        endMarker.addEventListener('mousedown', (e) => {
-            e.stopPropagation();
-            draggingMarker = 'end';
-            isDragging = true;
-        });
+    const update = (type, changes) => {
+        const operations = getAll();
+        StateManager.set('operations', { ...operations, [type]: { ...operations[type], ...changes } });
+    };
 
-        // Create frames immediately
-        for (let i = 0; i < frameCount; i++) {
-            const time = i * interval;
+    const setEnabled = (type, enabled) => update(type, { enabled });
 
-            const frameDiv = document.createElement('div');
-            frameDiv.className = 'frame-thumbnail';
-            frameDiv.dataset.time = time;
-            frameDiv.dataset.index = i;
+    const setParams = (type, params) => update(type, { params: { ...getAll()[type].params, ...params } });
 
-            const canvas = document.createElement('canvas');
-            canvas.width = 160;
-            canvas.height = 90;
-            canvas.style.width = '100%';
-            canvas.style.height = '100%';
-            canvas.style.objectFit = 'cover';
-            canvas.style.borderRadius = '2px';
+    // Where only the browser can process, an untouched default pipeline becomes Trim alone,
+    // so a single video can be cut without unticking Merge first; once the user has changed
+    // anything (every change replaces the object) their choices stay
+    const useLocalDefaults = () => {
+        if (getAll() !== DEFAULTS) return;
+        StateManager.set('operations', Object.fromEntries(Object.entries(DEFAULTS).map(([type, operation]) => [
+            type,
+            { ...operation, enabled: operation.enabled && LOCAL_TYPES.includes(type) }
+        ])), { record: false });
+    };
 
-            const timeLabel = document.createElement('div');
-            timeLabel.className = 'frame-time';
-            timeLabel.textContent = formatTime(time);
+    // Selected operations in pipeline order, as sent to the server
+    const toPayload = () => ApiContract.OPERATION_TYPES
+        .filter(isSelected)
+        .map(type => ({ type, params: { ...getAll()[type].params } }));
 
-            frameDiv.appendChild(canvas);
-            frameDiv.appendChild(timeLabel);
+    // Why the selected pipeline cannot run on the loaded videos, as messages for the user
+    const validate = ({ ranges, media, hasSecondVideo, secondVideoPending, mode }) => {
+        const operations = toPayload();
+        const problems = [];
 
-            // Frame selection logic with Shift key for setting boundaries
-            frameDiv.addEventListener('mousedown', (e) => {
-                e.preventDefault();
+        if (operations.length === 0) {
+            return ['Choose at least one operation'];
+        }
 
-                if (isDragging && draggingMarker) {
-                    // Dragging a marker
-                    if (draggingMarker === 'start') {
-                        selectionStart = i;
-                    } else if (draggingMarker === 'end') {
-                        selectionEnd = i;
-                    }
-                    updateSelection();
-                } else if (e.shiftKey) {
-                    // Shift+Click to set end point
-                    if (selectionStart !== null) {
-                        selectionEnd = i;
-                        updateSelection();
-                        applySelectionToSecondVideo();
-                    }
-                } else if (e.ctrlKey || e.metaKey) {
-                    // Ctrl/Cmd+Click to set start point
-                    selectionStart = i;
-                    if (selectionEnd === null) {
-                        selectionEnd = i;
-                    }
-                    updateSelection();
-                } else {
-                    // Normal click - start new selection
-                    isSelecting = true;
-                    selectionStart = i;
-                    selectionEnd = i;
-                    updateSelection();
-                }
-            });
-
-            frameDiv.addEventListener('mouseenter', () => {
-                if (isSelecting) {
-                    selectionEnd = i;
-                    updateSelection();
-                } else if (isDragging && draggingMarker) {
-                    if (draggingMarker === 'start') {
-                        selectionStart = i;
-                    } else if (draggingMarker === 'end') {
-                        selectionEnd = i;
-                    }
-                    updateSelection();
-                }
-            });
-
-            frameDiv.addEventListener('mouseup', () => {
-                if (isSelecting) {
-                    isSelecting = false;
-                    applySelectionToSecondVideo();
-                }
+        operations.forEach((operation) => {
+            const { label } = DEFINITIONS[operation.type];
+            ApiContract.validate(ApiContract.schemas.Operation, operation).forEach((problem) => {
+                problems.push(`${label}: ${problem.replace(/^params\./, '')}`);
             });
+            if (mode === 'local' && !LOCAL_TYPES.includes(operation.type)) {
+                problems.push(`${label} needs the server; only Trim runs in the browser`);
+            }
+        });
 
-            // Click to seek (single click)
-            frameDiv.addEventListener('click', () => {
-                if (!isSelecting) {
-                    video.currentTime = time;
-                    updateActiveFrame(frameDiv);
+        if (isSelected('trim')) {
+            if (ranges.length === 0) {
+                problems.push('Trim needs a range: select frames on the timeline or add a range');
+            } else if (media && media.duration) {
+                ranges.filter(range => range.end > media.duration + 0.001).forEach((range) => {
+                    problems.push(`Range "${range.name}" ends after the video (${TimeCode.toClock(media.duration)})`);
+                });
+            }
+        }
 
-                    // Also update the main video if it exists
-                    const mainVideo = document.querySelector('.first_video video');
-                    if (mainVideo) {
-                        mainVideo.currentTime = time;
-                    }
-                }
-            });
+        if (isSelected('merge') && !hasSecondVideo) {
+            problems.push(secondVideoPending ? 'Merge: the second video is still uploading' : 'Merge needs a second video');
+        }
 
-            frames.push({ frameDiv, canvas, time });
-            framesStrip.appendChild(frameDiv);
+        if (isSelected('resize')) {
+            const { width, height } = getAll().resize.params;
+            if (width % 2 !== 0 || height % 2 !== 0) {
+                problems.push('Resize: width and height must be even numbers');
+            }
+            if (media && media.width && (width > media.width || height > media.height)) {
+                problems.push(`Resize: ${width}×${height} would upscale the ${media.width}×${media.height} video`);
+            }
         }
 
-        // Update selection visual
-        const updateSelection = () => {
-            if (selectionStart === null || selectionEnd === null) return;
+        return problems;
+    };
 
-            const start = Math.min(selectionStart, selectionEnd);
-            const end = Math.max(selectionStart, selectionEnd);
+    return {
+        DEFINITIONS,
+        RESOLUTIONS,
+        getAll,
+        isSelected,
+        setEnabled,
+        setParams,
+        useLocalDefaults,
+        toPayload,
+        validate
+    };
+})();
 
-            // Clear previous selection
-            frames.forEach(f => f.frameDiv.classList.remove('selected'));
+// Branch Manager Module
+// A branch names a processing preset (output format, quality, resolution) kept
+// on the server; the Branch select lists them and processing sends the preset along
+const BranchManager = (() => {
+    // Used when the server cannot be asked, e.g. while processing in the browser
+    const FALLBACK_BRANCHES = [
+        { id: 'main', name: 'Main', preset: { format: 'mp4', crf: 20, speed: 'veryfast', width: null, height: null } },
+        { id: 'develop', name: 'Develop', preset: { format: 'mp4', crf: 28, speed: 'ultrafast', width: 1280, height: 720 } },
+        { id: 'feature', name: 'Feature', preset: { format: 'webm', crf: 32, speed: 'medium', width: 854, height: 480 } }
+    ];
+
+    const getAll = () => StateManager.get('branches');
+
+    const find = id => getAll().find(branch => branch.id === id) || null;
+
+    // A branch that no longer exists falls back to the first one, outside the undo history
+    const ensureCurrent = () => {
+        const branches = getAll();
+        if (branches.length > 0 && !find(StateManager.get('currentBranch'))) {
+            StateManager.set('currentBranch', branches[0].id, { record: false });
+        }
+    };
 
-            // Mark selected frames
-            for (let i = start; i <= end; i++) {
-                if (frames[i]) {
-                    frames[i].frameDiv.classList.add('selected');
-                }
+    // Resolves with true when the list came from the server
+    const load = async () => {
+        try {
+            const response = await ApiService.get('/branches', { attempts: 1, timeout: AppConfig.HEALTH_TIMEOUT });
+            StateManager.set('branches', response.data);
+            return true;
+        } catch (error) {
+            console.warn('Branch list unavailable, using the built-in presets:', error.message);
+            if (getAll().length === 0) {
+                StateManager.set('branches', FALLBACK_BRANCHES);
             }
+            return false;
+        } finally {
+            ensureCurrent();
+        }
+    };
 
-            // Update selection overlay position
-            const startFrame = frames[start] ? frames[start].frameDiv : null;
-            const endFrame = frames[end] ? frames[end].frameDiv : null;
-
-            if (startFrame && endFrame) {
-                const startRect = startFrame.getBoundingClientRect();
-                const endRect = endFrame.getBoundingClientRect();
-                const stripRect = framesStrip.getBoundingClientRect();
-
-                selectionOverlay.style.left = `${startRect.left - stripRect.left}px`;
-                selectionOverlay.style.width = `${endRect.right - startRect.left}px`;
-                selectionOverlay.style.display = 'block';
-
-                // Update markers position
-                startMarker.style.left = `${startRect.left - stripRect.left - 2}px`;
-                startMarker.style.display = 'block';
+    // Create (no id) or edit a branch on the server; resolves with the saved branch
+    const save = async (id, { name, preset }) => {
+        const body = { name, preset };
+        const response = id
+            ? await ApiService.put(`/branches/${encodeURIComponent(id)}`, body)
+            : await ApiService.post('/branches', body);
+        const saved = response.data;
+        const branches = getAll();
+        StateManager.set('branches', find(saved.id)
+            ? branches.map(branch => (branch.id === saved.id ? saved : branch))
+            : [...branches, saved]);
+        return saved;
+    };
 
-                endMarker.style.left = `${endRect.right - stripRect.left - 2}px`;
-                endMarker.style.display = 'block';
-            }
-        };
+    const resolvePreset = (id) => {
+        const branch = find(id);
+        return branch ? { ...branch.preset } : null;
+    };
 
-        // Apply selection to second video
-        const applySelectionToSecondVideo = () => {
-            if (selectionStart === null || selectionEnd === null) return;
+    // "MP4 · CRF 20 · veryfast · 1280×720"
+    const describePreset = (preset) => [
+        preset.format.toUpperCase(),
+        `CRF ${preset.crf}`,
+        preset.speed,
+        preset.width ? `${preset.width}×${preset.height}` : 'source size'
+    ].join(' · ');
 
-            const start = Math.min(selectionStart, selectionEnd);
-            const end = Math.max(selectionStart, selectionEnd);
+    // Starting point for a new branch
+    const FALLBACK_PRESET = FALLBACK_BRANCHES[0].preset;
 
-            const startTime = frames[start].time;
-            const endTime = frames[end].time + interval;
+    return { FALLBACK_PRESET, getAll, find, load, save, resolvePreset, describePreset };
+})();
 
-            // Update state
-            StateManager.set('timeRange', {
-                start: startTime,
-                end: endTime
-            });
+// File Fingerprint Module
+const Fingerprint = (() => {
+    // Size plus the first and last 64KB identify a file without reading all of it
+    const SAMPLE_SIZE = 64 * 1024;
+    const cache = new WeakMap();
 
-            // Update time inputs
-            const firstTimeInput = document.getElementById('first-time-input');
-            const secondTimeInput = document.getElementById('two-time-input');
+    const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
 
-            if (firstTimeInput) {
-                firstTimeInput.value = formatTimeForInput(startTime);
-            }
-            if (secondTimeInput) {
-                secondTimeInput.value = formatTimeForInput(endTime);
-            }
+    // FNV-1a, for contexts without crypto.subtle
+    const fnv1a = (bytes) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    };
 
-            // Show in second video container
-            const secondVideoElement = document.querySelector('.two_video');
-            if (secondVideoElement) {
-                updateSecondVideoPreview(video, startTime, endTime, secondVideoElement);
-            }
+    const compute = async (file) => {
+        const head = new Uint8Array(await file.slice(0, SAMPLE_SIZE).arrayBuffer());
+        const tail = new Uint8Array(await file.slice(Math.max(0, file.size - SAMPLE_SIZE)).arrayBuffer());
+        const size = new TextEncoder().encode(`${file.size}|`);
 
-            DOMController.showSuccess(`Selected range: ${formatTime(startTime)} - ${formatTime(endTime)}`);
-        };
+        const bytes = new Uint8Array(size.length + head.length + tail.length);
+        bytes.set(size, 0);
+        bytes.set(head, size.length);
+        bytes.set(tail, size.length + head.length);
 
-        // Format time for input field
-        const formatTimeForInput = (seconds) => {
-            const hours = Math.floor(seconds / 3600);
-            const mins = Math.floor((seconds % 3600) / 60);
-            const secs = Math.floor(seconds % 60);
-            return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-        };
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', bytes);
+            return `sha256-${toHex(new Uint8Array(digest))}`;
+        }
+        return `fnv-${fnv1a(bytes)}`;
+    };
 
-        // Update second video preview
-        const updateSecondVideoPreview = (sourceVideo, startTime, endTime, container) => {
-            // Create a new video element for the second container
-            const previewVideo = document.createElement('video');
-            previewVideo.src = sourceVideo.src;
-            previewVideo.controls = false;
-            previewVideo.autoplay = false;
-            previewVideo.loop = false; // No looping
-            previewVideo.muted = true;
-            previewVideo.style.width = '100%';
-            previewVideo.style.height = '100%';
-            previewVideo.style.objectFit = 'cover';
+    // Fingerprint of a File/Blob, or of a URL when the video was loaded by path
+    const of = (source) => {
+        if (!source) return Promise.resolve(null);
+        if (typeof source === 'string') {
+            return Promise.resolve(`url-${new URL(source, document.baseURI).href}`);
+        }
+        if (!cache.has(source)) {
+            const promise = compute(source);
+            // A failed read is tried again next time instead of failing for the whole session
+            promise.catch(() => cache.delete(source));
+            cache.set(source, promise);
+        }
+        return cache.get(source);
+    };
 
-            // Set the current time to start time for second video
-            previewVideo.addEventListener('loadedmetadata', () => {
-                previewVideo.currentTime = startTime;
-                previewVideo.pause();
+    return { of };
+})();
 
-                // Create a visual indicator for the current position
-                const seekBar = document.createElement('div');
-                seekBar.style.cssText = `
-                    position: absolute;
-                    bottom: 0;
-                    left: 0;
-                    right: 0;
-                    height: 4px;
-                    background: rgba(255,255,255,0.2);
-                `;
+// Local Storage Module (IndexedDB)
+const LocalStore = (() => {
+    const DB_NAME = 'videoimg';
+    const DB_VERSION = 2;
+    const STORES = ['thumbnails', 'session'];
 
-                const seekProgress = document.createElement('div');
-                seekProgress.style.cssText = `
-                    height: 100%;
-                    width: 0%;
-                    background: var(--primary-color);
-                    transition: width 0.1s;
-                `;
-                seekBar.appendChild(seekProgress);
-                container.appendChild(seekBar);
+    let dbPromise = null;
 
-                // Update progress bar
-                previewVideo.addEventListener('timeupdate', () => {
-                    const progress = ((previewVideo.currentTime - startTime) / (endTime - startTime)) * 100;
-                    seekProgress.style.width = `${Math.max(0, Math.min(100, progress))}%`;
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.addEventListener('upgradeneeded', () => {
+                    const db = request.result;
+                    STORES.forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name);
+                        }
+                    });
                 });
+                request.addEventListener('success', () => resolve(request.result));
+                request.addEventListener('error', () => reject(request.error));
             });
+        }
+        return dbPromise;
+    };
 
-            // Ensure video stays within bounds
-            previewVideo.addEventListener('seeked', () => {
-                if (previewVideo.currentTime < startTime) {
-                    previewVideo.currentTime = startTime;
-                } else if (previewVideo.currentTime > endTime) {
-                    previewVideo.currentTime = endTime;
-                }
-            });
+    const run = async (storeName, mode, operation) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.addEventListener('complete', () => resolve(request.result));
+            transaction.addEventListener('error', () => reject(transaction.error));
+            transaction.addEventListener('abort', () => reject(transaction.error));
+        });
+    };
 
-            // Add custom controls with range info
-            const controlsOverlay = document.createElement('div');
-            controlsOverlay.className = 'range-info-overlay';
-            controlsOverlay.style.cssText = `
-                position: absolute;
-                top: 0;
-                left: 0;
-                right: 0;
-                background: linear-gradient(to bottom, rgba(0,0,0,0.7), transparent);
-                padding: 10px;
-                color: white;
-                pointer-events: none;
-            `;
-            controlsOverlay.innerHTML = `
-                <div style="font-size: 12px; font-weight: bold;">Selected Range</div>
-                <div style="font-size: 14px; margin-top: 5px;">${formatTime(startTime)} - ${formatTime(endTime)}</div>
-                <div style="font-size: 11px; margin-top: 3px; opacity: 0.8;">Duration: ${formatTime(endTime - startTime)}</div>
-            `;
+    // Storage is best effort: failures are logged and read as missing entries
+    const fail = (action, storeName) => (error) => {
+        console.warn(`LocalStore ${action} failed (${storeName}):`, error);
+        return undefined;
+    };
 
-            // Add play button overlay
-            const playButton = document.createElement('div');
-            playButton.style.cssText = `
-                position: absolute;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                width: 60px;
-                height: 60px;
-                background: rgba(0,0,0,0.7);
-                border-radius: 50%;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                cursor: pointer;
-                transition: all 0.3s;
-            `;
-            playButton.innerHTML = `
-                <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
-                    <polygon points="8 5 19 12 8 19 8 5"></polygon>
-                </svg>
-            `;
+    return {
+        get: (storeName, key) => run(storeName, 'readonly', store => store.get(key)).catch(fail('get', storeName)),
+        put: (storeName, key, value) => run(storeName, 'readwrite', store => store.put(value, key)).catch(fail('put', storeName)),
+        remove: (storeName, key) => run(storeName, 'readwrite', store => store.delete(key)).catch(fail('remove', storeName)),
+        clear: (storeName) => run(storeName, 'readwrite', store => store.clear()).catch(fail('clear', storeName))
+    };
+})();
 
-            let isPlaying = false;
-            let playInterval = null;
+// Session Module
+// Keeps the working session in IndexedDB so a reload can pick it up again.
+// Files and results are written only when they change; the rest on every edit.
+const Session = (() => {
+    const STORE = 'session';
+    const SNAPSHOT_VERSION = 1;
+    const STATE_KEYS = ['videos', 'timeRange', 'ranges', 'activeRangeId', 'operations', 'currentBranch', 'subtitles', 'markers', 'embedChapters'];
+    const FILE_KEYS = ['sources', 'processedResult'];
+
+    // Last value written per file key, to skip rewriting a large blob
+    const written = {};
+    let saveTimer = null;
+    let started = false;
+
+    const save = async () => {
+        saveTimer = null;
+        const state = StateManager.getState();
+
+        // Nothing loaded means nothing worth restoring
+        if (!state.sources.first) {
+            FILE_KEYS.forEach((key) => {
+                delete written[key];
+            });
+            await LocalStore.clear(STORE);
+            return;
+        }
 
-            // Play only selected range (no auto-play)
-            playButton.addEventListener('click', () => {
-                if (!isPlaying) {
-                    previewVideo.currentTime = startTime;
-                    previewVideo.play();
-                    isPlaying = true;
-                    playButton.style.opacity = '0';
+        for (const key of FILE_KEYS) {
+            if (written[key] !== state[key]) {
+                written[key] = state[key];
+                await LocalStore.put(STORE, key, state[key]);
+            }
+        }
+        await LocalStore.put(STORE, 'state', {
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            values: Object.fromEntries(STATE_KEYS.map(key => [key, state[key]]))
+        });
+    };
 
-                    // Stop at end time and don't auto-replay
-                    playInterval = setInterval(() => {
-                        if (previewVideo.currentTime >= endTime) {
-                            previewVideo.pause();
-                            previewVideo.currentTime = startTime;
-                            isPlaying = false;
-                            playButton.style.opacity = '1';
-                            clearInterval(playInterval);
-                        }
-                    }, 100);
-                } else {
-                    previewVideo.pause();
-                    isPlaying = false;
-                    playButton.style.opacity = '1';
-                    clearInterval(playInterval);
-                }
-            });
+    const scheduleSave = () => {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(save, AppConfig.SESSION_SAVE_DELAY);
+    };
 
-            // Show/hide play button on hover
-            container.addEventListener('mouseenter', () => {
-                if (!isPlaying) {
-                    playButton.style.opacity = '1';
-                }
-            });
+    // Write pending changes now (e.g. when the page is hidden)
+    const flush = () => {
+        if (saveTimer === null) return;
+        clearTimeout(saveTimer);
+        save();
+    };
 
-            container.addEventListener('mouseleave', () => {
-                if (!isPlaying) {
-                    playButton.style.opacity = '0.5';
-                }
-            });
+    // Start saving every change; call once the previous session was restored or discarded
+    const start = () => {
+        if (started) return;
+        started = true;
+        [...STATE_KEYS, ...FILE_KEYS].forEach(key => StateManager.subscribe(key, scheduleSave));
+        window.addEventListener('pagehide', flush);
+        scheduleSave();
+    };
 
-            // Clear container and add new elements
-            container.innerHTML = '';
-            container.style.position = 'relative';
-            container.appendChild(previewVideo);
-            container.appendChild(controlsOverlay);
-            container.appendChild(playButton);
+    // The previous session, or null when there is none (or it is from an older format)
+    const load = async () => {
+        const saved = await LocalStore.get(STORE, 'state');
+        if (!saved || saved.version !== SNAPSHOT_VERSION) return null;
 
-            // Store the range in state for processing
-            StateManager.set('videos', {
-                ...StateManager.get('videos'),
-                second: {
-                    element: previewVideo,
-                    startTime: startTime,
-                    endTime: endTime,
-                    duration: endTime - startTime
-                }
-            });
+        const sources = await LocalStore.get(STORE, 'sources');
+        if (!sources || !sources.first) return null;
+
+        const processedResult = await LocalStore.get(STORE, 'processedResult');
+        return {
+            savedAt: saved.savedAt,
+            values: { ...saved.values, sources, processedResult: processedResult || null }
         };
+    };
 
-        // Global mouse up to stop selection
-        document.addEventListener('mouseup', () => {
-            if (isSelecting) {
-                isSelecting = false;
-                applySelectionToSecondVideo();
-            }
-            if (isDragging) {
-                isDragging = false;
-                draggingMarker = null;
-                applySelectionToSecondVideo();
+    // Restored values are not undoable; sources go last so the timeline is built
+    // with the restored selection already in place
+    const restore = (session) => {
+        const { sources, ...values } = session.values;
+        Object.entries(values).forEach(([key, value]) => {
+            if (value !== undefined) {
+                StateManager.set(key, value, { record: false });
             }
         });
+        StateManager.set('sources', sources, { record: false });
+        StateManager.clearHistory();
+        FILE_KEYS.forEach((key) => {
+            written[key] = session.values[key];
+        });
+    };
 
-        // Add info text
-        const infoText = document.createElement('div');
-        infoText.style.cssText = `
-            position: absolute;
-            top: -40px;
-            left: 0;
-            font-size: 11px;
-            color: var(--text-secondary);
-            background: var(--surface);
-            padding: 4px 8px;
-            border-radius: 4px;
-            border: 1px solid var(--border-color);
-        `;
-        infoText.innerHTML = `<b>Tips:</b> Click & drag to select | Ctrl+Click: set start | Shift+Click: set end | Mouse wheel: scroll | Middle click & drag: pan`;
-        framesStrip.appendChild(infoText);
+    const discard = () => LocalStore.clear(STORE);
 
-        // Add drag scroll functionality
-        let isScrollDragging = false;
-        let scrollStartX = 0;
-        let scrollLeft = 0;
+    // One line for the restore prompt, e.g. "clip.mp4, 2 ranges, saved 14:05"
+    const describe = (session) => {
+        const source = session.values.sources.first;
+        const name = typeof source === 'string' ? source.split('/').pop() : source.name || 'video';
+        const count = (session.values.ranges || []).length;
+        const parts = [name];
+        if (count > 0) {
+            parts.push(`${count} range${count === 1 ? '' : 's'}`);
+        }
+        if (session.values.processedResult) {
+            parts.push('processed result');
+        }
+        parts.push(`saved ${new Date(session.savedAt).toLocaleString()}`);
+        return parts.join(', ');
+    };
 
-        // Middle mouse button drag scroll
-        framesStrip.addEventListener('mousedown', (e) => {
-            // Middle mouse button (wheel click)
-            if (e.button === 1) {
-                e.preventDefault();
-                isScrollDragging = true;
-                framesStrip.style.cursor = 'grabbing';
-                scrollStartX = e.pageX - framesStrip.offsetLeft;
-                scrollLeft = framesStrip.scrollLeft;
-            }
-        });
+    return { start, load, restore, discard, describe, flush };
+})();
 
-        framesStrip.addEventListener('mousemove', (e) => {
-            if (!isScrollDragging) return;
-            e.preventDefault();
-            const x = e.pageX - framesStrip.offsetLeft;
-            const walk = (x - scrollStartX) * 2; // Scroll speed
-            framesStrip.scrollLeft = scrollLeft - walk;
+// Project File Module
+// A project is the edit without the videos: references to the source files with their
+// fingerprints, the ranges, operations, branch, markers, subtitles and output settings,
+// as a JSON file that can be handed to someone else and opened against their copies
+const ProjectFile = (() => {
+    const FORMAT = 'videoimg-project';
+    const VERSION = 1;
+    const EXTENSION = 'vproj';
+
+    // Each step upgrades a project from its key's version to the next one, e.g.
+    // 1: project => ({ ...project, version: 2, ... }); version 1 is the first format
+    const MIGRATIONS = {};
+
+    const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+    // The shape a current-version project must have; the first problem is thrown
+    const check = (project) => {
+        const fail = (message) => {
+            throw new Error(`Not a valid project: ${message}`);
+        };
+        if (!project.sources || typeof project.sources !== 'object') fail('sources are missing');
+        ['first', 'second'].forEach((slot) => {
+            const reference = project.sources[slot];
+            if (reference === null || reference === undefined) return;
+            const isUrl = typeof reference.url === 'string' && reference.url !== '';
+            const isFile = typeof reference.name === 'string' && Number.isInteger(reference.size) && reference.size >= 0
+                && typeof reference.fingerprint === 'string' && reference.fingerprint !== '';
+            if (!isUrl && !isFile) fail(`the ${slot} video needs a url, or a name, size and fingerprint`);
         });
-
-        framesStrip.addEventListener('mouseup', (e) => {
-            if (e.button === 1) {
-                isScrollDragging = false;
-                framesStrip.style.cursor = 'default';
+        const { selection } = project;
+        if (!selection || typeof selection !== 'object') fail('the selection is missing');
+        ['start', 'end'].forEach((edge) => {
+            if (selection[edge] !== null && selection[edge] !== undefined && !isTime(selection[edge])) {
+                fail(`the selection ${edge} must be a time in seconds`);
             }
         });
-
-        framesStrip.addEventListener('mouseleave', () => {
-            if (isScrollDragging) {
-                isScrollDragging = false;
-                framesStrip.style.cursor = 'default';
+        if (!Array.isArray(project.ranges)) fail('ranges must be a list');
+        project.ranges.forEach((range, index) => {
+            if (!range || !isTime(range.start) || !isTime(range.end) || range.end <= range.start) {
+                fail(`range ${index + 1} needs a start before its end`);
             }
         });
+        if (!Array.isArray(project.markers)) fail('markers must be a list');
+        project.markers.forEach((marker, index) => {
+            if (!marker || !isTime(marker.time)) fail(`marker ${index + 1} has no time`);
+        });
+        if (project.subtitles && !Array.isArray(project.subtitles.cues)) fail('subtitle cues must be a list');
+        if (!project.branch || typeof project.branch.id !== 'string') fail('the branch is missing');
+    };
 
-        // Mouse wheel horizontal scroll
-        framesStrip.addEventListener('wheel', (e) => {
-            e.preventDefault();
+    // Project text into a current-version project, migrating older ones
+    const parse = (text) => {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error('Not a project file (the JSON cannot be read)');
+        }
 
-            // Determine scroll direction and amount
-            const delta = e.deltaY || e.deltaX;
-            const scrollAmount = delta * 2; // Adjust scroll speed
+        if (!data || data.format !== FORMAT) {
+            throw new Error('Not a project file');
+        }
+        let { version } = data;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Unknown project version ${data.version}`);
+        }
+        if (version > VERSION) {
+            throw new Error(`The project was saved by a newer version of the app (project v${version}, this one opens up to v${VERSION})`);
+        }
 
-            // Smooth scroll
-            framesStrip.scrollBy({
-                left: scrollAmount,
-                behavior: 'smooth'
-            });
+        let project = data;
+        for (; version < VERSION; version++) {
+            project = MIGRATIONS[version](project);
+        }
+        check(project);
+        return project;
+    };
+
+    // Files are known by name, size and fingerprint; videos loaded by path by their URL
+    const describeSource = async (source) => {
+        if (!source) return null;
+        const fingerprint = await Fingerprint.of(source);
+        if (typeof source === 'string') {
+            return { url: source, fingerprint };
+        }
+        return { name: source.name, size: source.size, type: source.type, fingerprint };
+    };
+
+    const create = async () => {
+        const state = StateManager.getState();
+        const branch = BranchManager.find(state.currentBranch);
+        return {
+            format: FORMAT,
+            version: VERSION,
+            savedAt: new Date().toISOString(),
+            sources: {
+                first: await describeSource(state.sources.first),
+                second: await describeSource(state.sources.second)
+            },
+            selection: { ...state.timeRange },
+            ranges: RangeManager.toSegments(),
+            operations: state.operations,
+            branch: branch ? { id: branch.id, name: branch.name, preset: branch.preset } : { id: state.currentBranch },
+            markers: state.markers.map(({ name, time, color }) => ({ name, time, color })),
+            subtitles: state.subtitles ? { name: state.subtitles.name, cues: Subtitles.toPlain(state.subtitles.cues) } : null,
+            output: { embedChapters: state.embedChapters }
+        };
+    };
+
+    // "clip.vproj" after the first video
+    const fileName = (source) => {
+        const name = typeof source === 'string' ? source.split('/').pop() : source && source.name;
+        return `${(name || 'project').replace(/\.[^.]+$/, '')}.${EXTENSION}`;
+    };
+
+    const save = async () => {
+        const project = await create();
+        const blob = new Blob([`${JSON.stringify(project, null, 2)}\n`], { type: 'application/json' });
+        MediaUtils.saveBlob(blob, fileName(StateManager.get('sources').first));
+        return project;
+    };
+
+    // Whether a file is the one a reference was saved from
+    const matches = async (reference, source) => {
+        if (!reference || !source) return false;
+        return reference.fingerprint === await Fingerprint.of(source);
+    };
+
+    // An already loaded video (in either slot) a reference points to
+    const findLoaded = async (reference) => {
+        for (const source of Object.values(StateManager.get('sources'))) {
+            if (source && await matches(reference, source)) {
+                return source;
+            }
+        }
+        return null;
+    };
+
+    // Saved settings over the current ones, so operations added since keep their defaults
+    const mergeOperations = saved => Object.fromEntries(Object.entries(StateManager.get('operations')).map(([type, operation]) => {
+        const stored = saved[type];
+        return [type, stored ? { enabled: Boolean(stored.enabled), params: { ...operation.params, ...stored.params } } : operation];
+    }));
+
+    // The saved branch when this server has it; its preset may have changed since
+    const resolveBranch = (saved, warnings) => {
+        const branch = BranchManager.find(saved.id);
+        if (!branch) {
+            const current = StateManager.get('currentBranch');
+            const was = saved.preset ? ` (it was ${BranchManager.describePreset(saved.preset)})` : '';
+            warnings.push(`Branch "${saved.name || saved.id}" is not on this server${was}; keeping ${current}`);
+            return current;
+        }
+        if (saved.preset && BranchManager.describePreset(saved.preset) !== BranchManager.describePreset(branch.preset)) {
+            warnings.push(`Branch "${branch.name}" has changed since the project was saved: it was ${BranchManager.describePreset(saved.preset)}`);
+        }
+        return branch.id;
+    };
+
+    // Put the project's edit in place as one undo step and return warnings for the user;
+    // the videos are left to the caller, as loading them may mean uploading them
+    const apply = (project) => {
+        const warnings = [];
+        StateManager.transaction('Open project', () => {
+            StateManager.set('timeRange', { start: null, end: null, ...project.selection });
+            RangeManager.replaceAll(project.ranges, 'Open project');
+            MarkerManager.replaceAll(project.markers, 'Open project');
+            Subtitles.setTrack(project.subtitles, 'Open project');
+            StateManager.set('operations', mergeOperations(project.operations || {}));
+            StateManager.set('currentBranch', resolveBranch(project.branch, warnings));
         });
+        StateManager.set('embedChapters', Boolean(project.output && project.output.embedChapters));
+        return warnings;
+    };
 
-        // Add visual feedback for scrollable area
-        framesStrip.style.cursor = 'default';
+    return { EXTENSION, VERSION, parse, create, save, matches, findLoaded, apply };
+})();
 
-        // Change cursor on middle mouse hover
-        framesStrip.addEventListener('mouseenter', () => {
-            if (!isSelecting && !isDragging) {
-                framesStrip.style.cursor = 'grab';
+// Media Utilities Module
+const MediaUtils = (() => {
+    const abortError = (message = 'Operation cancelled') => new DOMException(message, 'AbortError');
+
+    // Resolve on a media event; reject on media error, timeout (TimeoutError) or cancellation (AbortError)
+    const waitForEvent = (target, eventName, { timeout, signal }) => new Promise((resolve, reject) => {
+        let timeoutId = null;
+
+        const cleanup = () => {
+            clearTimeout(timeoutId);
+            target.removeEventListener(eventName, onEvent);
+            target.removeEventListener('error', onError);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(new Error(`Video error while waiting for ${eventName}`));
+        };
+        const onAbort = () => {
+            cleanup();
+            reject(abortError());
+        };
+
+        if (signal && signal.aborted) {
+            reject(abortError());
+            return;
+        }
+        target.addEventListener(eventName, onEvent);
+        target.addEventListener('error', onError);
+        if (signal) signal.addEventListener('abort', onAbort);
+        timeoutId = setTimeout(() => {
+            cleanup();
+            const error = new Error(`Timed out waiting for ${eventName}`);
+            error.name = 'TimeoutError';
+            reject(error);
+        }, timeout);
+    });
+
+    // Seek and wait for the frame to be ready
+    const seek = async (video, time, signal) => {
+        if (Math.abs(video.currentTime - time) < 0.001 && video.readyState >= 2) return;
+        const seeked = waitForEvent(video, 'seeked', { timeout: AppConfig.SEEK_TIMEOUT, signal });
+        video.currentTime = time;
+        await seeked;
+    };
+
+    // Hand a blob to the browser as a download
+    const saveBlob = (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
+    // A worker run from source text, started on first use. request(message, transfer) sends
+    // the message with an id and resolves with the worker's { id, ...result } reply (or
+    // rejects on { id, error }). start() is false once the worker could not start or has
+    // failed, so callers can do the work on the main thread instead
+    const createInlineWorker = (source, label) => {
+        let worker = null;
+        let failed = false;
+        let nextId = 1;
+        const pending = new Map();
+
+        const start = () => {
+            if (worker || failed) return Boolean(worker);
+            if (typeof Worker === 'undefined') {
+                failed = true;
+                return false;
+            }
+            let url = null;
+            // The script URL is only needed until the worker is running
+            const revoke = () => {
+                if (url) {
+                    URL.revokeObjectURL(url);
+                    url = null;
+                }
+            };
+            try {
+                url = URL.createObjectURL(new Blob([`${source}\nself.postMessage({ ready: true });`], { type: 'text/javascript' }));
+                worker = new Worker(url);
+                worker.addEventListener('message', (e) => {
+                    if (e.data.ready) {
+                        revoke();
+                        return;
+                    }
+                    const request = pending.get(e.data.id);
+                    if (!request) return;
+                    pending.delete(e.data.id);
+                    if (e.data.error) {
+                        request.reject(new Error(e.data.error));
+                    } else {
+                        request.resolve(e.data);
+                    }
+                });
+                worker.addEventListener('error', () => {
+                    // Fall back to the main thread for this session
+                    revoke();
+                    failed = true;
+                    worker = null;
+                    pending.forEach(request => request.reject(new Error(`${label} worker failed`)));
+                    pending.clear();
+                });
+            } catch (error) {
+                console.warn(`${label} worker unavailable, working on the main thread:`, error);
+                revoke();
+                failed = true;
+                worker = null;
+            }
+            return Boolean(worker);
+        };
+
+        // Registered only once posted: postMessage throws (e.g. DataCloneError) when
+        // something cannot be transferred, and no reply will come for it
+        const request = (message, transfer = []) => new Promise((resolve, reject) => {
+            if (!start()) {
+                reject(new Error(`${label} worker unavailable`));
+                return;
             }
+            const id = nextId++;
+            worker.postMessage({ ...message, id }, transfer);
+            pending.set(id, { resolve, reject });
         });
 
-        framesStrip.addEventListener('mouseleave', () => {
-            framesStrip.style.cursor = 'default';
+        return { start, request };
+    };
+
+    return { abortError, waitForEvent, seek, saveBlob, createInlineWorker };
+})();
+
+// Thumbnail Pipeline Module
+// Where WebCodecs is available, MP4/MOV files are demuxed and decoded in a worker, which also
+// scales and encodes each frame on an OffscreenCanvas. Other containers and codecs, URL sources
+// and older browsers fall back to seeking a hidden <video>, with only the encoding in the worker.
+const ThumbnailPipeline = (() => {
+    const STORE = 'thumbnails';
+    const MAX_CONSECUTIVE_TIMEOUTS = 3;
+
+    // Minimal ISO BMFF (MP4/MOV) reader, pasted into the worker: returns the decoder config,
+    // display rotation and sample table (decode order, microseconds) of the first video track.
+    // Throws on anything it cannot read, so the caller can fall back to the <video> element.
+    const demuxMp4 = async (file) => {
+        const read = async (start, end) => new DataView(await file.slice(start, end).arrayBuffer());
+        const fourcc = (view, offset) => String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+        const uint64 = (view, offset) => view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+        const hex = (value) => value.toString(16).padStart(2, '0');
+        const pad = (value) => String(value).padStart(2, '0');
+
+        // The movie box may sit before or after the media data
+        let moov = null;
+        for (let offset = 0; offset + 8 <= file.size;) {
+            const head = await read(offset, offset + 16);
+            let size = head.getUint32(0);
+            if (size === 0) {
+                size = file.size - offset;
+            } else if (size === 1) {
+                size = head.byteLength === 16 ? uint64(head, 8) : 0;
+            }
+            if (size < 8) break;
+            if (fourcc(head, 4) === 'moov') {
+                moov = await read(offset, offset + size);
+                break;
+            }
+            offset += size;
+        }
+        if (!moov) throw new Error('Not an MP4 file');
+
+        // Boxes directly inside [start, end) of the movie box, as the range of their payload
+        const boxes = (start, end) => {
+            const list = [];
+            for (let offset = start; offset + 8 <= end;) {
+                let size = moov.getUint32(offset);
+                let header = 8;
+                if (size === 1) {
+                    size = uint64(moov, offset + 8);
+                    header = 16;
+                } else if (size === 0) {
+                    size = end - offset;
+                }
+                if (size < header || offset + size > end) break;
+                list.push({ type: fourcc(moov, offset + 4), start: offset + header, end: offset + size });
+                offset += size;
+            }
+            return list;
+        };
+        const find = (box, ...path) => path.reduce((parent, type) => parent && boxes(parent.start, parent.end).find(b => b.type === type), box);
+        const version = (box) => moov.getUint8(box.start);
+        const u8 = (offset) => moov.getUint8(offset);
+        const u32 = (offset) => moov.getUint32(offset);
+
+        const root = boxes(0, moov.byteLength)[0];
+        const mvhd = find(root, 'mvhd');
+        const movieTimescale = u32(mvhd.start + (version(mvhd) === 1 ? 20 : 12));
+        const track = boxes(root.start, root.end).filter(b => b.type === 'trak').find((trak) => {
+            const hdlr = find(trak, 'mdia', 'hdlr');
+            return hdlr && fourcc(moov, hdlr.start + 8) === 'vide';
         });
+        if (!track) throw new Error('No video track');
+        const mdhd = find(track, 'mdia', 'mdhd');
+        const timescale = u32(mdhd.start + (version(mdhd) === 1 ? 20 : 12));
+        const stbl = find(track, 'mdia', 'minf', 'stbl');
+
+        // Codec string and configuration record of the first sample entry
+        const stsd = find(stbl, 'stsd');
+        const entry = boxes(stsd.start + 8, stsd.end)[0];
+        const codedWidth = moov.getUint16(entry.start + 24);
+        const codedHeight = moov.getUint16(entry.start + 26);
+        const extensions = boxes(entry.start + 78, entry.end);
+        const extension = (type) => {
+            const box = extensions.find(b => b.type === type);
+            if (!box) throw new Error(`${entry.type} without ${type}`);
+            return box;
+        };
+        const bytes = (box) => new Uint8Array(moov.buffer.slice(box.start, box.end));
+        let codec;
+        let description;
+        if (entry.type === 'avc1' || entry.type === 'avc3') {
+            const avcC = extension('avcC');
+            codec = `${entry.type}.${hex(u8(avcC.start + 1))}${hex(u8(avcC.start + 2))}${hex(u8(avcC.start + 3))}`;
+            description = bytes(avcC);
+        } else if (entry.type === 'hvc1' || entry.type === 'hev1') {
+            const hvcC = extension('hvcC');
+            const profile = u8(hvcC.start + 1);
+            // The compatibility flags are written with their bits reversed
+            let flags = u32(hvcC.start + 2);
+            let compatibility = 0;
+            for (let i = 0; i < 32; i++) {
+                compatibility = (compatibility << 1) | (flags & 1);
+                flags >>>= 1;
+            }
+            const constraints = [];
+            for (let i = 6; i < 12; i++) {
+                constraints.push(u8(hvcC.start + i));
+            }
+            while (constraints.length && constraints[constraints.length - 1] === 0) {
+                constraints.pop();
+            }
+            codec = [
+                `${entry.type}.${['', 'A', 'B', 'C'][profile >> 6]}${profile & 0x1f}`,
+                (compatibility >>> 0).toString(16),
+                `${profile & 0x20 ? 'H' : 'L'}${u8(hvcC.start + 12)}`,
+                ...constraints.map(c => c.toString(16))
+            ].join('.');
+            description = bytes(hvcC);
+        } else if (entry.type === 'vp09') {
+            const vpcC = extension('vpcC');
+            codec = `vp09.${pad(u8(vpcC.start + 4))}.${pad(u8(vpcC.start + 5))}.${pad(u8(vpcC.start + 6) >> 4)}`;
+        } else if (entry.type === 'av01') {
+            const av1C = extension('av1C');
+            const profile = u8(av1C.start + 1);
+            const flags = u8(av1C.start + 2);
+            const depth = flags & 0x40 ? (flags & 0x20 ? 12 : 10) : 8;
+            codec = `av01.${profile >> 5}.${pad(profile & 0x1f)}${flags & 0x80 ? 'H' : 'M'}.${pad(depth)}`;
+            description = bytes(av1C);
+        } else {
+            throw new Error(`Unsupported codec ${entry.type}`);
+        }
+
+        // Rotation from the track matrix, which the <video> element applies on its own
+        const tkhd = find(track, 'tkhd');
+        const matrix = tkhd.start + (version(tkhd) === 1 ? 52 : 40);
+        const angle = Math.atan2(moov.getInt32(matrix + 4), moov.getInt32(matrix));
+        const rotation = (Math.round(angle * 2 / Math.PI) * 90 + 360) % 360;
+
+        const stsz = find(stbl, 'stsz');
+        const fixedSize = u32(stsz.start + 4);
+        const count = u32(stsz.start + 8);
+        if (!count) throw new Error('No samples in the movie box');
+        const stss = find(stbl, 'stss');
+        const samples = [];
+        for (let i = 0; i < count; i++) {
+            samples.push({ size: fixedSize || u32(stsz.start + 12 + i * 4), key: !stss, dts: 0, composition: 0, duration: 0, offset: 0 });
+        }
+        if (stss) {
+            for (let i = 0; i < u32(stss.start + 4); i++) {
+                const sample = samples[u32(stss.start + 8 + i * 4) - 1];
+                if (sample) sample.key = true;
+            }
+        }
 
-        // Generate thumbnails from the actual video
-        let currentIndex = 0;
+        const stts = find(stbl, 'stts');
+        for (let i = 0, n = 0, dts = 0; i < u32(stts.start + 4); i++) {
+            const run = u32(stts.start + 8 + i * 8);
+            const delta = u32(stts.start + 12 + i * 8);
+            for (let j = 0; j < run && n < count; j++, n++) {
+                samples[n].dts = dts;
+                samples[n].duration = delta;
+                dts += delta;
+            }
+        }
 
-        const captureFrame = () => {
-            if (currentIndex >= frames.length) {
-                setupTimelineControls(video, frames);
-                return;
+        const ctts = find(stbl, 'ctts');
+        if (ctts) {
+            const signed = version(ctts) === 1;
+            for (let i = 0, n = 0; i < u32(ctts.start + 4); i++) {
+                const run = u32(ctts.start + 8 + i * 8);
+                const composition = signed ? moov.getInt32(ctts.start + 12 + i * 8) : u32(ctts.start + 12 + i * 8);
+                for (let j = 0; j < run && n < count; j++, n++) {
+                    samples[n].composition = composition;
+                }
             }
+        }
 
-            const { canvas, time } = frames[currentIndex];
+        const stco = find(stbl, 'stco');
+        const co64 = find(stbl, 'co64');
+        const chunks = stco || co64;
+        const chunkCount = u32(chunks.start + 4);
+        const chunkOffset = (i) => (stco ? u32(stco.start + 8 + i * 4) : uint64(moov, co64.start + 8 + i * 8));
+        const stsc = find(stbl, 'stsc');
+        const runs = u32(stsc.start + 4);
+        let placed = 0;
+        for (let i = 0; i < runs; i++) {
+            const base = stsc.start + 8 + i * 12;
+            const lastChunk = i + 1 < runs ? u32(base + 12) - 1 : chunkCount;
+            for (let chunk = u32(base) - 1; chunk < lastChunk; chunk++) {
+                let offset = chunkOffset(chunk);
+                for (let j = 0; j < u32(base + 4) && placed < count; j++, placed++) {
+                    samples[placed].offset = offset;
+                    offset += samples[placed].size;
+                }
+            }
+        }
+        if (placed < count) throw new Error('Incomplete sample table');
+
+        // The edit list says where presentation starts: an empty edit delays the track,
+        // a media time skips its beginning (e.g. the reordering delay of B-frames)
+        let shift = 0;
+        const elst = find(track, 'edts', 'elst');
+        if (elst) {
+            const wide = version(elst) === 1;
+            for (let i = 0; i < u32(elst.start + 4); i++) {
+                const base = elst.start + 8 + i * (wide ? 20 : 12);
+                const duration = wide ? uint64(moov, base) : u32(base);
+                const mediaTime = wide ? moov.getInt32(base + 8) * 2 ** 32 + u32(base + 12) : moov.getInt32(base + 4);
+                if (mediaTime !== -1) {
+                    shift += mediaTime;
+                    break;
+                }
+                shift -= duration / movieTimescale * timescale;
+            }
+        }
 
-            // Set video time and wait for seek
-            video.currentTime = time;
+        const micro = (ticks) => Math.round(ticks * 1e6 / timescale);
+        return {
+            config: { codec, codedWidth, codedHeight, description },
+            rotation,
+            samples: samples.map(sample => ({
+                offset: sample.offset,
+                size: sample.size,
+                key: sample.key,
+                timestamp: micro(sample.dts + sample.composition - shift),
+                duration: micro(sample.duration)
+            }))
+        };
+    };
 
-            const captureCurrentFrame = () => {
-                try {
-                    const ctx = canvas.getContext('2d');
-                    // Draw current video frame to canvas
-                    ctx.drawImage(video, 0, 0, 160, 90);
+    // Runs inside the worker, with demuxMp4 pasted in ahead of it. 'open' demuxes a file for
+    // WebCodecs, 'decode' turns one time of an opened file into a thumbnail and 'close' drops
+    // it; a plain message scales and encodes a frame grabbed from the hidden <video>.
+    const workerMain = () => {
+        const sessions = new Map();
 
-                    console.log(`Captured frame at ${time}s`);
-                    updateProgressBar(((currentIndex + 1) / frameCount) * 100);
-                } catch (error) {
-                    console.error(`Error capturing frame at ${time}s:`, error);
-                    // Draw error placeholder
-                    const ctx = canvas.getContext('2d');
-                    ctx.fillStyle = '#e0e0e0';
-                    ctx.fillRect(0, 0, 160, 90);
-                    ctx.fillStyle = '#999';
-                    ctx.font = '10px Arial';
-                    ctx.textAlign = 'center';
-                    ctx.fillText(`${time}s`, 80, 45);
-                }
-
-                currentIndex++;
-                // Process next frame
-                setTimeout(captureFrame, 100);
+        const render = async (frame, width, height, type, quality, rotation = 0) => {
+            const canvas = new OffscreenCanvas(width, height);
+            const ctx = canvas.getContext('2d');
+            const [drawWidth, drawHeight] = rotation % 180 ? [height, width] : [width, height];
+            try {
+                ctx.translate(width / 2, height / 2);
+                ctx.rotate(rotation * Math.PI / 180);
+                ctx.drawImage(frame, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+            } finally {
+                frame.close();
+            }
+            const blob = await canvas.convertToBlob({ type, quality });
+            return { blob, bitmap: canvas.transferToImageBitmap() };
+        };
+
+        const open = async (file) => {
+            const { config, rotation, samples } = await demuxMp4(file);
+            const { supported } = await VideoDecoder.isConfigSupported(config);
+            if (!supported) throw new Error(`${config.codec} cannot be decoded here`);
+
+            // Sample indices in presentation order, to find the one shown at a time
+            const shown = samples.map((sample, index) => index).sort((a, b) => samples[a].timestamp - samples[b].timestamp);
+            const session = { file, rotation, samples, shown, output: frame => frame.close() };
+            session.decoder = new VideoDecoder({
+                output: frame => session.output(frame),
+                // Also rejects the pending flush(), which reports it
+                error: () => {}
+            });
+            session.decoder.configure(config);
+            return session;
+        };
+
+        // Feeds the decoder from the key frame before the sample shown at `time` through
+        // that sample, keeping only its frame; every flush leaves the decoder wanting a key frame
+        const decodeAt = async (session, time) => {
+            const { samples, shown } = session;
+            const wanted = time * 1e6;
+            let low = 0;
+            let high = shown.length - 1;
+            while (low < high) {
+                const middle = (low + high + 1) >> 1;
+                if (samples[shown[middle]].timestamp <= wanted) {
+                    low = middle;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            const target = shown[low];
+            let first = target;
+            while (first > 0 && !samples[first].key) {
+                first--;
+            }
+
+            let start = Infinity;
+            let end = 0;
+            for (let i = first; i <= target; i++) {
+                start = Math.min(start, samples[i].offset);
+                end = Math.max(end, samples[i].offset + samples[i].size);
+            }
+            const data = new Uint8Array(await session.file.slice(start, end).arrayBuffer());
+
+            const timestamp = samples[target].timestamp;
+            let picked = null;
+            session.output = (frame) => {
+                if (!picked || Math.abs(frame.timestamp - timestamp) < Math.abs(picked.timestamp - timestamp)) {
+                    if (picked) picked.close();
+                    picked = frame;
+                } else {
+                    frame.close();
+                }
             };
+            try {
+                for (let i = first; i <= target; i++) {
+                    const sample = samples[i];
+                    session.decoder.decode(new EncodedVideoChunk({
+                        type: sample.key ? 'key' : 'delta',
+                        timestamp: sample.timestamp,
+                        duration: sample.duration,
+                        data: data.subarray(sample.offset - start, sample.offset - start + sample.size)
+                    }));
+                }
+                await session.decoder.flush();
+            } catch (error) {
+                if (picked) picked.close();
+                throw error;
+            }
+            if (!picked) throw new Error('No frame decoded');
+            return picked;
+        };
+
+        self.addEventListener('message', async (e) => {
+            const { id, kind, width, height, type, quality } = e.data;
+            try {
+                if (kind === 'open') {
+                    sessions.set(id, await open(e.data.file));
+                    self.postMessage({ id, session: id });
+                } else if (kind === 'decode') {
+                    const session = sessions.get(e.data.session);
+                    if (!session) throw new Error('Decoding session closed');
+                    const frame = await decodeAt(session, e.data.time);
+                    const { blob, bitmap } = await render(frame, width, height, type, quality, session.rotation);
+                    self.postMessage({ id, blob, bitmap }, [bitmap]);
+                } else if (kind === 'close') {
+                    const session = sessions.get(e.data.session);
+                    sessions.delete(e.data.session);
+                    if (session && session.decoder.state !== 'closed') session.decoder.close();
+                    self.postMessage({ id });
+                } else {
+                    const { blob, bitmap } = await render(e.data.frame, width, height, type, quality);
+                    self.postMessage({ id, blob, bitmap }, [bitmap]);
+                }
+            } catch (error) {
+                self.postMessage({ id, error: error.message });
+            }
+        });
+    };
+
+    const worker = MediaUtils.createInlineWorker(`const demuxMp4 = ${demuxMp4.toString()};\n(${workerMain.toString()})();`, 'Thumbnail');
+
+    const throwIfAborted = (signal) => {
+        if (signal && signal.aborted) throw MediaUtils.abortError('Thumbnail extraction cancelled');
+    };
 
-            // Wait for seek to complete
-            if (Math.abs(video.currentTime - time) < 0.1) {
-                // Already at the right time
-                setTimeout(captureCurrentFrame, 50);
+    // Hidden video used only for extraction, so the visible player is never seeked
+    const openFrameSource = async (src, signal) => {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.playsInline = true;
+        video.src = src;
+
+        const close = () => {
+            video.removeAttribute('src');
+            video.load();
+        };
+
+        try {
+            if (video.readyState < 2) {
+                await MediaUtils.waitForEvent(video, 'loadeddata', { timeout: AppConfig.SEEK_TIMEOUT, signal });
+            }
+        } catch (error) {
+            close();
+            throw error;
+        }
+
+        const seek = (time) => MediaUtils.seek(video, time, signal);
+
+        return { video, seek, close };
+    };
+
+    const encodeOnMainThread = (video, width, height) => new Promise((resolve, reject) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve({ blob, image: canvas });
             } else {
-                // Wait for seek
-                const seekHandler = () => {
-                    video.removeEventListener('seeked', seekHandler);
-                    setTimeout(captureCurrentFrame, 50);
-                };
-                video.addEventListener('seeked', seekHandler);
+                reject(new Error('Could not encode thumbnail'));
+            }
+        }, AppConfig.THUMBNAIL_TYPE, AppConfig.THUMBNAIL_QUALITY);
+    });
+
+    // Grab the decoded frame (as a WebCodecs VideoFrame where supported) and hand it to the worker
+    const encode = async (video, width, height) => {
+        if (typeof OffscreenCanvas === 'undefined' || !worker.start()) {
+            return encodeOnMainThread(video, width, height);
+        }
+
+        const frame = typeof VideoFrame !== 'undefined'
+            ? new VideoFrame(video)
+            : await createImageBitmap(video);
+
+        try {
+            const { blob, bitmap } = await worker.request({
+                frame,
+                width,
+                height,
+                type: AppConfig.THUMBNAIL_TYPE,
+                quality: AppConfig.THUMBNAIL_QUALITY
+            }, [frame]);
+            return { blob, image: bitmap };
+        } catch (error) {
+            console.warn('Worker encoding failed, retrying on the main thread:', error);
+            // An open VideoFrame holds a decoder buffer; closing a transferred one does nothing
+            frame.close();
+            return encodeOnMainThread(video, width, height);
+        }
+    };
+
+    // Decode the given indices in the worker with WebCodecs, handing each thumbnail to
+    // deliver(index, image, blob); resolves to the indices left for the <video> element,
+    // i.e. all of them when the file or codec cannot be decoded there
+    const decodeInWorker = async ({ source, times, indices, width, height, signal, deliver }) => {
+        if (!(source instanceof Blob) || typeof VideoDecoder === 'undefined'
+            || typeof OffscreenCanvas === 'undefined' || !worker.start()) {
+            return indices;
+        }
+
+        let session;
+        try {
+            ({ session } = await worker.request({ kind: 'open', file: source }));
+        } catch (error) {
+            console.info('Not decoding thumbnails with WebCodecs, seeking the video instead:', error.message);
+            return indices;
+        }
+
+        try {
+            for (let i = 0; i < indices.length; i++) {
+                throwIfAborted(signal);
+                let reply;
+                try {
+                    reply = await worker.request({
+                        kind: 'decode',
+                        session,
+                        time: times[indices[i]],
+                        width,
+                        height,
+                        type: AppConfig.THUMBNAIL_TYPE,
+                        quality: AppConfig.THUMBNAIL_QUALITY
+                    });
+                } catch (error) {
+                    console.warn('Worker decoding failed, seeking the video instead:', error);
+                    return indices.slice(i);
+                }
+                if (signal && signal.aborted) reply.bitmap.close();
+                throwIfAborted(signal);
+                deliver(indices[i], reply.bitmap, reply.blob);
+            }
+            return [];
+        } finally {
+            worker.request({ kind: 'close', session }).catch(() => {});
+        }
+    };
+
+    // Deliver a thumbnail for each time through onFrame(index, image), reading cached
+    // thumbnails of the same file first and extracting only the missing ones.
+    // Rejects with an AbortError once the signal is aborted.
+    const extract = async ({ source, src, times, width, height, signal, onFrame, onError }) => {
+        const fingerprint = await Fingerprint.of(source || src);
+        throwIfAborted(signal);
+
+        const keyFor = (time) => `${fingerprint}|${width}x${height}|${time.toFixed(3)}`;
+        const missing = [];
+
+        for (let i = 0; i < times.length; i++) {
+            const cached = await LocalStore.get(STORE, keyFor(times[i]));
+            throwIfAborted(signal);
+            if (!cached) {
+                missing.push(i);
+                continue;
+            }
+            try {
+                onFrame(i, await createImageBitmap(cached));
+            } catch (error) {
+                missing.push(i);
             }
+        }
+
+        if (missing.length === 0) return;
+
+        const deliver = (index, image, blob) => {
+            onFrame(index, image);
+            LocalStore.put(STORE, keyFor(times[index]), blob);
         };
 
-        // Start capturing frames after a short delay
-        setTimeout(() => {
-            // Make sure video is paused during capture
-            const wasPlaying = !video.paused;
-            video.pause();
+        const remaining = await decodeInWorker({ source, times, indices: missing, width, height, signal, deliver });
+        if (remaining.length === 0) return;
+
+        const frameSource = await openFrameSource(src, signal);
+        let consecutiveTimeouts = 0;
+
+        try {
+            for (const index of remaining) {
+                throwIfAborted(signal);
+                try {
+                    await frameSource.seek(times[index]);
+                    const { blob, image } = await encode(frameSource.video, width, height);
+                    throwIfAborted(signal);
 
-            captureFrame();
+                    consecutiveTimeouts = 0;
+                    deliver(index, image, blob);
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    onError(index, error);
 
-            // Don't restore play state - keep video paused
-        }, 200);
+                    // A video that keeps stalling is given up on instead of timing out frame by frame
+                    if (error.name === 'TimeoutError' && ++consecutiveTimeouts >= MAX_CONSECUTIVE_TIMEOUTS) {
+                        throw new Error('Video stopped responding while generating thumbnails');
+                    }
+                }
+            }
+        } finally {
+            frameSource.close();
+        }
     };
 
-    const formatTime = (seconds) => {
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    return { extract, openFrameSource };
+})();
+
+// Audio Waveform Module
+// Decodes the soundtrack of a source once and keeps only what the timeline needs:
+// min/max peaks and RMS per bucket of 1/WAVEFORM_RESOLUTION seconds
+const AudioWaveform = (() => {
+    // Sources are Files (kept weakly) or URLs
+    const fileCache = new WeakMap();
+    const urlCache = new Map();
+
+    const cacheFor = source => (typeof source === 'string' ? urlCache : fileCache);
+
+    const getContextClass = () => window.OfflineAudioContext || window.webkitOfflineAudioContext || null;
+
+    const isSupported = () => Boolean(getContextClass());
+
+    const readSource = async (source, signal) => {
+        if (typeof source !== 'string') {
+            return source.arrayBuffer();
+        }
+        const response = await fetch(source, { signal });
+        if (!response.ok) {
+            throw new Error(`Could not load audio: HTTP ${response.status}`);
+        }
+        return response.arrayBuffer();
     };
 
-    const updateActiveFrame = (activeFrame) => {
-        document.querySelectorAll('.frame-thumbnail').forEach(frame => {
-            frame.classList.remove('active');
+    // Older Safari only has the callback form of decodeAudioData
+    const decode = (buffer) => {
+        const Context = getContextClass();
+        const context = new Context(1, 1, 44100);
+        return new Promise((resolve, reject) => {
+            const fail = () => reject(new Error('The video has no decodable audio track'));
+            const pending = context.decodeAudioData(buffer, resolve, fail);
+            if (pending && typeof pending.then === 'function') {
+                pending.then(resolve, fail);
+            }
         });
-        activeFrame.classList.add('active');
     };
 
-    const updateProgressBar = (percentage) => {
-        const progressBar = document.getElementById('timeline-progress-bar');
-        if (progressBar) {
-            progressBar.style.width = `${percentage}%`;
+    // Channels are mixed down; a bucket keeps the extremes and the loudness of its samples
+    const summarize = (audio) => {
+        const samplesPerBucket = Math.max(1, Math.round(audio.sampleRate / AppConfig.WAVEFORM_RESOLUTION));
+        const count = Math.ceil(audio.length / samplesPerBucket);
+        const min = new Float32Array(count);
+        const max = new Float32Array(count);
+        const rms = new Float32Array(count);
+        const channels = Array.from({ length: audio.numberOfChannels }, (_, i) => audio.getChannelData(i));
+
+        for (let bucket = 0; bucket < count; bucket++) {
+            const from = bucket * samplesPerBucket;
+            const to = Math.min(audio.length, from + samplesPerBucket);
+            let low = 0;
+            let high = 0;
+            let energy = 0;
+            for (let i = from; i < to; i++) {
+                let sample = 0;
+                for (let c = 0; c < channels.length; c++) {
+                    sample += channels[c][i];
+                }
+                sample /= channels.length;
+                if (sample < low) low = sample;
+                if (sample > high) high = sample;
+                energy += sample * sample;
+            }
+            min[bucket] = low;
+            max[bucket] = high;
+            rms[bucket] = Math.sqrt(energy / Math.max(1, to - from));
+        }
+
+        return { resolution: audio.sampleRate / samplesPerBucket, duration: audio.duration, min, max, rms };
+    };
+
+    // Resolves with the summary; rejects for a video without sound
+    const analyze = (source, { signal } = {}) => {
+        const cache = cacheFor(source);
+        if (!cache.has(source)) {
+            if (!isSupported()) {
+                return Promise.reject(new Error('This browser cannot decode audio'));
+            }
+            const pending = readSource(source, signal).then(decode).then(summarize);
+            // A failed or cancelled decode is tried again next time
+            pending.catch(() => cache.delete(source));
+            cache.set(source, pending);
+        }
+        return cache.get(source);
+    };
+
+    const bucketAt = (waveform, time) => Math.max(0, Math.min(waveform.rms.length - 1, Math.floor(time * waveform.resolution)));
+
+    // Lowest and highest sample over [from, to) seconds, for one pixel column
+    const peakBetween = (waveform, from, to) => {
+        const first = bucketAt(waveform, from);
+        const last = Math.max(first, bucketAt(waveform, to) - 1);
+        let low = 0;
+        let high = 0;
+        for (let i = first; i <= last; i++) {
+            if (waveform.min[i] < low) low = waveform.min[i];
+            if (waveform.max[i] > high) high = waveform.max[i];
+        }
+        return { low, high };
+    };
+
+    const isSilent = (waveform, bucket) => waveform.rms[bucket] < AppConfig.SILENCE_THRESHOLD;
+
+    // Closest silent moment within `window` seconds of `time` (time itself when it is
+    // already silent), or null when there is only sound nearby
+    const nearestSilence = (waveform, time, window = AppConfig.SILENCE_SNAP_WINDOW) => {
+        const origin = bucketAt(waveform, time);
+        if (isSilent(waveform, origin)) return time;
+
+        const reach = Math.ceil(window * waveform.resolution);
+        for (let distance = 1; distance <= reach; distance++) {
+            // The edge of the silent bucket that faces the original time
+            if (origin - distance >= 0 && isSilent(waveform, origin - distance)) {
+                return (origin - distance + 1) / waveform.resolution;
+            }
+            if (origin + distance < waveform.rms.length && isSilent(waveform, origin + distance)) {
+                return (origin + distance) / waveform.resolution;
+            }
+        }
+        return null;
+    };
+
+    return { isSupported, analyze, peakBetween, nearestSilence };
+})();
+
+// Scene Detection Module
+// Samples frames of a source on a hidden video and scores how much each differs
+// from the one before; a high score is a cut. Frames are shrunk and summarized in a
+// worker, and each likely cut is narrowed down to the exact frame afterwards.
+const SceneDetector = (() => {
+    const WIDTH = 64;
+    const HEIGHT = 36;
+    const BINS = 8; // Per colour channel, so 512 histogram bins
+
+    // Shared by the worker and the main-thread fallback: a colour histogram
+    // (fractions of the frame) and the luma of every pixel
+    const signatureOf = (pixels, bins) => {
+        const shift = 8 - Math.log2(bins);
+        const histogram = new Float32Array(bins * bins * bins);
+        const luma = new Uint8Array(pixels.length / 4);
+        for (let i = 0, p = 0; i < pixels.length; i += 4, p++) {
+            const r = pixels[i];
+            const g = pixels[i + 1];
+            const b = pixels[i + 2];
+            histogram[((r >> shift) * bins + (g >> shift)) * bins + (b >> shift)]++;
+            luma[p] = (r * 77 + g * 150 + b * 29) >> 8;
+        }
+        for (let i = 0; i < histogram.length; i++) {
+            histogram[i] /= luma.length;
+        }
+        return { histogram, luma };
+    };
+
+    // Runs inside the worker; signatureOf is pasted in ahead of it
+    const workerMain = () => {
+        self.addEventListener('message', (e) => {
+            const { id, frame, width, height, bins } = e.data;
+            try {
+                const canvas = new OffscreenCanvas(width, height);
+                const ctx = canvas.getContext('2d', { willReadFrequently: true });
+                ctx.drawImage(frame, 0, 0, width, height);
+                frame.close();
+                const { histogram, luma } = signatureOf(ctx.getImageData(0, 0, width, height).data, bins);
+                self.postMessage({ id, histogram, luma }, [histogram.buffer, luma.buffer]);
+            } catch (error) {
+                self.postMessage({ id, error: error.message });
+            }
+        });
+    };
+
+    const worker = MediaUtils.createInlineWorker(`const signatureOf = ${signatureOf.toString()};\n(${workerMain.toString()})();`, 'Scene');
+
+    let scratch = null;
+
+    const signOnMainThread = (video) => {
+        if (!scratch) {
+            scratch = document.createElement('canvas');
+            scratch.width = WIDTH;
+            scratch.height = HEIGHT;
+        }
+        const ctx = scratch.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, WIDTH, HEIGHT);
+        return signatureOf(ctx.getImageData(0, 0, WIDTH, HEIGHT).data, BINS);
+    };
+
+    // The browser scales the frame down before it is handed to the worker
+    const sign = async (video) => {
+        if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined' || !worker.start()) {
+            return signOnMainThread(video);
+        }
+        const frame = await createImageBitmap(video, { resizeWidth: WIDTH, resizeHeight: HEIGHT });
+        try {
+            const { histogram, luma } = await worker.request({ frame, width: WIDTH, height: HEIGHT, bins: BINS }, [frame]);
+            return { histogram, luma };
+        } catch (error) {
+            console.warn('Worker scoring failed, retrying on the main thread:', error);
+            frame.close();
+            return signOnMainThread(video);
+        }
+    };
+
+    // 0 (same picture) to 1: how much of the colour distribution moved, or the
+    // average brightness change per pixel
+    const difference = (a, b, method) => {
+        let total = 0;
+        if (method === 'pixel') {
+            for (let i = 0; i < a.luma.length; i++) {
+                total += Math.abs(a.luma[i] - b.luma[i]);
+            }
+            return total / (a.luma.length * 255);
+        }
+        for (let i = 0; i < a.histogram.length; i++) {
+            total += Math.abs(a.histogram[i] - b.histogram[i]);
+        }
+        return total / 2;
+    };
+
+    // Pixel differences run lower than histogram ones for the same cut
+    const DEFAULT_THRESHOLDS = { histogram: 0.4, pixel: 0.15 };
+
+    // Results per source (Files kept weakly, URLs by value) and method
+    const fileCache = new WeakMap();
+    const urlCache = new Map();
+
+    const cachedResults = (source) => {
+        const cache = typeof source === 'string' ? urlCache : fileCache;
+        if (!cache.has(source)) {
+            cache.set(source, new Map());
+        }
+        return cache.get(source);
+    };
+
+    // Between the last sample of one shot and the first of the next, keep the half
+    // that still changes until a single frame is left: that frame starts the new shot
+    const refine = async (grab, cut, method, frameRate) => {
+        const frame = 1 / frameRate;
+        let before = cut.before;
+        let after = cut.after;
+        while (after - before > frame * 1.5) {
+            const middle = TimeCode.snapToFrame((before + after) / 2, frameRate);
+            if (middle <= before || middle >= after) break;
+            const signature = await grab(middle);
+            if (difference(cut.beforeSignature, signature, method) < difference(signature, cut.afterSignature, method)) {
+                before = middle;
+            } else {
+                after = middle;
+            }
+        }
+        return after;
+    };
+
+    // Resolves with every change scoring at least SCENE_MIN_THRESHOLD as { time, score },
+    // time being the first frame of the new shot. onProgress gets 0-100.
+    // Rejects with an AbortError once the signal is aborted.
+    const detect = async ({ source, duration, frameRate, method = 'histogram', signal, onProgress = () => {} }) => {
+        const results = cachedResults(source);
+        if (results.has(method)) {
+            return results.get(method);
+        }
+
+        const fps = frameRate || AppConfig.DEFAULT_FRAME_RATE;
+        const step = Math.max(1 / fps, 1 / AppConfig.SCENE_SAMPLE_RATE, duration / AppConfig.SCENE_MAX_SAMPLES);
+        const times = [];
+        for (let i = 0; i * step < duration; i++) {
+            times.push(TimeCode.snapToFrame(i * step, fps));
+        }
+
+        const src = typeof source === 'string' ? source : URL.createObjectURL(source);
+        let frameSource = null;
+        try {
+            frameSource = await ThumbnailPipeline.openFrameSource(src, signal);
+            const grab = async (time) => {
+                await frameSource.seek(time);
+                if (signal && signal.aborted) throw MediaUtils.abortError('Scene detection cancelled');
+                return sign(frameSource.video);
+            };
+
+            // Scanning is most of the work; narrowing the cuts down takes the rest
+            const changes = [];
+            let previous = await grab(times[0]);
+            for (let i = 1; i < times.length; i++) {
+                const current = await grab(times[i]);
+                const score = difference(previous, current, method);
+                if (score >= AppConfig.SCENE_MIN_THRESHOLD) {
+                    changes.push({ score, before: times[i - 1], after: times[i], beforeSignature: previous, afterSignature: current });
+                }
+                previous = current;
+                onProgress((i / times.length) * 80);
+            }
+
+            const candidates = [];
+            for (let i = 0; i < changes.length; i++) {
+                const time = await refine(grab, changes[i], method, fps);
+                candidates.push({ time, score: Math.round(changes[i].score * 1000) / 1000 });
+                onProgress(80 + ((i + 1) / changes.length) * 20);
+            }
+            onProgress(100);
+
+            results.set(method, candidates);
+            return candidates;
+        } finally {
+            if (frameSource) {
+                frameSource.close();
+            }
+            if (src !== source) {
+                URL.revokeObjectURL(src);
+            }
+        }
+    };
+
+    // Candidates at or above the threshold; of cuts closer than SCENE_MIN_LENGTH
+    // (a fade or a flash) only the strongest is kept
+    const cutsFor = (candidates, threshold) => {
+        const kept = [];
+        candidates.filter(candidate => candidate.score >= threshold).forEach((candidate) => {
+            const last = kept[kept.length - 1];
+            if (last && candidate.time - last.time < AppConfig.SCENE_MIN_LENGTH) {
+                if (candidate.score > last.score) {
+                    kept[kept.length - 1] = candidate;
+                }
+                return;
+            }
+            kept.push(candidate);
+        });
+        return kept;
+    };
+
+    // One { start, end } per scene, from the cuts of the whole video
+    const toScenes = (cuts, duration) => {
+        const edges = [0, ...cuts.map(cut => cut.time).filter(time => time > 0 && time < duration), duration];
+        return edges.slice(1).map((end, i) => ({ start: edges[i], end }));
+    };
+
+    return { DEFAULT_THRESHOLDS, detect, cutsFor, toScenes };
+})();
+
+// ZIP Module
+// Writes stored (uncompressed) ZIP archives: the images going in are compressed
+// already. Without ZIP64 an archive stays under 4 GB, far above EXPORT_MAX_FRAMES.
+const ZipArchive = (() => {
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    const crc32 = (bytes) => {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+
+    // MS-DOS time and date fields, in local time as unzip tools expect
+    const dosDateTime = (date) => ({
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    });
+
+    const UTF8_NAMES = 0x0800;
+
+    // add(name, data) takes a Blob or a string; entries keep their Blob, so the
+    // browser decides whether the bytes live in memory or on disk
+    const create = () => {
+        const encoder = new TextEncoder();
+        const entries = [];
+        const parts = [];
+        let offset = 0;
+
+        const add = async (name, data) => {
+            const blob = data instanceof Blob ? data : new Blob([data]);
+            const nameBytes = encoder.encode(name);
+            const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+            const { time, date } = dosDateTime(new Date());
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, UTF8_NAMES, true);
+            header.setUint16(8, 0, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, blob.size, true);
+            header.setUint32(22, blob.size, true);
+            header.setUint16(26, nameBytes.length, true);
+            header.setUint16(28, 0, true);
+
+            parts.push(header.buffer, nameBytes, blob);
+            entries.push({ nameBytes, crc, size: blob.size, offset, time, date });
+            offset += 30 + nameBytes.length + blob.size;
+        };
+
+        const toBlob = () => {
+            const directory = entries.map((entry) => {
+                const record = new DataView(new ArrayBuffer(46));
+                record.setUint32(0, 0x02014B50, true);
+                record.setUint16(4, 20, true);
+                record.setUint16(6, 20, true);
+                record.setUint16(8, UTF8_NAMES, true);
+                record.setUint16(10, 0, true);
+                record.setUint16(12, entry.time, true);
+                record.setUint16(14, entry.date, true);
+                record.setUint32(16, entry.crc, true);
+                record.setUint32(20, entry.size, true);
+                record.setUint32(24, entry.size, true);
+                record.setUint16(28, entry.nameBytes.length, true);
+                record.setUint32(42, entry.offset, true);
+                return [record.buffer, entry.nameBytes];
+            });
+            const directorySize = entries.reduce((sum, entry) => sum + 46 + entry.nameBytes.length, 0);
+
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054B50, true);
+            end.setUint16(8, entries.length, true);
+            end.setUint16(10, entries.length, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob([...parts, ...directory.flat(), end.buffer], { type: 'application/zip' });
+        };
+
+        return { add, toBlob };
+    };
+
+    return { create, crc32 };
+})();
+
+// Frame Export Module
+// Stills at the source's full resolution: the frame on screen, a contact or sprite
+// sheet of a range, and every Nth frame of a range as a ZIP with a JSON manifest
+const FrameExport = (() => {
+    const FORMATS = {
+        png: { type: 'image/png', extension: 'png' },
+        jpeg: { type: 'image/jpeg', extension: 'jpg' },
+        webp: { type: 'image/webp', extension: 'webp' }
+    };
+
+    const throwIfAborted = (signal) => {
+        if (signal && signal.aborted) throw MediaUtils.abortError('Export cancelled');
+    };
+
+    // Browsers that cannot write a type quietly fall back to PNG, so check what came out
+    const encode = (canvas, format) => new Promise((resolve, reject) => {
+        const { type } = FORMATS[format];
+        canvas.toBlob((blob) => {
+            if (!blob || blob.type !== type) {
+                reject(new Error(`This browser cannot save ${format.toUpperCase()} images`));
+            } else {
+                resolve(blob);
+            }
+        }, type, AppConfig.EXPORT_QUALITY);
+    });
+
+    const createCanvas = (width, height) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    };
+
+    // "clip.mov" -> "clip"; URLs use their last path segment
+    const baseName = (source) => {
+        const name = typeof source === 'string' ? decodeURIComponent(source.split(/[?#]/)[0].split('/').pop()) : source.name;
+        return (name || 'video').replace(/\.[^.]+$/, '') || 'video';
+    };
+
+    // Timecodes in file names use dashes: "clip_00-00-03-12.png"
+    const fileStamp = (time, frameRate) => TimeCode.toTimecode(time, frameRate).replace(/[:;]/g, '-');
+
+    const fileName = (source, time, frameRate, format) => `${baseName(source)}_${fileStamp(time, frameRate)}.${FORMATS[format].extension}`;
+
+    // The frame the player shows, drawn at the video's own size
+    const snapshot = async (video, format) => {
+        if (!video || !video.videoWidth) {
+            throw new Error('The video has no frame to export yet');
+        }
+        const canvas = createCanvas(video.videoWidth, video.videoHeight);
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        return encode(canvas, format);
+    };
+
+    // Evenly spaced frames from the start of the range, the last one before its end
+    const sampleTimes = (start, end, count, frameRate) => Array.from({ length: count },
+        (_, i) => TimeCode.snapToFrame(start + ((end - start) * i) / count, frameRate));
+
+    // A contact sheet has a title and a timecode under every tile; a sprite sheet is only
+    // the tiles, edge to edge, for players that cut previews out of one image
+    const sheet = async ({ source, src, start, end, frameRate, columns, count, layout = 'contact', format, signal, onProgress = () => {} }) => {
+        const frameSource = await ThumbnailPipeline.openFrameSource(src, signal);
+        try {
+            const { video } = frameSource;
+            const sprite = layout === 'sprite';
+            const tileWidth = Math.min(video.videoWidth, AppConfig.EXPORT_TILE_WIDTH);
+            const tileHeight = Math.round((tileWidth * video.videoHeight) / video.videoWidth);
+            const rows = Math.ceil(count / columns);
+            const gap = sprite ? 0 : 6;
+            const header = sprite ? 0 : 40;
+
+            const canvas = createCanvas(columns * tileWidth + (columns + 1) * gap, header + rows * tileHeight + (rows + 1) * gap);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#111827';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            if (!sprite) {
+                ctx.fillStyle = '#ffffff';
+                ctx.font = 'bold 16px sans-serif';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(`${baseName(source)}  ${TimeCode.toTimecode(start, frameRate)} – ${TimeCode.toTimecode(end, frameRate)}  (${count} frames)`, gap * 2, header / 2 + gap);
+            }
+
+            const times = sampleTimes(start, end, count, frameRate);
+            for (let i = 0; i < times.length; i++) {
+                throwIfAborted(signal);
+                await frameSource.seek(times[i]);
+                const x = gap + (i % columns) * (tileWidth + gap);
+                const y = header + gap + Math.floor(i / columns) * (tileHeight + gap);
+                ctx.drawImage(video, x, y, tileWidth, tileHeight);
+
+                if (!sprite) {
+                    ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+                    ctx.fillRect(x, y + tileHeight - 22, tileWidth, 22);
+                    ctx.fillStyle = '#ffffff';
+                    ctx.font = '13px monospace';
+                    ctx.fillText(TimeCode.toTimecode(times[i], frameRate), x + 6, y + tileHeight - 11);
+                }
+                onProgress(((i + 1) / times.length) * 100);
+            }
+            throwIfAborted(signal);
+            return encode(canvas, format);
+        } finally {
+            frameSource.close();
+        }
+    };
+
+    // Times of every Nth frame (`every`) or of a target rate (`fps`) inside the range
+    const sequenceTimes = (start, end, frameRate, { every, fps }) => {
+        const step = every ? every / frameRate : 1 / fps;
+        const times = [];
+        for (let i = 0; start + i * step < end - 1e-6; i++) {
+            const time = TimeCode.snapToFrame(start + i * step, frameRate);
+            if (times[times.length - 1] !== time) {
+                times.push(time);
+            }
+        }
+        return times;
+    };
+
+    // frames/<name>_<timecode>.<ext> plus manifest.json listing every file with its time
+    const sequence = async ({ source, src, start, end, frameRate, step, format, signal, onProgress = () => {} }) => {
+        const times = sequenceTimes(start, end, frameRate, step);
+        if (times.length > AppConfig.EXPORT_MAX_FRAMES) {
+            throw new Error(`That is ${times.length} images; pick a shorter range or fewer frames (at most ${AppConfig.EXPORT_MAX_FRAMES})`);
+        }
+
+        const frameSource = await ThumbnailPipeline.openFrameSource(src, signal);
+        try {
+            const { video } = frameSource;
+            const canvas = createCanvas(video.videoWidth, video.videoHeight);
+            const ctx = canvas.getContext('2d');
+            const zip = ZipArchive.create();
+            const frames = [];
+
+            for (let i = 0; i < times.length; i++) {
+                throwIfAborted(signal);
+                await frameSource.seek(times[i]);
+                ctx.drawImage(video, 0, 0);
+                const file = `frames/${fileName(source, times[i], frameRate, format)}`;
+                await zip.add(file, await encode(canvas, format));
+                frames.push({
+                    file,
+                    index: i,
+                    frame: Math.round(times[i] * frameRate),
+                    time: Math.round(times[i] * 1000) / 1000,
+                    timecode: TimeCode.toTimecode(times[i], frameRate)
+                });
+                onProgress(((i + 1) / times.length) * 100);
+            }
+
+            await zip.add('manifest.json', JSON.stringify({
+                source: typeof source === 'string' ? source : source.name,
+                width: video.videoWidth,
+                height: video.videoHeight,
+                frameRate,
+                range: { start, end },
+                step,
+                format: FORMATS[format].type,
+                frames
+            }, null, 2));
+            return zip.toBlob();
+        } finally {
+            frameSource.close();
+        }
+    };
+
+    return { FORMATS, baseName, fileName, snapshot, sheet, sequenceTimes, sequence };
+})();
+
+// GIF Encoder Module
+// Median-cut palette over 15-bit colour bins, optional Floyd–Steinberg dithering
+// and LZW-compressed GIF89a frames sharing one global palette
+const GifEncoder = (() => {
+    // 5 bits per channel: the colour space the palette is cut from
+    const binOf = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+    const boxStats = (histogram, box) => {
+        let count = 0;
+        for (let r = box.r[0]; r <= box.r[1]; r++) {
+            for (let g = box.g[0]; g <= box.g[1]; g++) {
+                for (let b = box.b[0]; b <= box.b[1]; b++) {
+                    count += histogram[(r << 10) | (g << 5) | b];
+                }
+            }
+        }
+        return count;
+    };
+
+    // Shrink a box to the bins that are actually used
+    const shrink = (histogram, box) => {
+        const used = { r: [31, 0], g: [31, 0], b: [31, 0] };
+        for (let r = box.r[0]; r <= box.r[1]; r++) {
+            for (let g = box.g[0]; g <= box.g[1]; g++) {
+                for (let b = box.b[0]; b <= box.b[1]; b++) {
+                    if (!histogram[(r << 10) | (g << 5) | b]) continue;
+                    used.r = [Math.min(used.r[0], r), Math.max(used.r[1], r)];
+                    used.g = [Math.min(used.g[0], g), Math.max(used.g[1], g)];
+                    used.b = [Math.min(used.b[0], b), Math.max(used.b[1], b)];
+                }
+            }
+        }
+        return { ...used, count: boxStats(histogram, used) };
+    };
+
+    // Cut the box across its longest side where half of its pixels fall on either side
+    const split = (histogram, box) => {
+        const channel = ['r', 'g', 'b'].reduce((best, c) => (box[c][1] - box[c][0] > box[best][1] - box[best][0] ? c : best), 'r');
+        const [low, high] = box[channel];
+        let seen = 0;
+        for (let cut = low; cut < high; cut++) {
+            seen += boxStats(histogram, { ...box, [channel]: [cut, cut] });
+            if (seen * 2 >= box.count) {
+                return [
+                    shrink(histogram, { ...box, [channel]: [low, cut] }),
+                    shrink(histogram, { ...box, [channel]: [cut + 1, high] })
+                ];
+            }
+        }
+        return [
+            shrink(histogram, { ...box, [channel]: [low, high - 1] }),
+            shrink(histogram, { ...box, [channel]: [high, high] })
+        ];
+    };
+
+    // Up to `colors` RGB triples for the pixels of every frame; each frame is sampled
+    // sparsely enough to keep the histogram pass quick
+    const buildPalette = (frames, colors) => {
+        const histogram = new Uint32Array(32768);
+        const sums = new Float64Array(32768 * 3);
+        frames.forEach(({ data }) => {
+            const stride = Math.max(1, Math.floor(data.length / 4 / 50000)) * 4;
+            for (let i = 0; i < data.length; i += stride) {
+                const bin = binOf(data[i], data[i + 1], data[i + 2]);
+                histogram[bin]++;
+                sums[bin * 3] += data[i];
+                sums[bin * 3 + 1] += data[i + 1];
+                sums[bin * 3 + 2] += data[i + 2];
+            }
+        });
+
+        let boxes = [shrink(histogram, { r: [0, 31], g: [0, 31], b: [0, 31] })];
+        while (boxes.length < colors) {
+            // Split the most crowded box that can still be split
+            const splittable = boxes.filter(box => box.r[0] < box.r[1] || box.g[0] < box.g[1] || box.b[0] < box.b[1]);
+            if (!splittable.length) break;
+            const target = splittable.reduce((best, box) => (box.count > best.count ? box : best));
+            boxes = boxes.filter(box => box !== target).concat(split(histogram, target).filter(box => box.count > 0));
+        }
+
+        return boxes.map((box) => {
+            const total = [0, 0, 0];
+            for (let r = box.r[0]; r <= box.r[1]; r++) {
+                for (let g = box.g[0]; g <= box.g[1]; g++) {
+                    for (let b = box.b[0]; b <= box.b[1]; b++) {
+                        const bin = (r << 10) | (g << 5) | b;
+                        total[0] += sums[bin * 3];
+                        total[1] += sums[bin * 3 + 1];
+                        total[2] += sums[bin * 3 + 2];
+                    }
+                }
+            }
+            return total.map(sum => Math.round(sum / Math.max(1, box.count)));
+        });
+    };
+
+    // Palette index per pixel; nearest colours are looked up once per 15-bit bin
+    const mapPixels = ({ data, width, height }, palette, dither) => {
+        const lookup = new Int16Array(32768).fill(-1);
+        const nearest = (r, g, b) => {
+            const bin = binOf(r, g, b);
+            if (lookup[bin] === -1) {
+                let best = 0;
+                let bestDistance = Infinity;
+                palette.forEach(([pr, pg, pb], index) => {
+                    const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = index;
+                    }
+                });
+                lookup[bin] = best;
+            }
+            return lookup[bin];
+        };
+
+        const indices = new Uint8Array(width * height);
+        if (!dither) {
+            for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+                indices[p] = nearest(data[i], data[i + 1], data[i + 2]);
+            }
+            return indices;
+        }
+
+        // Floyd–Steinberg: push each pixel's error onto its unvisited neighbours
+        const pixels = Float32Array.from(data);
+        const spread = (x, y, error, weight) => {
+            if (x < 0 || x >= width || y >= height) return;
+            const i = (y * width + x) * 4;
+            pixels[i] += error[0] * weight;
+            pixels[i + 1] += error[1] * weight;
+            pixels[i + 2] += error[2] * weight;
+        };
+        const clamp = value => Math.max(0, Math.min(255, Math.round(value)));
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const rgb = [clamp(pixels[i]), clamp(pixels[i + 1]), clamp(pixels[i + 2])];
+                const index = nearest(rgb[0], rgb[1], rgb[2]);
+                indices[y * width + x] = index;
+                const error = rgb.map((value, c) => value - palette[index][c]);
+                spread(x + 1, y, error, 7 / 16);
+                spread(x - 1, y + 1, error, 3 / 16);
+                spread(x, y + 1, error, 5 / 16);
+                spread(x + 1, y + 1, error, 1 / 16);
+            }
+        }
+        return indices;
+    };
+
+    // Variable-width LZW codes packed LSB-first into sub-blocks of at most 255 bytes
+    const compress = (indices, minCodeSize) => {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        const emit = (code) => {
+            buffer |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                bytes.push(buffer & 0xFF);
+                buffer >>>= 8;
+                bits -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === 4096) {
+                // The table is full: start over
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = indices[i];
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bits > 0) {
+            bytes.push(buffer & 0xFF);
+        }
+
+        const blocks = new Uint8Array(bytes.length + Math.ceil(bytes.length / 255) + 1);
+        let offset = 0;
+        for (let i = 0; i < bytes.length; i += 255) {
+            const block = bytes.slice(i, i + 255);
+            blocks[offset++] = block.length;
+            blocks.set(block, offset);
+            offset += block.length;
+        }
+        blocks[offset] = 0;
+        return blocks;
+    };
+
+    // frames: [{ indices, delay }] with delay in hundredths of a second;
+    // plays: how often the clip runs, 0 for forever
+    const encode = ({ width, height, palette, frames, plays }) => {
+        const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+        const minCodeSize = Math.max(2, tableBits);
+        const le16 = value => [value & 0xFF, (value >> 8) & 0xFF];
+
+        const table = new Uint8Array((1 << tableBits) * 3);
+        palette.forEach((rgb, index) => table.set(rgb, index * 3));
+
+        const parts = [
+            new Uint8Array([
+                ...'GIF89a'.split('').map(c => c.charCodeAt(0)),
+                ...le16(width), ...le16(height),
+                0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0
+            ]),
+            table
+        ];
+        // Without the NETSCAPE2.0 block a GIF plays once; its count is the repeats after the first play
+        if (plays !== 1) {
+            parts.push(new Uint8Array([
+                0x21, 0xFF, 0x0B, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)),
+                0x03, 0x01, ...le16(plays === 0 ? 0 : plays - 1), 0x00
+            ]));
+        }
+        frames.forEach(({ indices, delay }) => {
+            parts.push(
+                new Uint8Array([0x21, 0xF9, 0x04, 0x04, ...le16(delay), 0x00, 0x00]),
+                new Uint8Array([0x2C, 0, 0, 0, 0, ...le16(width), ...le16(height), 0x00, minCodeSize]),
+                compress(indices, minCodeSize)
+            );
+        });
+        parts.push(new Uint8Array([0x3B]));
+        return new Blob(parts, { type: 'image/gif' });
+    };
+
+    return { buildPalette, mapPixels, compress, encode };
+})();
+
+// Animated Clip Module
+// Turns a range of the first video into a looping GIF or animated WebP in the browser.
+// WebP frames come from the canvas encoder and are wrapped in ANMF chunks.
+const AnimationExport = (() => {
+    const FORMATS = {
+        gif: { type: 'image/gif', extension: 'gif', label: 'GIF' },
+        webp: { type: 'image/webp', extension: 'webp', label: 'WebP' }
+    };
+
+    // Rough output bytes per pixel and frame, measured on typical footage
+    const BYTES_PER_PIXEL = { gif: 0.55, gifDithered: 0.75, webp: 0.08 };
+
+    const throwIfAborted = (signal) => {
+        if (signal && signal.aborted) throw MediaUtils.abortError('Export cancelled');
+    };
+
+    // Height that keeps the source's aspect ratio, rounded to an even number
+    const sizeFor = (width, media) => ({
+        width,
+        height: Math.max(2, Math.round((width * (media.height || 9)) / (media.width || 16) / 2) * 2)
+    });
+
+    const frameTimes = (start, end, fps, frameRate) => FrameExport.sequenceTimes(start, end, frameRate, { fps });
+
+    // Shown before encoding; GIF size also grows with the palette's bit depth
+    const estimate = ({ width, height, frames, format, colors, dither }) => {
+        if (format === 'webp') {
+            return Math.round(width * height * frames * BYTES_PER_PIXEL.webp);
+        }
+        const perPixel = dither ? BYTES_PER_PIXEL.gifDithered : BYTES_PER_PIXEL.gif;
+        return Math.round(width * height * frames * perPixel * (Math.ceil(Math.log2(colors)) / 8));
+    };
+
+    // Every frame shows for 1/fps, even where the source frames it came from are
+    // unevenly spaced; rounding is carried over so the clip keeps its length
+    const durations = (count, fps, unit) => Array.from({ length: count },
+        (_, i) => Math.max(1, Math.round(((i + 1) * unit) / fps) - Math.round((i * unit) / fps)));
+
+    const chunk = (fourcc, payload) => {
+        const header = new Uint8Array(8);
+        header.set(fourcc.split('').map(c => c.charCodeAt(0)));
+        new DataView(header.buffer).setUint32(4, payload.length, true);
+        return payload.length % 2 ? [header, payload, new Uint8Array(1)] : [header, payload];
+    };
+
+    const uint24 = (target, offset, value) => {
+        target[offset] = value & 0xFF;
+        target[offset + 1] = (value >> 8) & 0xFF;
+        target[offset + 2] = (value >> 16) & 0xFF;
+    };
+
+    // Image chunks (ALPH, VP8, VP8L) of a still WebP, without its RIFF and VP8X headers
+    const imageChunks = (bytes) => {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const fourcc = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+            const size = view.getUint32(offset + 4, true);
+            if (['ALPH', 'VP8 ', 'VP8L'].includes(fourcc)) {
+                chunks.push({ fourcc, data: bytes.subarray(offset + 8, offset + 8 + size) });
+            }
+            offset += 8 + size + (size % 2);
+        }
+        if (!chunks.some(({ fourcc }) => fourcc !== 'ALPH')) {
+            throw new Error('The browser produced an unreadable WebP frame');
+        }
+        return chunks;
+    };
+
+    const muxWebp = ({ width, height, frames, plays }) => {
+        const hasAlpha = frames.some(frame => frame.chunks.some(({ fourcc }) => fourcc !== 'VP8 '));
+
+        const header = new Uint8Array(10);
+        header[0] = 0x02 | (hasAlpha ? 0x10 : 0); // Animation, alpha
+        uint24(header, 4, width - 1);
+        uint24(header, 7, height - 1);
+
+        const animation = new Uint8Array(6);
+        new DataView(animation.buffer).setUint16(4, plays, true);
+
+        const parts = [...chunk('VP8X', header), ...chunk('ANIM', animation)];
+        frames.forEach(({ chunks, duration }) => {
+            const frameHeader = new Uint8Array(16);
+            uint24(frameHeader, 6, width - 1);
+            uint24(frameHeader, 9, height - 1);
+            uint24(frameHeader, 12, duration);
+            frameHeader[15] = 0x02; // Do not blend with the previous frame
+            const body = chunks.flatMap(({ fourcc, data }) => chunk(fourcc, data));
+            const size = body.reduce((sum, part) => sum + part.length, frameHeader.length);
+            const anmf = new Uint8Array(8);
+            anmf.set([0x41, 0x4E, 0x4D, 0x46]);
+            new DataView(anmf.buffer).setUint32(4, size, true);
+            parts.push(anmf, frameHeader, ...body);
+        });
+
+        const riff = new Uint8Array(12);
+        riff.set([0x52, 0x49, 0x46, 0x46]);
+        new DataView(riff.buffer).setUint32(4, parts.reduce((sum, part) => sum + part.length, 4), true);
+        riff.set([0x57, 0x45, 0x42, 0x50], 8);
+        return new Blob([riff, ...parts], { type: 'image/webp' });
+    };
+
+    const encodeWebpFrame = canvas => new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob || blob.type !== 'image/webp') {
+                reject(new Error('This browser cannot encode WebP; export a GIF instead'));
+            } else {
+                resolve(blob);
+            }
+        }, 'image/webp', AppConfig.EXPORT_QUALITY);
+    });
+
+    const readBytes = async blob => new Uint8Array(await blob.arrayBuffer());
+
+    // Capturing takes the first 80% of the progress for GIFs (palette mapping
+    // and compression follow) and all of it for WebP
+    const create = async ({ src, media, start, end, format, width, fps, colors, dither, plays, signal, onProgress = () => {} }) => {
+        const frameRate = media.frameRate || AppConfig.DEFAULT_FRAME_RATE;
+        const times = frameTimes(start, end, fps, frameRate);
+        if (times.length > AppConfig.ANIMATION_MAX_FRAMES) {
+            throw new Error(`That is ${times.length} frames; pick a shorter range or a lower fps (at most ${AppConfig.ANIMATION_MAX_FRAMES})`);
+        }
+        const size = sizeFor(width, media);
+        const captureShare = format === 'gif' ? 80 : 100;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: format === 'gif' });
+
+        const captured = [];
+        const frameSource = await ThumbnailPipeline.openFrameSource(src, signal);
+        try {
+            for (let i = 0; i < times.length; i++) {
+                throwIfAborted(signal);
+                await frameSource.seek(times[i]);
+                ctx.drawImage(frameSource.video, 0, 0, size.width, size.height);
+                captured.push(format === 'gif'
+                    ? ctx.getImageData(0, 0, size.width, size.height)
+                    : imageChunks(await readBytes(await encodeWebpFrame(canvas))));
+                onProgress(((i + 1) / times.length) * captureShare);
+            }
+        } finally {
+            frameSource.close();
+        }
+
+        if (format === 'webp') {
+            const delays = durations(times.length, fps, 1000);
+            return muxWebp({ ...size, plays, frames: captured.map((chunks, i) => ({ chunks, duration: delays[i] })) });
+        }
+
+        const palette = GifEncoder.buildPalette(captured, colors);
+        const delays = durations(times.length, fps, 100);
+        const frames = [];
+        for (let i = 0; i < captured.length; i++) {
+            throwIfAborted(signal);
+            frames.push({ indices: GifEncoder.mapPixels(captured[i], palette, dither), delay: delays[i] });
+            captured[i] = null;
+            onProgress(80 + ((i + 1) / captured.length) * 20);
+            // Let the page breathe between frames
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return GifEncoder.encode({ ...size, palette, frames, plays });
+    };
+
+    return { FORMATS, sizeFor, frameTimes, estimate, create };
+})();
+
+// Subtitle Module (SRT and WebVTT tracks of the first video)
+const Subtitles = (() => {
+    const FORMATS = {
+        srt: { type: 'application/x-subrip', extension: 'srt', label: 'SRT' },
+        vtt: { type: 'text/vtt', extension: 'vtt', label: 'WebVTT' }
+    };
+
+    // Cues shorter than this after trimming are dropped
+    const MIN_CUE_LENGTH = 0.001;
+
+    let nextId = 1;
+
+    const isSubtitleFile = file => Boolean(file) && Object.keys(FORMATS).includes(file.name.split('.').pop().toLowerCase());
+
+    // "00:01:02,500" (SRT) or "01:02.500" (WebVTT) into seconds
+    const parseTimestamp = value => TimeCode.parseClock(value.replace(',', '.'));
+
+    // Both formats are blocks separated by blank lines with a "start --> end" line;
+    // blocks without one (the WEBVTT header, NOTE, STYLE, REGION) are skipped
+    const parse = (text) => {
+        const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+        const cues = [];
+        blocks.forEach((block) => {
+            const lines = block.split('\n');
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing === -1) return;
+
+            // WebVTT cue settings ("align:start line:0") follow the end time
+            const [from, rest] = lines[timing].split('-->');
+            const start = parseTimestamp(from.trim());
+            const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+            const body = lines.slice(timing + 1).join('\n').trim();
+            if (start === null || end === null || end <= start || !body) return;
+            cues.push({ start, end, text: body });
+        });
+        if (cues.length === 0) {
+            throw new Error('No subtitle cues found in the file');
+        }
+        return cues.sort((a, b) => a.start - b.start);
+    };
+
+    const timestamp = (seconds, separator) => {
+        const clock = TimeCode.toClock(seconds);
+        const [whole, ms = '000'] = clock.split('.');
+        return `${whole}${separator}${ms}`;
+    };
+
+    const toSrt = cues => cues.map((cue, index) => `${index + 1}\n${timestamp(cue.start, ',')} --> ${timestamp(cue.end, ',')}\n${cue.text}\n`).join('\n');
+
+    const toVtt = cues => `WEBVTT\n\n${cues.map(cue => `${timestamp(cue.start, '.')} --> ${timestamp(cue.end, '.')}\n${cue.text}\n`).join('\n')}`;
+
+    const serialize = (cues, format) => (format === 'vtt' ? toVtt(cues) : toSrt(cues));
+
+    // Cues on the output timeline: the ranges play back to back, so each cue is cut to
+    // the ranges it overlaps and moved by the length of everything played before them
+    const retime = (cues, ranges) => {
+        const output = [];
+        let offset = 0;
+        ranges.forEach((range) => {
+            cues.forEach((cue) => {
+                const start = Math.max(cue.start, range.start);
+                const end = Math.min(cue.end, range.end);
+                if (end - start < MIN_CUE_LENGTH) return;
+                output.push({
+                    start: Math.round((start - range.start + offset) * 1000) / 1000,
+                    end: Math.round((end - range.start + offset) * 1000) / 1000,
+                    text: cue.text
+                });
+            });
+            offset += range.end - range.start;
+        });
+        return output;
+    };
+
+    const getTrack = () => StateManager.get('subtitles');
+
+    const getCues = () => (getTrack() ? getTrack().cues : []);
+
+    const withId = (cue) => {
+        while (getCues().some(existing => existing.id === `cue_${nextId}`)) {
+            nextId++;
+        }
+        return { id: `cue_${nextId++}`, start: cue.start, end: cue.end, text: cue.text };
+    };
+
+    const setCues = (cues, label) => StateManager.transaction(label, () => {
+        StateManager.set('subtitles', { ...getTrack(), cues: [...cues].sort((a, b) => a.start - b.start) });
+    });
+
+    // Replace the track with { name, cues } (null removes it); the cues get new ids
+    const setTrack = (track, label = 'Load subtitles') => StateManager.transaction(label, () => {
+        StateManager.set('subtitles', track ? { name: track.name, cues: track.cues.map(withId) } : null);
+    });
+
+    // Read a file into the track, replacing the one loaded before
+    const load = async (file) => {
+        setTrack({ name: file.name, cues: parse(await file.text()) });
+        return getTrack();
+    };
+
+    const unload = () => StateManager.transaction('Remove subtitles', () => StateManager.set('subtitles', null));
+
+    // Cues showing at a time (overlapping cues show together)
+    const activeAt = time => getCues().filter(cue => cue.start <= time && time < cue.end);
+
+    const update = (id, changes) => {
+        const cues = getCues().map(cue => (cue.id === id ? { ...cue, ...changes } : cue));
+        const cue = cues.find(candidate => candidate.id === id);
+        if (cue && cue.end <= cue.start) {
+            throw new Error('A cue must start before it ends');
+        }
+        setCues(cues, 'Edit subtitle');
+    };
+
+    const remove = id => setCues(getCues().filter(cue => cue.id !== id), 'Remove subtitle');
+
+    // A new cue of `length` seconds at `time`; starts a track when none is loaded
+    const add = (time, length = 2) => {
+        const cue = withId({ start: time, end: time + length, text: 'New subtitle' });
+        StateManager.transaction('Add subtitle', () => {
+            if (!getTrack()) {
+                StateManager.set('subtitles', { name: 'subtitles.srt', cues: [] });
+            }
+            setCues([...getCues(), cue], 'Add subtitle');
+        });
+        return cue;
+    };
+
+    // Plain cues without ids, as the contract and the file formats carry them
+    const toPlain = cues => cues.map(({ start, end, text }) => ({ start, end, text }));
+
+    const fileName = (format) => {
+        const track = getTrack();
+        const base = track ? track.name.replace(/\.[^.]+$/, '') : 'subtitles';
+        return `${base}_trimmed.${FORMATS[format].extension}`;
+    };
+
+    return {
+        FORMATS,
+        isSubtitleFile,
+        parse,
+        toSrt,
+        toVtt,
+        serialize,
+        retime,
+        getTrack,
+        getCues,
+        setTrack,
+        load,
+        unload,
+        activeAt,
+        update,
+        remove,
+        add,
+        toPlain,
+        fileName
+    };
+})();
+
+// Processing Job Module
+const JobTracker = (() => {
+    const STORAGE_KEY = 'videoimg:activeJob';
+    const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+    const isTerminal = (job) => TERMINAL_STATUSES.includes(job.status);
+
+    // The id of a running job is kept so a reloaded page can reattach to it
+    const remember = (jobId) => {
+        try {
+            localStorage.setItem(STORAGE_KEY, jobId);
+        } catch (error) {
+            console.warn('Could not remember processing job:', error);
+        }
+    };
+
+    const forget = () => {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            // Nothing remembered
+        }
+    };
+
+    const getRemembered = () => {
+        try {
+            return localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const fetchJob = async (jobId, options) => {
+        const response = await ApiService.get(`/jobs/${encodeURIComponent(jobId)}`, options);
+        return response.data;
+    };
+
+    const cancel = async (jobId) => {
+        const response = await ApiService.delete(`/jobs/${encodeURIComponent(jobId)}`);
+        return response.data;
+    };
+
+    // Estimate the remaining seconds when the server does not report an ETA
+    const withEta = (job, startedAt) => {
+        if (typeof job.eta === 'number' || !job.progress) return job;
+        const elapsed = (Date.now() - startedAt) / 1000;
+        return { ...job, eta: (elapsed * (100 - job.progress)) / job.progress };
+    };
+
+    const settle = (job, resolve, reject) => {
+        if (job.status === 'completed') {
+            resolve(job);
+        } else if (job.status === 'cancelled') {
+            reject(new DOMException('Processing cancelled', 'AbortError'));
+        } else {
+            reject(new Error(job.error || 'Processing failed'));
+        }
+    };
+
+    const poll = (jobId, { onUpdate, signal, startedAt }) => new Promise((resolve, reject) => {
+        let timeoutId = null;
+
+        const stop = () => {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            stop();
+            reject(new DOMException('Stopped following job', 'AbortError'));
+        };
+
+        const tick = async () => {
+            try {
+                // Polling is its own retry loop, so each tick makes a single attempt
+                const job = withEta(await fetchJob(jobId, { attempts: 1, signal }), startedAt);
+                if (signal && signal.aborted) return;
+                onUpdate(job);
+                if (isTerminal(job)) {
+                    stop();
+                    settle(job, resolve, reject);
+                    return;
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                // Transient polling errors are retried on the next tick
+                console.warn(`Polling job ${jobId} failed:`, error);
+            }
+            timeoutId = setTimeout(tick, AppConfig.JOB_POLL_INTERVAL);
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort);
+        tick();
+    });
+
+    // Server-Sent Events; resolves to null when the stream is unavailable so the caller can poll
+    const stream = (jobId, { onUpdate, signal, startedAt }) => new Promise((resolve, reject) => {
+        const source = new EventSource(`${AppConfig.API_BASE_URL}/jobs/${encodeURIComponent(jobId)}/events`);
+        let received = false;
+
+        const close = () => {
+            source.close();
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            close();
+            reject(new DOMException('Stopped following job', 'AbortError'));
+        };
+
+        source.addEventListener('message', (e) => {
+            received = true;
+            let job;
+            try {
+                job = withEta(ApiService.checkContract('GET', `/jobs/${jobId}/events`, 'message', JSON.parse(e.data)), startedAt);
+            } catch (error) {
+                close();
+                reject(error);
+                return;
+            }
+            onUpdate(job);
+            if (isTerminal(job)) {
+                close();
+                settle(job, resolve, reject);
+            }
+        });
+
+        source.addEventListener('error', () => {
+            // EventSource reconnects on its own once connected; give up only if it never worked
+            if (!received || source.readyState === EventSource.CLOSED) {
+                close();
+                resolve(null);
+            }
+        });
+
+        if (signal) signal.addEventListener('abort', onAbort);
+    });
+
+    // Follow a job until it finishes; resolves with the completed job
+    const follow = async (jobId, { onUpdate = () => {}, signal } = {}) => {
+        const options = { onUpdate, signal, startedAt: Date.now() };
+        const useStream = AppConfig.JOB_UPDATES !== 'poll' && typeof EventSource !== 'undefined';
+
+        if (useStream) {
+            const job = await stream(jobId, options);
+            if (job) return job;
+            if (AppConfig.JOB_UPDATES === 'sse') {
+                throw new Error('Job progress stream is unavailable');
+            }
+        }
+        return poll(jobId, options);
+    };
+
+    return {
+        isTerminal,
+        remember,
+        forget,
+        getRemembered,
+        fetchJob,
+        cancel,
+        follow
+    };
+})();
+
+// Local Processing Engine Module (browser-only trimming)
+const LocalEngine = (() => {
+    // Preferred recording formats, best first
+    const MIME_TYPES = [
+        'video/webm;codecs=vp9,opus',
+        'video/webm;codecs=vp8,opus',
+        'video/webm',
+        'video/mp4'
+    ];
+
+    const canCapture = () => typeof HTMLMediaElement !== 'undefined'
+        && ('captureStream' in HTMLMediaElement.prototype || 'mozCaptureStream' in HTMLMediaElement.prototype);
+
+    const isSupported = () => typeof MediaRecorder !== 'undefined' && canCapture();
+
+    const pickMimeType = () => MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+    // Video track from the element plus its audio routed through Web Audio,
+    // so the recording keeps the sound without playing it through the speakers
+    const buildStream = (video, audioContext) => {
+        const captured = video.captureStream ? video.captureStream() : video.mozCaptureStream();
+        const tracks = captured.getVideoTracks();
+
+        if (audioContext) {
+            const destination = audioContext.createMediaStreamDestination();
+            audioContext.createMediaElementSource(video).connect(destination);
+            tracks.push(...destination.stream.getAudioTracks());
+        }
+        return new MediaStream(tracks);
+    };
+
+    // Play until the end time is reached, reporting the playhead as it goes
+    const playUntil = (video, endTime, signal, onTime) => new Promise((resolve, reject) => {
+        let timer = null;
+
+        const stop = () => {
+            clearInterval(timer);
+            video.pause();
+            video.removeEventListener('ended', onEnded);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onEnded = () => {
+            stop();
+            resolve();
+        };
+        const onAbort = () => {
+            stop();
+            reject(MediaUtils.abortError('Processing cancelled'));
+        };
+
+        video.addEventListener('ended', onEnded);
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        timer = setInterval(() => {
+            onTime(Math.min(video.currentTime, endTime));
+            if (video.currentTime >= endTime) {
+                stop();
+                resolve();
+            }
+        }, 15);
+
+        video.play().catch((error) => {
+            stop();
+            reject(error);
+        });
+    });
+
+    const stopRecorder = (recorder, chunks, mimeType) => new Promise((resolve) => {
+        recorder.addEventListener('stop', () => {
+            resolve(new Blob(chunks, { type: mimeType }));
+        }, { once: true });
+        recorder.stop();
+    });
+
+    // Record the ranges in order into one file. The recording runs in real time,
+    // so processing takes as long as the selected ranges last.
+    const trim = async ({ source, ranges, signal, onProgress = () => {} }) => {
+        if (!isSupported()) {
+            throw new Error('This browser cannot process video locally (MediaRecorder is unavailable)');
+        }
+
+        const ownsUrl = typeof source !== 'string';
+        const src = ownsUrl ? URL.createObjectURL(source) : source;
+        const video = document.createElement('video');
+        video.preload = 'auto';
+        video.playsInline = true;
+        video.src = src;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const audioContext = AudioContextClass ? new AudioContextClass() : null;
+        let recorder = null;
+        let stream = null;
+
+        try {
+            await MediaUtils.waitForEvent(video, 'loadedmetadata', { timeout: AppConfig.SEEK_TIMEOUT, signal });
+
+            const segments = ranges
+                .map(range => ({ start: Math.max(0, range.start), end: Math.min(video.duration, range.end) }))
+                .filter(range => range.end > range.start);
+            if (segments.length === 0) {
+                throw new Error('Select a range inside the video to trim');
+            }
+
+            const total = segments.reduce((sum, range) => sum + (range.end - range.start), 0);
+            const mimeType = pickMimeType();
+            const chunks = [];
+
+            stream = buildStream(video, audioContext);
+            recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            recorder.addEventListener('dataavailable', (e) => {
+                if (e.data && e.data.size > 0) {
+                    chunks.push(e.data);
+                }
+            });
+
+            let recorded = 0;
+            for (let i = 0; i < segments.length; i++) {
+                const { start, end } = segments[i];
+                await MediaUtils.seek(video, start, signal);
+
+                // The recorder is paused while seeking so the ranges join without gaps
+                if (i === 0) {
+                    recorder.start(1000);
+                } else {
+                    recorder.resume();
+                }
+                await playUntil(video, end, signal, (time) => {
+                    onProgress(((recorded + time - start) / total) * 100);
+                });
+                recorder.pause();
+                recorded += end - start;
+            }
+
+            const type = recorder.mimeType || mimeType || 'video/webm';
+            const blob = await stopRecorder(recorder, chunks, type);
+            onProgress(100);
+            return { blob, mimeType: type, duration: total };
+        } finally {
+            if (recorder && recorder.state !== 'inactive') {
+                recorder.stop();
+            }
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+            }
+            if (audioContext) {
+                audioContext.close();
+            }
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+            if (ownsUrl) {
+                URL.revokeObjectURL(src);
+            }
+        }
+    };
+
+    return { isSupported, trim };
+})();
+
+// Keyboard Controller Module
+// NLE-style shortcuts in one remappable keymap. Built-in actions drive the first
+// video and the selection (StateManager.timeRange, which the timeline markers
+// follow); other modules add handlers with register().
+const KeyboardController = (() => {
+    const STORAGE_KEY = 'videoimg:keymap';
+    const SHUTTLE_SPEEDS = [1, 2, 4, 8];
+
+    // Keys are written as in the cheat sheet: 'Ctrl+Shift+Z', 'Space', 'ArrowLeft', '?'
+    const ACTIONS = {
+        'play-pause': { label: 'Play / pause', keys: ['Space'] },
+        'shuttle-reverse': { label: 'Shuttle backward (again: faster)', keys: ['J'] },
+        'shuttle-stop': { label: 'Stop', keys: ['K'] },
+        'shuttle-forward': { label: 'Shuttle forward (again: faster)', keys: ['L'] },
+        'frame-back': { label: 'Previous frame', keys: ['ArrowLeft'] },
+        'frame-forward': { label: 'Next frame', keys: ['ArrowRight'] },
+        'set-in': { label: 'Set in point', keys: ['I'] },
+        'set-out': { label: 'Set out point', keys: ['O'] },
+        'go-start': { label: 'Go to start', keys: ['Home'] },
+        'go-end': { label: 'Go to end', keys: ['End'] },
+        'add-marker': { label: 'Add marker at playhead', keys: ['M'] },
+        'previous-marker': { label: 'Previous marker', keys: ['Shift+ArrowLeft'] },
+        'next-marker': { label: 'Next marker', keys: ['Shift+ArrowRight'] },
+        undo: { label: 'Undo', keys: ['Ctrl+Z'] },
+        redo: { label: 'Redo', keys: ['Ctrl+Shift+Z', 'Ctrl+Y'] },
+        'toggle-compare': { label: 'Toggle A/B compare', keys: ['C'] },
+        'show-shortcuts': { label: 'Show keyboard shortcuts', keys: ['?'] }
+    };
+
+    const handlers = {};
+    let bindings = {};
+    let capture = null;
+    let shuttle = 0; // Signed speed; 0 when stopped
+    let reverseFrame = null;
+
+    const defaults = () => Object.fromEntries(Object.entries(ACTIONS).map(([action, { keys }]) => [action, [...keys]]));
+
+    const loadBindings = () => {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            // Actions added since the keymap was saved keep their default keys
+            return saved ? { ...defaults(), ...saved } : defaults();
+        } catch (error) {
+            return defaults();
+        }
+    };
+
+    const saveBindings = () => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+        } catch (error) {
+            console.warn('Could not save keyboard shortcuts:', error);
+        }
+    };
+
+    // Shift only counts for letters and named keys; symbols such as '?' already include it
+    const comboOf = (e) => {
+        let key = e.key === ' ' ? 'Space' : e.key;
+        if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+        const isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && !isSymbol) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    };
+
+    const actionFor = (combo) => Object.keys(bindings).find(action => bindings[action].includes(combo)) || null;
+
+    // Built-in actions
+    const getVideo = () => document.querySelector('.first_video video');
+
+    const getFrameRate = () => (StateManager.get('media') || {}).frameRate || AppConfig.DEFAULT_FRAME_RATE;
+
+    const getDuration = (video) => (isFinite(video.duration) ? video.duration : 0);
+
+    const seekTo = (video, time) => {
+        video.currentTime = Math.max(0, Math.min(getDuration(video), TimeCode.snapToFrame(time, getFrameRate())));
+    };
+
+    const stopReverse = () => {
+        if (reverseFrame !== null) {
+            cancelAnimationFrame(reverseFrame);
+            reverseFrame = null;
+        }
+    };
+
+    const stop = (video) => {
+        stopReverse();
+        shuttle = 0;
+        video.pause();
+        video.playbackRate = 1;
+    };
+
+    // Browsers cannot play backwards, so reverse shuttle steps currentTime per animation frame
+    const runReverse = (video) => {
+        stopReverse();
+        let last = performance.now();
+        const step = (now) => {
+            const next = video.currentTime - ((now - last) / 1000) * Math.abs(shuttle);
+            last = now;
+            if (next <= 0) {
+                video.currentTime = 0;
+                stop(video);
+                return;
+            }
+            video.currentTime = next;
+            reverseFrame = requestAnimationFrame(step);
+        };
+        reverseFrame = requestAnimationFrame(step);
+    };
+
+    const nextSpeed = (current, direction) => {
+        if (Math.sign(current) !== direction) return direction * SHUTTLE_SPEEDS[0];
+        const index = SHUTTLE_SPEEDS.indexOf(Math.abs(current));
+        return direction * SHUTTLE_SPEEDS[Math.min(index + 1, SHUTTLE_SPEEDS.length - 1)];
+    };
+
+    // Playback can be refused (autoplay policy) or cut short by a pause; the shuttle
+    // then counts as stopped unless another key has changed it meanwhile
+    const play = (video) => {
+        const speed = shuttle;
+        video.play().catch(() => {
+            if (shuttle === speed) {
+                shuttle = 0;
+                video.playbackRate = 1;
+            }
+        });
+    };
+
+    const shuttleTo = (video, direction) => {
+        shuttle = nextSpeed(shuttle, direction);
+        if (direction > 0) {
+            stopReverse();
+            video.playbackRate = shuttle;
+            play(video);
+        } else {
+            video.pause();
+            video.playbackRate = 1;
+            runReverse(video);
+        }
+    };
+
+    const stepFrame = (video, frames) => {
+        stop(video);
+        seekTo(video, video.currentTime + frames / getFrameRate());
+    };
+
+    // In/out keep the other end of the selection when it still makes sense
+    const setPoint = (video, edge) => {
+        const time = Math.max(0, Math.min(getDuration(video), TimeCode.snapToFrame(video.currentTime, getFrameRate())));
+        const { start, end } = StateManager.get('timeRange') || {};
+        if (edge === 'in') {
+            const out = typeof end === 'number' && end > time ? end : getDuration(video);
+            if (out > time) RangeManager.select(time, out, 'Set in point');
+        } else {
+            const from = typeof start === 'number' && start < time ? start : 0;
+            if (time > from) RangeManager.select(from, time, 'Set out point');
+        }
+    };
+
+    const jumpToMarker = (video, direction) => {
+        const marker = MarkerManager.neighbour(video.currentTime, direction);
+        if (marker) {
+            stop(video);
+            seekTo(video, marker.time);
+        }
+    };
+
+    const withVideo = (fn) => () => {
+        const video = getVideo();
+        if (video && getDuration(video)) {
+            fn(video);
+        }
+    };
+
+    Object.assign(handlers, {
+        'play-pause': withVideo((video) => {
+            if (video.paused || shuttle < 0) {
+                stop(video);
+                shuttle = 1;
+                play(video);
+            } else {
+                stop(video);
+            }
+        }),
+        'shuttle-reverse': withVideo(video => shuttleTo(video, -1)),
+        'shuttle-stop': withVideo(stop),
+        'shuttle-forward': withVideo(video => shuttleTo(video, 1)),
+        'frame-back': withVideo(video => stepFrame(video, -1)),
+        'frame-forward': withVideo(video => stepFrame(video, 1)),
+        'set-in': withVideo(video => setPoint(video, 'in')),
+        'set-out': withVideo(video => setPoint(video, 'out')),
+        'go-start': withVideo((video) => {
+            stop(video);
+            seekTo(video, 0);
+        }),
+        'go-end': withVideo((video) => {
+            stop(video);
+            seekTo(video, getDuration(video));
+        }),
+        'previous-marker': withVideo(video => jumpToMarker(video, -1)),
+        'next-marker': withVideo(video => jumpToMarker(video, 1))
+    });
+
+    const isTextField = (target) => Boolean(target) && (target.isContentEditable
+        || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+    const onKeyDown = (e) => {
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+
+        if (capture) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            const done = capture;
+            capture = null;
+            done(e.key === 'Escape' ? null : comboOf(e));
+            return;
+        }
+
+        // Text fields keep their own keys, including their own undo
+        if (isTextField(e.target)) return;
+
+        const action = actionFor(comboOf(e));
+        if (!action || !handlers[action]) return;
+        e.preventDefault();
+        handlers[action]();
+    };
+
+    const init = () => {
+        bindings = loadBindings();
+        document.addEventListener('keydown', onKeyDown);
+    };
+
+    // Handlers for actions that live in other modules (undo, the cheat sheet)
+    const register = (map) => {
+        Object.assign(handlers, map);
+    };
+
+    // [{ action, label, keys }] in cheat sheet order
+    const getBindings = () => Object.keys(ACTIONS).map(action => ({
+        action,
+        label: ACTIONS[action].label,
+        keys: [...(bindings[action] || [])]
+    }));
+
+    // Give an action a single key; the key is taken away from any other action
+    const rebind = (action, combo) => {
+        if (!ACTIONS[action]) return;
+        Object.keys(bindings).forEach((other) => {
+            bindings[other] = bindings[other].filter(key => key !== combo);
+        });
+        bindings[action] = [combo];
+        saveBindings();
+    };
+
+    const reset = () => {
+        bindings = defaults();
+        saveBindings();
+    };
+
+    // The next key press is passed to callback (null for Escape) instead of running an action
+    const captureNext = (callback) => {
+        capture = callback;
+    };
+
+    // Run an action as if its key was pressed (e.g. from a toolbar button)
+    const run = (action) => {
+        if (handlers[action]) {
+            handlers[action]();
+        }
+    };
+
+    return { init, register, run, getBindings, rebind, reset, captureNext };
+})();
+
+// Compare Controller Module
+// Locks the compared players to the first video's transport: play, pause, rate and
+// seeks are mirrored, with the second video shifted by the compare offset. The first
+// video stays the master, so the keyboard and timeline drive both sides.
+const CompareController = (() => {
+    let master = null;
+    let followers = []; // [{ video, shifted }]
+    let cleanups = [];
+
+    const getOffset = () => StateManager.get('compare').offset || 0;
+
+    const frameDuration = () => 1 / ((StateManager.get('media') || {}).frameRate || AppConfig.DEFAULT_FRAME_RATE);
+
+    const targetTime = (follower) => {
+        const time = master.currentTime + (follower.shifted ? getOffset() : 0);
+        const duration = isFinite(follower.video.duration) ? follower.video.duration : Infinity;
+        return Math.max(0, Math.min(duration, time));
+    };
+
+    // While playing some drift is tolerated, otherwise every timeupdate would seek
+    const align = (tolerance = 0) => {
+        followers.forEach((follower) => {
+            const time = targetTime(follower);
+            if (Math.abs(follower.video.currentTime - time) > tolerance) {
+                follower.video.currentTime = time;
+            }
+        });
+    };
+
+    const unlink = () => {
+        cleanups.forEach(cleanup => cleanup());
+        cleanups = [];
+        master = null;
+        followers = [];
+    };
+
+    const listen = (target, type, handler) => {
+        target.addEventListener(type, handler);
+        cleanups.push(() => target.removeEventListener(type, handler));
+    };
+
+    const link = (nextMaster, nextFollowers) => {
+        master = nextMaster;
+        followers = nextFollowers;
+
+        listen(master, 'play', () => {
+            align();
+            followers.forEach(({ video }) => video.play().catch(() => {}));
+        });
+        listen(master, 'pause', () => {
+            followers.forEach(({ video }) => video.pause());
+            align();
+        });
+        listen(master, 'seeked', () => align(frameDuration() / 2));
+        listen(master, 'timeupdate', () => align(master.paused ? frameDuration() / 2 : 0.25));
+        listen(master, 'ratechange', () => {
+            followers.forEach(({ video }) => {
+                video.playbackRate = master.playbackRate;
+            });
+        });
+
+        // A follower's own play/pause controls drive the master instead; a follower
+        // that simply ran out of video does not stop the other side, and one whose
+        // master refuses to play is paused again so the two do not drift apart
+        followers.forEach(({ video }) => {
+            listen(video, 'play', () => {
+                if (master.paused) {
+                    master.play().catch(() => video.pause());
+                }
+            });
+            listen(video, 'pause', () => {
+                if (!master.paused && !video.ended) master.pause();
+            });
+        });
+
+        followers.forEach(({ video }) => {
+            video.playbackRate = master.playbackRate;
+            if (master.paused) {
+                video.pause();
+            } else {
+                video.play().catch(() => {});
+            }
+        });
+        align();
+    };
+
+    // Pick the players for the current compare state; call after the view was rendered
+    const relink = () => {
+        const compare = StateManager.get('compare');
+        const nextMaster = compare.enabled ? document.querySelector('.first_video video') : null;
+        const stage = document.querySelector('.compare-stage');
+        const candidates = stage
+            ? [{ video: stage.querySelector('.compare-base'), shifted: false }, { video: stage.querySelector('.compare-top'), shifted: true }]
+            : [{ video: document.querySelector('.two_video video'), shifted: true }];
+        const nextFollowers = nextMaster ? candidates.filter(({ video }) => video) : [];
+
+        const unchanged = nextMaster === master
+            && nextFollowers.length === followers.length
+            && nextFollowers.every((follower, i) => follower.video === followers[i].video);
+        if (unchanged) {
+            // Only the offset may have changed
+            if (master) align();
+            return;
+        }
+
+        unlink();
+        if (nextMaster && nextFollowers.length > 0) {
+            link(nextMaster, nextFollowers);
+        }
+    };
+
+    return { relink };
+})();
+
+// DOM Controller Module
+const DOMController = (() => {
+    const elements = {};
+
+    // Teardown callbacks for the current timeline (state subscriptions, document listeners)
+    let timelineCleanups = [];
+
+    const disposeTimeline = () => {
+        timelineCleanups.forEach(cleanup => cleanup());
+        timelineCleanups = [];
+    };
+
+    const init = () => {
+        // Cache DOM elements
+        elements.firstTimeInput = document.getElementById('first-time-input');
+        elements.secondTimeInput = document.getElementById('two-time-input');
+        elements.branchSelect = document.getElementById('branch-select-input');
+        elements.firstVideo = document.querySelector('.first_video');
+        elements.secondVideo = document.querySelector('.two_video');
+        elements.rangePreview = document.querySelector('.range_preview');
+        elements.swapButton = document.querySelector('[data-action="swap-videos"]');
+        elements.videoSwap = document.querySelector('.video_swap');
+        elements.videoRow = document.querySelector('.row-videos');
+        elements.compareToggle = document.querySelector('[data-action="toggle-compare"]');
+        elements.compareControls = document.querySelector('.compare-controls');
+        elements.compareOffset = document.getElementById('compare-offset');
+        elements.compareOpacity = document.getElementById('compare-opacity');
+        elements.detectScenesButton = document.querySelector('[data-action="detect-scenes"]');
+        elements.sceneBar = document.querySelector('.scene-bar');
+        elements.sceneSummary = document.getElementById('scene-summary');
+        elements.sceneMethod = document.getElementById('scene-method');
+        elements.sceneThreshold = document.getElementById('scene-threshold');
+        elements.sceneThresholdValue = document.getElementById('scene-threshold-value');
+        elements.splitScenesButton = document.querySelector('[data-action="split-scenes"]');
+        elements.exportPanel = document.querySelector('.export-panel');
+        elements.exportFormat = document.getElementById('export-format');
+        elements.exportLayout = document.getElementById('export-layout');
+        elements.exportTiles = document.getElementById('export-tiles');
+        elements.exportColumns = document.getElementById('export-columns');
+        elements.exportStep = document.getElementById('export-step');
+        elements.exportStepUnit = document.getElementById('export-step-unit');
+        elements.exportStatus = document.getElementById('export-status');
+        elements.animationFormat = document.getElementById('animation-format');
+        elements.animationWidth = document.getElementById('animation-width');
+        elements.animationFps = document.getElementById('animation-fps');
+        elements.animationColors = document.getElementById('animation-colors');
+        elements.animationDither = document.getElementById('animation-dither');
+        elements.animationPlays = document.getElementById('animation-plays');
+        elements.animationEstimate = document.getElementById('animation-estimate');
+        elements.rangeList = document.getElementById('range-items');
+        elements.markerPanel = document.querySelector('.marker-list');
+        elements.markerList = document.getElementById('marker-items');
+        elements.embedChapters = document.getElementById('embed-chapters');
+        elements.operationList = document.getElementById('operation-items');
+        elements.operationProblems = document.getElementById('operation-problems');
+        elements.actionButtons = document.querySelectorAll('.action-btn');
+        elements.container = document.querySelector('.container');
+    };
+
+    const showLoading = (element) => {
+        element.classList.add('loading');
+    };
+
+    const hideLoading = (element) => {
+        element.classList.remove('loading');
+    };
+
+    const showToast = (message, className, background, duration) => {
+        const toastDiv = document.createElement('div');
+        toastDiv.className = className;
+        toastDiv.textContent = message;
+        toastDiv.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: ${background};
+            color: white;
+            padding: 1rem 1.5rem;
+            border-radius: 0.5rem;
+            box-shadow: 0 10px 15px -3px rgb(0 0 0 / 0.1);
+            z-index: 1000;
+            animation: slideIn 0.3s ease;
+        `;
+        document.body.appendChild(toastDiv);
+        setTimeout(() => {
+            toastDiv.remove();
+        }, duration);
+        return toastDiv;
+    };
+
+    const showError = (message) => showToast(message, 'error-message', '#ef4444', 5000);
+
+    const showSuccess = (message) => showToast(message, 'success-message', '#10b981', 3000);
+
+    const showInfo = (message) => showToast(message, 'info-message', '#6366f1', 3000);
+
+    // Progress panel with pause/resume and cancel for an upload task; returns a remover
+    const showUploadProgress = (container, task) => {
+        const panel = document.createElement('div');
+        panel.className = 'upload-progress';
+        panel.innerHTML = `
+            <div class="upload-progress-info">
+                <span class="upload-progress-label">Uploading</span>
+                <span class="upload-progress-percent">0%</span>
+            </div>
+            <div class="upload-progress-track"><div class="upload-progress-fill"></div></div>
+            <div class="upload-progress-actions">
+                <button class="upload-btn" data-upload-action="toggle">Pause</button>
+                <button class="upload-btn danger" data-upload-action="cancel">Cancel</button>
+            </div>
+        `;
+
+        const label = panel.querySelector('.upload-progress-label');
+        const percent = panel.querySelector('.upload-progress-percent');
+        const fill = panel.querySelector('.upload-progress-fill');
+        const toggleBtn = panel.querySelector('[data-upload-action="toggle"]');
+
+        // Single-shot uploads cannot be paused
+        if (!task.resumable) {
+            toggleBtn.remove();
+        }
+
+        const labels = {
+            uploading: 'Uploading',
+            paused: 'Paused',
+            completed: 'Uploaded',
+            cancelled: 'Cancelled',
+            failed: 'Upload failed'
+        };
+
+        task.on('progress', (value) => {
+            percent.textContent = `${Math.round(value)}%`;
+            fill.style.width = `${value}%`;
+        });
+
+        task.on('state', (state) => {
+            label.textContent = labels[state] || state;
+            toggleBtn.textContent = state === 'paused' ? 'Resume' : 'Pause';
+            panel.classList.toggle('paused', state === 'paused');
+        });
+
+        panel.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('[data-upload-action]');
+            if (!button) return;
+            if (button.dataset.uploadAction === 'cancel') {
+                task.cancel();
+            } else if (task.getState() === 'paused') {
+                task.resume();
+            } else {
+                task.pause();
+            }
+        });
+
+        container.appendChild(panel);
+        return () => panel.remove();
+    };
+
+    // Only the first slot drives the timeline and the media info; the second just plays
+    const updateVideoDisplay = (videoElement, file, slot = 'first') => {
+        const video = document.createElement('video');
+        video.controls = false; // Remove default controls
+        video.autoplay = false; // Disable autoplay
+        video.muted = true; // Mute by default
+        video.style.width = '100%';
+        video.style.height = '100%';
+        video.style.objectFit = 'cover';
+
+        if (typeof file === 'string') {
+            // If file is a path string
+            video.src = file;
+        } else {
+            // If file is a File object
+            video.src = URL.createObjectURL(file);
+        }
+
+        // Make sure video doesn't autoplay
+        video.addEventListener('loadeddata', () => {
+            video.pause();
+            // First video always starts from beginning
+            video.currentTime = 0;
+        });
+
+        // Generate thumbnails for preview
+        video.addEventListener('loadedmetadata', () => {
+            video.pause(); // Ensure video is paused
+            video.currentTime = 0; // Reset to beginning
+            if (slot !== 'first') return;
+
+            // Start with the default rate and refine once the real one is measured
+            StateManager.set('media', {
+                duration: video.duration,
+                width: video.videoWidth,
+                height: video.videoHeight,
+                frameRate: AppConfig.DEFAULT_FRAME_RATE
+            });
+            VideoHandler.probeFrameRate(video.src).then((frameRate) => {
+                const media = StateManager.get('media');
+                if (media && media.duration === video.duration) {
+                    StateManager.set('media', { ...media, frameRate });
+                }
+            });
+
+            generateVideoThumbnails(video, videoElement, file);
+        });
+
+        // Add custom controls overlay
+        const controlsOverlay = createVideoControls(video);
+
+        videoElement.innerHTML = '';
+        videoElement.appendChild(video);
+        videoElement.appendChild(controlsOverlay);
+    };
+
+    // Keys as small caps chips, e.g. 'Ctrl+Shift+Z' -> Ctrl Shift Z
+    const renderKeys = (keys) => keys.map(combo => combo.split('+')
+        .map(part => `<kbd>${part === 'ArrowLeft' ? '←' : part === 'ArrowRight' ? '→' : part}</kbd>`)
+        .join('')).join('<span class="shortcut-or">or</span>');
+
+    // Cheat sheet listing every shortcut; a key can be changed by clicking it
+    const toggleShortcutSheet = () => {
+        const existing = document.querySelector('.shortcut-sheet');
+        if (existing) {
+            existing.querySelector('[data-shortcut-action="close"]').click();
+            return;
+        }
+
+        const sheet = document.createElement('div');
+        sheet.className = 'shortcut-sheet';
+        sheet.setAttribute('role', 'dialog');
+        sheet.setAttribute('aria-label', 'Keyboard shortcuts');
+        sheet.innerHTML = `
+            <div class="shortcut-panel">
+                <div class="shortcut-header">
+                    <span class="timeline-title">Keyboard Shortcuts</span>
+                    <button class="timeline-btn" data-shortcut-action="close" title="Close">✕</button>
+                </div>
+                <ul class="shortcut-list"></ul>
+                <div class="shortcut-footer">
+                    <span class="shortcut-hint">Click a key to change it, then press the new key (Esc cancels)</span>
+                    <button class="session-btn" data-shortcut-action="reset">Reset to defaults</button>
+                </div>
+            </div>
+        `;
+        const list = sheet.querySelector('.shortcut-list');
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                close();
+            }
+        };
+        const close = () => {
+            document.removeEventListener('keydown', onKeyDown);
+            sheet.remove();
+        };
+
+        const render = () => {
+            list.innerHTML = '';
+            KeyboardController.getBindings().forEach(({ action, label, keys }) => {
+                const item = document.createElement('li');
+                item.className = 'shortcut-item';
+                item.innerHTML = `
+                    <span class="shortcut-label"></span>
+                    <button class="shortcut-keys" data-shortcut-rebind="${action}">${keys.length ? renderKeys(keys) : '<span class="shortcut-unset">Not set</span>'}</button>
+                `;
+                item.querySelector('.shortcut-label').textContent = label;
+                list.appendChild(item);
+            });
+        };
+
+        sheet.addEventListener('click', (e) => {
+            // Clicking the backdrop closes the sheet
+            if (e.target === sheet) {
+                close();
+                return;
+            }
+            const rebindBtn = e.target.closest('[data-shortcut-rebind]');
+            if (rebindBtn) {
+                rebindBtn.classList.add('capturing');
+                rebindBtn.textContent = 'Press a key…';
+                KeyboardController.captureNext((combo) => {
+                    if (combo) {
+                        KeyboardController.rebind(rebindBtn.dataset.shortcutRebind, combo);
+                    }
+                    render();
+                });
+                return;
+            }
+            const button = e.target.closest('[data-shortcut-action]');
+            if (!button) return;
+            if (button.dataset.shortcutAction === 'reset') {
+                KeyboardController.reset();
+                render();
+            } else {
+                close();
+            }
+        });
+
+        render();
+        document.addEventListener('keydown', onKeyDown);
+        document.body.appendChild(sheet);
+    };
+
+    // Small menu under the Upload button for picking the target slot
+    const toggleSlotMenu = (anchor, options, onPick) => {
+        const existing = document.querySelector('.slot-menu');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const menu = document.createElement('div');
+        menu.className = 'slot-menu';
+        menu.setAttribute('role', 'menu');
+        options.forEach(({ slot, label }) => {
+            const item = document.createElement('button');
+            item.className = 'slot-menu-item';
+            item.setAttribute('role', 'menuitem');
+            item.dataset.slot = slot;
+            item.textContent = label;
+            menu.appendChild(item);
+        });
+
+        // Any click or Escape outside the menu closes it
+        const close = () => {
+            menu.remove();
+            document.removeEventListener('pointerdown', onOutside, true);
+            document.removeEventListener('keydown', onKey, true);
+        };
+        const onOutside = (e) => {
+            if (!menu.contains(e.target) && !anchor.contains(e.target)) {
+                close();
+            }
+        };
+        const onKey = (e) => {
+            if (e.key === 'Escape') {
+                close();
+            }
+        };
+
+        menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-slot]');
+            if (!item) return;
+            close();
+            onPick(item.dataset.slot);
+        });
+
+        document.addEventListener('pointerdown', onOutside, true);
+        document.addEventListener('keydown', onKey, true);
+        menu.style.left = `${anchor.offsetLeft}px`;
+        menu.style.top = `${anchor.offsetTop + anchor.offsetHeight + 4}px`;
+        anchor.parentElement.appendChild(menu);
+        menu.querySelector('button').focus();
+    };
+
+    // Banner offering the previous session back; returns a remover
+    const showSessionPrompt = (summary, { onRestore, onDiscard }) => {
+        const prompt = document.createElement('div');
+        prompt.className = 'session-prompt';
+        prompt.setAttribute('role', 'alertdialog');
+        prompt.innerHTML = `
+            <div class="session-prompt-info">
+                <span class="session-prompt-title">Restore previous session?</span>
+                <span class="session-prompt-summary"></span>
+            </div>
+            <div class="session-prompt-actions">
+                <button class="session-btn primary" data-session-action="restore">Restore</button>
+                <button class="session-btn" data-session-action="discard">Discard</button>
+            </div>
+        `;
+        prompt.querySelector('.session-prompt-summary').textContent = summary;
+
+        const remove = () => prompt.remove();
+        prompt.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-session-action]');
+            if (!button) return;
+            remove();
+            if (button.dataset.sessionAction === 'restore') {
+                onRestore();
+            } else {
+                onDiscard();
+            }
+        });
+
+        elements.container.prepend(prompt);
+        return remove;
+    };
+
+    // Dialog asking for the project videos that are not loaded: missing is [{ slot, reference }],
+    // onLocate(slot, file) resolves with whether the file is the one the project was saved with.
+    // A file that does not match can still be used; onOpen gets the picked files by slot
+    const showRelinkDialog = (missing, { onLocate, onOpen, onCancel }) => {
+        const picked = {};
+        const dialog = document.createElement('div');
+        dialog.className = 'branch-editor relink-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', 'Locate project videos');
+        dialog.innerHTML = `
+            <div class="branch-panel">
+                <div class="shortcut-header">
+                    <span class="timeline-title">Locate Videos</span>
+                    <button type="button" class="timeline-btn" data-relink-action="close" title="Cancel">✕</button>
+                </div>
+                <ul class="relink-list"></ul>
+                <div class="shortcut-footer">
+                    <span class="shortcut-hint">Each file is checked against the fingerprint saved in the project</span>
+                    <button type="button" class="session-btn primary" data-relink-action="open" disabled>Open project</button>
+                </div>
+            </div>
+        `;
+        const list = dialog.querySelector('.relink-list');
+        const openButton = dialog.querySelector('[data-relink-action="open"]');
+
+        missing.forEach(({ slot, reference }) => {
+            const row = document.createElement('li');
+            row.className = 'relink-row';
+            row.dataset.slot = slot;
+            row.innerHTML = `
+                <div class="relink-info">
+                    <span class="relink-name"></span>
+                    <span class="relink-status">Not loaded</span>
+                </div>
+                <button type="button" class="session-btn" data-relink-action="locate">Locate…</button>
+            `;
+            const size = reference.size ? ` (${formatBytes(reference.size)})` : '';
+            row.querySelector('.relink-name').textContent = `${slot === 'first' ? 'First' : 'Second'} video: ${reference.name || 'unnamed'}${size}`;
+            list.appendChild(row);
+        });
+
+        const locate = (row) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = AppConfig.SUPPORTED_FORMATS.map(f => `.${f}`).join(',');
+
+            input.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                const { slot } = row.dataset;
+                const status = row.querySelector('.relink-status');
+                status.textContent = `Checking ${file.name}…`;
+                let matches;
+                try {
+                    matches = await onLocate(slot, file);
+                } catch (error) {
+                    // An unreadable file cannot be used; the row waits for another one
+                    delete picked[slot];
+                    row.classList.remove('located');
+                    row.classList.add('mismatch');
+                    status.textContent = `Could not read ${file.name}: ${error.message}`;
+                    openButton.disabled = true;
+                    return;
+                }
+                picked[slot] = file;
+                row.classList.add('located');
+                row.classList.toggle('mismatch', !matches);
+                status.textContent = matches
+                    ? `Found: ${file.name}`
+                    : `${file.name} is not the file the project was saved with; locate another or open with it anyway`;
+                openButton.disabled = missing.some(entry => !picked[entry.slot]);
+            });
+
+            input.click();
+        };
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                close();
+                onCancel();
+            }
+        };
+        const close = () => {
+            document.removeEventListener('keydown', onKeyDown);
+            dialog.remove();
+        };
+
+        dialog.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-relink-action]');
+            const action = button ? button.dataset.relinkAction : null;
+            if (e.target === dialog || action === 'close') {
+                close();
+                onCancel();
+            } else if (action === 'locate') {
+                locate(button.closest('.relink-row'));
+            } else if (action === 'open') {
+                close();
+                onOpen({ ...picked });
+            }
+        });
+        document.addEventListener('keydown', onKeyDown);
+
+        document.body.appendChild(dialog);
+        list.querySelector('button').focus();
+        return close;
+    };
+
+    const showVideoPlaceholder = (container, label, hint = 'Drop a video here or use Upload') => {
+        container.innerHTML = `
+            <div class="video-placeholder">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="2" y="2" width="20" height="20" rx="2.18" ry="2.18"></rect>
+                    <line x1="7" y1="2" x2="7" y2="22"></line>
+                    <line x1="17" y1="2" x2="17" y2="22"></line>
+                    <line x1="2" y1="12" x2="22" y2="12"></line>
+                    <line x1="2" y1="7" x2="7" y2="7"></line>
+                    <line x1="2" y1="17" x2="7" y2="17"></line>
+                    <line x1="17" y1="17" x2="22" y2="17"></line>
+                    <line x1="17" y1="7" x2="22" y2="7"></line>
+                </svg>
+                <span>${label}</span>
+                ${hint ? `<small class="video-placeholder-hint">${hint}</small>` : ''}
+            </div>
+        `;
+    };
+
+    // Empty frame strip, as before any video was loaded
+    const resetTimeline = () => {
+        disposeTimeline();
+        const framesStrip = document.getElementById('frames-strip');
+        if (framesStrip) {
+            framesStrip.innerHTML = '<div class="frame-placeholder">Load video to see frames</div>';
+        }
+        updateProgressBar(0);
+    };
+
+    const TIME_INPUT_HINT = 'Seconds (12.5), milliseconds (12500ms), HH:MM:SS.mmm or SMPTE HH:MM:SS:FF';
+
+    // Video containers follow `sources`, so undoing a clear or a swap shows the right videos
+    const displayedSources = { first: null, second: null };
+
+    const renderSources = (sources) => {
+        ['first', 'second'].forEach((slot) => {
+            const source = sources[slot];
+            if (source === displayedSources[slot]) return;
+            displayedSources[slot] = source;
+
+            const container = slot === 'first' ? elements.firstVideo : elements.secondVideo;
+            if (source) {
+                updateVideoDisplay(container, source, slot);
+            } else {
+                showVideoPlaceholder(container, slot === 'first' ? 'First Video' : 'Second Video');
+            }
+            // The timeline and the range preview belong to the first video
+            if (slot === 'first' && !source) {
+                resetTimeline();
+                showVideoPlaceholder(elements.rangePreview, 'Selected Range', 'Select frames on the timeline');
+            }
+        });
+    };
+
+    // Clock time in the inputs, the SMPTE timecode of the same frame in their tooltips
+    const renderTimeInputs = (timeRange) => {
+        const { start, end } = timeRange || {};
+        const media = StateManager.get('media');
+        [[elements.firstTimeInput, start], [elements.secondTimeInput, end]].forEach(([input, time]) => {
+            const known = typeof time === 'number';
+            input.value = known ? TimeCode.toClock(time) : '';
+            input.title = known && media ? `Timecode ${TimeCode.toTimecode(time, media.frameRate)}` : TIME_INPUT_HINT;
+            const item = input.closest('.control-item');
+            if (item) item.classList.remove('invalid');
+        });
+    };
+
+    const renderBranches = (branches) => {
+        elements.branchSelect.innerHTML = '';
+        branches.forEach((branch) => {
+            const option = document.createElement('option');
+            option.value = branch.id;
+            option.textContent = branch.name;
+            elements.branchSelect.appendChild(option);
+        });
+        renderBranch(StateManager.get('currentBranch'));
+    };
+
+    // The select's tooltip shows what the branch will produce
+    const renderBranch = (branch) => {
+        elements.branchSelect.value = branch;
+        const preset = BranchManager.resolvePreset(branch);
+        elements.branchSelect.title = preset ? BranchManager.describePreset(preset) : '';
+    };
+
+    // Dialog to view and edit a branch preset (branch null creates a new one);
+    // onSave(values) resolves when saved and rejects to keep the dialog open
+    const showBranchEditor = (branch, { onSave }) => {
+        const preset = branch ? branch.preset : BranchManager.FALLBACK_PRESET;
+        const sizeValue = preset.width ? `${preset.width}x${preset.height}` : '';
+        const sizes = OperationManager.RESOLUTIONS.map(({ label, width, height }) => ({ value: `${width}x${height}`, label: `${label} (${width}×${height})` }));
+        // A size that is not in the list still shows as itself
+        if (sizeValue && !sizes.some(size => size.value === sizeValue)) {
+            sizes.push({ value: sizeValue, label: `${preset.width}×${preset.height}` });
+        }
+
+        const dialog = document.createElement('div');
+        dialog.className = 'branch-editor';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', branch ? `Branch ${branch.name}` : 'New branch');
+        dialog.innerHTML = `
+            <form class="branch-panel">
+                <div class="shortcut-header">
+                    <span class="timeline-title">${branch ? 'Branch Preset' : 'New Branch'}</span>
+                    <button type="button" class="timeline-btn" data-branch-action="close" title="Close">✕</button>
+                </div>
+                <div class="branch-form">
+                    <label for="branch-name">Name</label>
+                    <input type="text" id="branch-name" class="operation-input" name="name" required maxlength="60">
+                    <label for="branch-format">Format</label>
+                    <select id="branch-format" class="operation-input" name="format">
+                        ${ApiContract.OUTPUT_FORMATS.map(format => `<option value="${format}">${format.toUpperCase()}</option>`).join('')}
+                    </select>
+                    <label for="branch-crf">Quality (CRF)</label>
+                    <input type="number" id="branch-crf" class="operation-input" name="crf" min="0" max="51" step="1" required>
+                    <label for="branch-speed">Speed</label>
+                    <select id="branch-speed" class="operation-input" name="speed">
+                        ${ApiContract.ENCODER_PRESETS.map(speed => `<option value="${speed}">${speed}</option>`).join('')}
+                    </select>
+                    <label for="branch-size">Resolution</label>
+                    <select id="branch-size" class="operation-input" name="size">
+                        <option value="">Same as the first video</option>
+                        ${sizes.map(size => `<option value="${size.value}">${size.label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="shortcut-footer">
+                    <span class="shortcut-hint">${branch ? `id: ${branch.id} · lower CRF means higher quality` : 'Lower CRF means higher quality'}</span>
+                    <button type="submit" class="session-btn primary">Save</button>
+                </div>
+            </form>
+        `;
+        const form = dialog.querySelector('form');
+        form.elements.name.value = branch ? branch.name : '';
+        form.elements.format.value = preset.format;
+        form.elements.crf.value = String(preset.crf);
+        form.elements.speed.value = preset.speed;
+        form.elements.size.value = sizeValue;
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                close();
+            }
+        };
+        const close = () => {
+            document.removeEventListener('keydown', onKeyDown);
+            dialog.remove();
+        };
+
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog || e.target.closest('[data-branch-action="close"]')) {
+                close();
+            }
+        });
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const [width, height] = form.elements.size.value ? form.elements.size.value.split('x').map(Number) : [null, null];
+            const submit = form.querySelector('[type="submit"]');
+            submit.disabled = true;
+            try {
+                await onSave({
+                    name: form.elements.name.value.trim(),
+                    preset: {
+                        format: form.elements.format.value,
+                        crf: Number(form.elements.crf.value),
+                        speed: form.elements.speed.value,
+                        width,
+                        height
+                    }
+                });
+                close();
+            } catch (error) {
+                showError(error.message);
+                submit.disabled = false;
+            }
+        });
+        document.addEventListener('keydown', onKeyDown);
+
+        document.body.appendChild(dialog);
+        form.elements.name.focus();
+        return close;
+    };
+
+    // Text of the cues showing at the first video's current time, over the video
+    const renderSubtitleOverlay = () => {
+        const container = elements.firstVideo;
+        if (!container) return;
+        let overlay = container.querySelector('.subtitle-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'subtitle-overlay';
+            overlay.setAttribute('aria-live', 'off');
+            container.appendChild(overlay);
+        }
+        const video = container.querySelector('video');
+        const cues = video ? Subtitles.activeAt(video.currentTime) : [];
+        overlay.hidden = cues.length === 0;
+        overlay.innerHTML = '';
+        cues.forEach((cue) => {
+            const line = document.createElement('span');
+            line.className = 'subtitle-line';
+            line.textContent = cue.text;
+            overlay.appendChild(line);
+        });
+    };
+
+    // Dialog listing every cue with editable times and text; edits go to state as they
+    // are made, so they can be undone like any other change
+    const showSubtitleEditor = ({ focusId = null } = {}) => {
+        const existing = document.querySelector('.subtitle-editor');
+        if (existing) {
+            existing.remove();
+        }
+
+        const dialog = document.createElement('div');
+        dialog.className = 'branch-editor subtitle-editor';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', 'Subtitles');
+        dialog.innerHTML = `
+            <div class="branch-panel subtitle-panel">
+                <div class="shortcut-header">
+                    <span class="timeline-title">Subtitles</span>
+                    <button type="button" class="timeline-btn" data-subtitle-action="close" title="Close">✕</button>
+                </div>
+                <ol class="cue-list"></ol>
+                <div class="shortcut-footer">
+                    <span class="shortcut-hint subtitle-track-name"></span>
+                    <div class="cue-actions">
+                        <button type="button" class="session-btn" data-subtitle-action="add">Add at playhead</button>
+                        <button type="button" class="session-btn" data-subtitle-action="unload">Remove track</button>
+                        ${Object.entries(Subtitles.FORMATS).map(([format, { label }]) => `<button type="button" class="session-btn primary" data-subtitle-action="export" data-format="${format}" title="Cues trimmed and re-timed to the processed output">Export ${label}</button>`).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+        const list = dialog.querySelector('.cue-list');
+        const trackName = dialog.querySelector('.subtitle-track-name');
+
+        const createRow = (cue) => {
+            const row = document.createElement('li');
+            row.className = 'cue-row';
+            row.dataset.cueId = cue.id;
+            row.innerHTML = `
+                <input type="text" class="operation-input cue-time" data-field="start" aria-label="Start" spellcheck="false">
+                <input type="text" class="operation-input cue-time" data-field="end" aria-label="End" spellcheck="false">
+                <button type="button" class="range-btn danger" data-subtitle-action="remove" title="Delete cue">✕</button>
+                <textarea class="operation-input cue-text" data-field="text" rows="2" aria-label="Text"></textarea>
+            `;
+            return row;
+        };
+
+        // Rows are kept and refreshed in place, so focus survives edits made elsewhere
+        const render = () => {
+            const track = Subtitles.getTrack();
+            const cues = Subtitles.getCues();
+            trackName.textContent = track ? `${track.name} · ${cues.length} cue${cues.length === 1 ? '' : 's'}` : 'No subtitles loaded';
+            dialog.querySelectorAll('[data-subtitle-action="unload"], [data-subtitle-action="export"]').forEach((button) => {
+                button.disabled = cues.length === 0;
+            });
+
+            const rows = new Map(Array.from(list.children).map(row => [row.dataset.cueId, row]));
+            cues.forEach((cue, index) => {
+                const row = rows.get(cue.id) || createRow(cue);
+                rows.delete(cue.id);
+                if (list.children[index] !== row) {
+                    list.insertBefore(row, list.children[index] || null);
+                }
+                row.querySelectorAll('[data-field]').forEach((input) => {
+                    if (input === document.activeElement) return;
+                    const value = cue[input.dataset.field];
+                    input.value = input.dataset.field === 'text' ? value : TimeCode.toClock(value);
+                });
+                row.classList.remove('invalid');
+            });
+            rows.forEach(row => row.remove());
+        };
+
+        const unsubscribe = StateManager.subscribe('subtitles', render);
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                close();
+            }
+        };
+        const close = () => {
+            unsubscribe();
+            document.removeEventListener('keydown', onKeyDown);
+            dialog.remove();
+        };
+
+        list.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-field]');
+            if (!input) return;
+            const row = input.closest('.cue-row');
+            const field = input.dataset.field;
+            try {
+                if (field === 'text') {
+                    const text = input.value.trim();
+                    if (!text) throw new Error('A cue needs some text');
+                    Subtitles.update(row.dataset.cueId, { text });
+                } else {
+                    const time = TimeCode.parse(input.value, (StateManager.get('media') || {}).frameRate);
+                    if (time === null) throw new Error(`Cannot read "${input.value}" as a time`);
+                    Subtitles.update(row.dataset.cueId, { [field]: time });
+                }
+            } catch (error) {
+                row.classList.add('invalid');
+                showError(error.message);
+            }
+        });
+
+        // Focusing a cue shows it on the video
+        list.addEventListener('focusin', (e) => {
+            const row = e.target.closest('.cue-row');
+            const video = elements.firstVideo && elements.firstVideo.querySelector('video');
+            const cue = row && Subtitles.getCues().find(candidate => candidate.id === row.dataset.cueId);
+            if (video && cue && !(cue.start <= video.currentTime && video.currentTime < cue.end)) {
+                video.currentTime = cue.start;
+            }
+        });
+
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) {
+                close();
+                return;
+            }
+            const button = e.target.closest('[data-subtitle-action]');
+            if (!button) return;
+            const action = button.dataset.subtitleAction;
+            if (action === 'close') {
+                close();
+            } else if (action === 'remove') {
+                Subtitles.remove(button.closest('.cue-row').dataset.cueId);
+            } else if (action === 'unload') {
+                Subtitles.unload();
+                close();
+            } else if (action === 'add') {
+                const video = elements.firstVideo && elements.firstVideo.querySelector('video');
+                const cue = Subtitles.add(video ? video.currentTime : 0);
+                const row = list.querySelector(`[data-cue-id="${cue.id}"]`);
+                if (row) {
+                    row.querySelector('.cue-text').select();
+                }
+            } else if (action === 'export') {
+                try {
+                    const count = VideoHandler.exportSubtitles(button.dataset.format);
+                    showSuccess(`Exported ${count} subtitle cue${count === 1 ? '' : 's'}`);
+                } catch (error) {
+                    showError(error.message);
+                }
+            }
+        });
+
+        render();
+        document.addEventListener('keydown', onKeyDown);
+        document.body.appendChild(dialog);
+        const focusRow = focusId && list.querySelector(`[data-cue-id="${focusId}"]`);
+        if (focusRow) {
+            focusRow.scrollIntoView({ block: 'nearest' });
+            focusRow.querySelector('.cue-text').focus();
+        }
+        return close;
+    };
+
+    // Undo/redo buttons name the step they would revert or repeat
+    const renderHistory = (history) => {
+        const { canUndo, canRedo, undoLabel, redoLabel } = history;
+        document.querySelectorAll('[data-action="undo"]').forEach((button) => {
+            button.disabled = !canUndo;
+            button.title = canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+        });
+        document.querySelectorAll('[data-action="redo"]').forEach((button) => {
+            button.disabled = !canRedo;
+            button.title = canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        });
+    };
+
+    // Wipe and onion views draw both videos into one stage; side view uses the slots
+    let compareStage = null;
+
+    const createCompareStage = (sources) => {
+        const stage = document.createElement('div');
+        stage.className = 'video-container compare-stage';
+        stage.innerHTML = `
+            <video class="compare-base" muted playsinline></video>
+            <video class="compare-top" muted playsinline></video>
+            <div class="compare-divider" role="slider" aria-label="Wipe position" tabindex="0"><span></span></div>
+            <span class="compare-label compare-label-a">A</span>
+            <span class="compare-label compare-label-b">B</span>
+        `;
+        // Object URLs made here are revoked when the stage goes away
+        const objectUrls = [];
+        const urlOf = (source) => {
+            if (typeof source === 'string') return source;
+            const url = URL.createObjectURL(source);
+            objectUrls.push(url);
+            return url;
+        };
+        stage.querySelector('.compare-base').src = urlOf(sources.first);
+        stage.querySelector('.compare-top').src = urlOf(sources.second);
+
+        const divider = stage.querySelector('.compare-divider');
+        const setWipe = (clientX) => {
+            const rect = stage.getBoundingClientRect();
+            const wipe = rect.width > 0 ? Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)) : 0.5;
+            StateManager.set('compare', { ...StateManager.get('compare'), wipe });
+        };
+        divider.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (divider.setPointerCapture) {
+                divider.setPointerCapture(e.pointerId);
+            }
+            divider.classList.add('dragging');
+            const onMove = moveEvent => setWipe(moveEvent.clientX);
+            const onUp = () => {
+                divider.classList.remove('dragging');
+                divider.removeEventListener('pointermove', onMove);
+                divider.removeEventListener('pointerup', onUp);
+                divider.removeEventListener('pointercancel', onUp);
+            };
+            divider.addEventListener('pointermove', onMove);
+            divider.addEventListener('pointerup', onUp);
+            divider.addEventListener('pointercancel', onUp);
+        });
+        divider.addEventListener('keydown', (e) => {
+            const step = e.key === 'ArrowLeft' ? -0.05 : e.key === 'ArrowRight' ? 0.05 : 0;
+            if (!step) return;
+            // The arrows otherwise step frames
+            e.preventDefault();
+            e.stopPropagation();
+            const compare = StateManager.get('compare');
+            StateManager.set('compare', { ...compare, wipe: Math.max(0, Math.min(1, compare.wipe + step)) });
+        });
+        // A click on the picture plays or pauses both videos
+        stage.addEventListener('click', (e) => {
+            if (!e.target.closest('.compare-divider')) {
+                KeyboardController.run('play-pause');
+            }
+        });
+
+        return {
+            element: stage,
+            sources: { ...sources },
+            dispose: () => {
+                stage.querySelectorAll('video').forEach((video) => {
+                    video.pause();
+                    video.removeAttribute('src');
+                });
+                objectUrls.forEach(url => URL.revokeObjectURL(url));
+                stage.remove();
+            }
+        };
+    };
+
+    const removeCompareStage = () => {
+        if (compareStage) {
+            compareStage.dispose();
+            compareStage = null;
+        }
+    };
+
+    const renderCompare = () => {
+        const compare = StateManager.get('compare');
+        const sources = StateManager.get('sources');
+        const ready = Boolean(sources.first && sources.second);
+        const overlay = compare.enabled && ready && compare.view !== 'side';
+
+        if (elements.compareToggle) {
+            elements.compareToggle.disabled = !ready;
+            elements.compareToggle.classList.toggle('active', compare.enabled);
+            elements.compareToggle.setAttribute('aria-pressed', String(compare.enabled));
+            elements.compareToggle.title = ready ? 'Lock both videos to one transport (C)' : 'Load both videos to compare them';
+        }
+        if (elements.compareControls) {
+            elements.compareControls.hidden = !compare.enabled;
+            elements.compareControls.querySelectorAll('[data-compare-view]').forEach((button) => {
+                button.classList.toggle('active', button.dataset.compareView === compare.view);
+            });
+        }
+        if (elements.compareOffset && document.activeElement !== elements.compareOffset) {
+            elements.compareOffset.value = compare.offset.toFixed(3);
+        }
+        if (elements.compareOpacity) {
+            elements.compareOpacity.value = String(Math.round(compare.opacity * 100));
+            elements.compareOpacity.closest('.compare-field').hidden = compare.view !== 'onion';
+        }
+        if (elements.videoRow) {
+            elements.videoRow.classList.toggle('compare-overlay', overlay);
+            elements.videoRow.classList.toggle('compare-side', compare.enabled && ready && !overlay);
+        }
+
+        if (!overlay) {
+            removeCompareStage();
+            return;
+        }
+        // New files need a new stage; a view or divider change only restyles it
+        if (compareStage && (compareStage.sources.first !== sources.first || compareStage.sources.second !== sources.second)) {
+            removeCompareStage();
+        }
+        if (!compareStage) {
+            compareStage = createCompareStage(sources);
+            elements.videoRow.appendChild(compareStage.element);
+        }
+
+        const stage = compareStage.element;
+        const top = stage.querySelector('.compare-top');
+        const divider = stage.querySelector('.compare-divider');
+        const wipe = compare.view === 'wipe';
+        stage.classList.toggle('wipe', wipe);
+        stage.classList.toggle('onion', !wipe);
+        top.style.clipPath = wipe ? `inset(0 0 0 ${(compare.wipe * 100).toFixed(2)}%)` : '';
+        top.style.opacity = wipe ? '' : String(compare.opacity);
+        divider.hidden = !wipe;
+        divider.style.left = `${compare.wipe * 100}%`;
+        divider.setAttribute('aria-valuenow', String(Math.round(compare.wipe * 100)));
+    };
+
+    // Detect button (which cancels while running), threshold and the cut count
+    const renderScenes = () => {
+        const scenes = StateManager.get('scenes');
+        const settings = StateManager.get('sceneSettings');
+        const running = Boolean(scenes) && scenes.status === 'running';
+
+        if (elements.detectScenesButton) {
+            elements.detectScenesButton.disabled = !StateManager.get('sources').first;
+            elements.detectScenesButton.classList.toggle('active', running);
+            elements.detectScenesButton.setAttribute('aria-pressed', String(running));
+            elements.detectScenesButton.title = running
+                ? `Detecting scene changes… ${Math.round(scenes.progress)}% (click to cancel)`
+                : 'Detect scene changes';
+        }
+        if (!elements.sceneBar) return;
+        elements.sceneBar.hidden = !scenes;
+        if (!scenes) return;
+
+        const cuts = scenes.status === 'done' ? SceneDetector.cutsFor(scenes.candidates, settings.threshold) : [];
+        if (scenes.status === 'running') {
+            elements.sceneSummary.textContent = `Detecting scenes… ${Math.round(scenes.progress)}%`;
+        } else if (scenes.status === 'error') {
+            elements.sceneSummary.textContent = 'Scene detection failed';
+        } else {
+            elements.sceneSummary.textContent = `${cuts.length + 1} scene${cuts.length ? 's' : ''}, ${cuts.length} cut${cuts.length === 1 ? '' : 's'}`;
+        }
+        elements.sceneMethod.value = settings.method;
+        elements.sceneMethod.disabled = running;
+        elements.sceneThreshold.min = String(Math.round(AppConfig.SCENE_MIN_THRESHOLD * 100));
+        elements.sceneThreshold.value = String(Math.round(settings.threshold * 100));
+        elements.sceneThresholdValue.textContent = settings.threshold.toFixed(2);
+        elements.splitScenesButton.disabled = cuts.length === 0;
+    };
+
+    const EXPORT_LABELS = { sheet: 'Exporting sheet', sequence: 'Exporting frames', animation: 'Encoding clip' };
+
+    // Export buttons wait for the first video; one export runs at a time
+    const renderFrameExport = () => {
+        if (!elements.exportPanel) return;
+        const job = StateManager.get('frameExport');
+        const ready = Boolean(StateManager.get('sources').first);
+
+        elements.exportPanel.querySelectorAll('[data-export]').forEach((button) => {
+            if (button.dataset.export === 'cancel') {
+                button.hidden = !job;
+            } else {
+                button.disabled = !ready || Boolean(job);
+            }
+        });
+        elements.exportStatus.hidden = !job;
+        if (job) {
+            elements.exportStatus.textContent = `${EXPORT_LABELS[job.kind]}… ${Math.round(job.progress)}%`;
+        }
+    };
+
+    const formatBytes = (bytes) => {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    };
+
+    // Size estimate of the animated clip, before anything is encoded
+    const renderAnimationEstimate = () => {
+        if (!elements.animationEstimate) return;
+        const gif = elements.animationFormat.value === 'gif';
+        elements.animationColors.closest('.compare-field').hidden = !gif;
+        elements.animationDither.closest('.compare-field').hidden = !gif;
+
+        const media = StateManager.get('media');
+        const { start, end } = StateManager.get('timeRange');
+        const width = Number(elements.animationWidth.value);
+        const fps = Number(elements.animationFps.value);
+        elements.animationEstimate.classList.remove('too-long');
+        if (!media || typeof start !== 'number' || typeof end !== 'number' || end <= start) {
+            elements.animationEstimate.textContent = 'Select a range';
+            return;
+        }
+        if (!(width > 0) || !(fps > 0)) {
+            elements.animationEstimate.textContent = '';
+            return;
+        }
+
+        const frames = AnimationExport.frameTimes(start, end, fps, media.frameRate || AppConfig.DEFAULT_FRAME_RATE).length;
+        const size = AnimationExport.sizeFor(width, media);
+        if (frames > AppConfig.ANIMATION_MAX_FRAMES) {
+            elements.animationEstimate.classList.add('too-long');
+            elements.animationEstimate.textContent = `${frames} frames (max ${AppConfig.ANIMATION_MAX_FRAMES})`;
+            return;
+        }
+        const bytes = AnimationExport.estimate({
+            ...size,
+            frames,
+            format: elements.animationFormat.value,
+            colors: Number(elements.animationColors.value),
+            dither: elements.animationDither.checked
+        });
+        elements.animationEstimate.textContent = `≈ ${formatBytes(bytes)} · ${frames} frames · ${size.width}×${size.height}`;
+    };
+
+    const createVideoControls = (video) => {
+        const controls = document.createElement('div');
+        controls.className = 'custom-video-controls';
+        controls.style.cssText = `
+            position: absolute;
+            bottom: 0;
+            left: 0;
+            right: 0;
+            background: linear-gradient(to top, rgba(0,0,0,0.7), transparent);
+            padding: 10px;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            opacity: 0;
+            transition: opacity 0.3s;
+        `;
+
+        const playBtn = document.createElement('button');
+        playBtn.style.cssText = `
+            width: 32px;
+            height: 32px;
+            background: rgba(255,255,255,0.2);
+            border: 1px solid rgba(255,255,255,0.3);
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            cursor: pointer;
+            color: white;
+        `;
+        playBtn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="white"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`;
+
+        const timeDisplay = document.createElement('span');
+        timeDisplay.style.cssText = `
+            color: white;
+            font-size: 12px;
+            flex: 1;
+            text-align: center;
+        `;
+
+        // Add center play button
+        const centerPlayBtn = document.createElement('div');
+        centerPlayBtn.className = 'center-play-btn';
+        centerPlayBtn.style.cssText = `
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 60px;
+            height: 60px;
+            background: rgba(0,0,0,0.7);
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            cursor: pointer;
+            transition: all 0.3s;
+            opacity: 0.8;
+        `;
+        centerPlayBtn.innerHTML = `
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
+                <polygon points="8 5 19 12 8 19 8 5"></polygon>
+            </svg>
+        `;
+
+        // Click handler for both play buttons
+        const togglePlay = () => {
+            if (video.paused) {
+                video.play();
+                playBtn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="white"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>`;
+                centerPlayBtn.style.opacity = '0';
+                centerPlayBtn.style.pointerEvents = 'none';
+            } else {
+                video.pause();
+                playBtn.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="white"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`;
+                centerPlayBtn.style.opacity = '0.8';
+                centerPlayBtn.style.pointerEvents = 'auto';
+            }
+        };
+
+        playBtn.addEventListener('click', togglePlay);
+        centerPlayBtn.addEventListener('click', togglePlay);
+
+        // Video click to play/pause (no auto-play on load)
+        video.addEventListener('click', (e) => {
+            e.preventDefault();
+            togglePlay();
+        });
+
+        video.addEventListener('timeupdate', () => {
+            const current = formatTime(video.currentTime);
+            const duration = formatTime(video.duration);
+            timeDisplay.textContent = `${current} / ${duration}`;
+        });
+
+        // Show/hide controls
+        const parent = video.parentElement;
+        if (parent) {
+            parent.addEventListener('mouseenter', () => {
+                controls.style.opacity = '1';
+                if (video.paused) {
+                    centerPlayBtn.style.opacity = '1';
+                }
+            });
+            parent.addEventListener('mouseleave', () => {
+                controls.style.opacity = '0';
+                if (video.paused) {
+                    centerPlayBtn.style.opacity = '0.5';
+                } else {
+                    centerPlayBtn.style.opacity = '0';
+                }
+            });
+        }
+
+        // Add center play button to parent element
+        if (parent) {
+            parent.appendChild(centerPlayBtn);
+        }
+
+        controls.appendChild(playBtn);
+        controls.appendChild(timeDisplay);
+
+        return controls;
+    };
+
+    const generateVideoThumbnails = (video, container, source) => {
+        // Generate thumbnails for the frame timeline
+        generateFrameTimeline(video, source);
+    };
+
+    // Thumbnail count for a duration and zoom level: about one per second up to
+    // TIMELINE_BASE_FRAMES, scaled by zoom, and never finer than one video frame
+    const getTimelineFrameCount = (duration, zoom, frameRate) => {
+        const base = Math.min(Math.ceil(duration), AppConfig.TIMELINE_BASE_FRAMES);
+        const finest = Math.max(1, Math.floor(duration * frameRate));
+        return Math.max(1, Math.min(Math.round(base * zoom), AppConfig.TIMELINE_MAX_FRAMES, finest));
+    };
+
+    // source is the File or path the video was loaded from; it keys the thumbnail cache
+    const generateFrameTimeline = (video, source) => {
+        const framesStrip = document.getElementById('frames-strip');
+        if (!framesStrip || !video) return;
+
+        // Clear existing frames and listeners of the previous timeline
+        disposeTimeline();
+        framesStrip.innerHTML = '';
+
+        const duration = video.duration;
+        if (!duration || duration === 0 || !isFinite(duration)) {
+            console.error('Video duration is 0 or undefined');
+            return;
+        }
+
+        // Register a listener that is removed together with this timeline
+        const listen = (target, type, handler, options) => {
+            target.addEventListener(type, handler, options);
+            timelineCleanups.push(() => target.removeEventListener(type, handler, options));
+        };
+
+        const getFrameRate = () => (StateManager.get('media') || {}).frameRate || AppConfig.DEFAULT_FRAME_RATE;
+
+        // Clamp a time to the video and round it to the nearest real frame
+        const snapTime = (time) => Math.max(0, Math.min(duration, TimeCode.snapToFrame(time, getFrameRate())));
+
+        let zoom = 1;
+        let interval = duration;
+        let frames = [];
+
+        // Selection boundaries in seconds
+        let selectionStart = null;
+        let selectionEnd = null;
+        let selectionAnchor = null; // Frame index where a drag selection began
+        let isSelecting = false;
+        let isDragging = false;
+
+        // Middle-button drag scrolling
+        let isScrollDragging = false;
+        let scrollStartX = 0;
+        let scrollLeft = 0;
+
+        // Add selection overlay
+        const selectionOverlay = document.createElement('div');
+        selectionOverlay.className = 'selection-overlay';
+        selectionOverlay.style.cssText = `
+            position: absolute;
+            background: rgba(99, 102, 241, 0.3);
+            border: 2px solid var(--primary-color);
+            pointer-events: none;
+            display: none;
+            top: 0;
+            bottom: 0;
+            z-index: 10;
+        `;
+        framesStrip.style.position = 'relative';
+        framesStrip.appendChild(selectionOverlay);
+
+        // Layer holding one overlay per saved range
+        const rangeLayer = document.createElement('div');
+        rangeLayer.className = 'range-overlay-layer';
+        framesStrip.appendChild(rangeLayer);
+
+        // Layer holding the detected scene cuts
+        const sceneLayer = document.createElement('div');
+        sceneLayer.className = 'scene-marker-layer';
+        framesStrip.appendChild(sceneLayer);
+
+        // Layer holding the named markers
+        const markerLayer = document.createElement('div');
+        markerLayer.className = 'marker-layer';
+        framesStrip.appendChild(markerLayer);
+
+        // Subtitle cues as blocks between the thumbnails and the audio lane
+        const subtitleLane = document.createElement('div');
+        subtitleLane.className = 'subtitle-lane';
+        framesStrip.appendChild(subtitleLane);
+
+        // Add start and end markers
+        const startMarker = document.createElement('div');
+        startMarker.className = 'selection-marker start-marker';
+        startMarker.style.cssText = `
+            position: absolute;
+            width: 4px;
+            height: 100%;
+            background: var(--success-color);
+            cursor: ew-resize;
+            z-index: 12;
+            display: none;
+            top: 0;
+        `;
+        startMarker.innerHTML = `<span style="position: absolute; top: -20px; left: -20px; background: var(--success-color); color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">START</span>`;
+        framesStrip.appendChild(startMarker);
+
+        const endMarker = document.createElement('div');
+        endMarker.className = 'selection-marker end-marker';
+        endMarker.style.cssText = `
+            position: absolute;
+            width: 4px;
+            height: 100%;
+            background: var(--danger-color);
+            cursor: ew-resize;
+            z-index: 12;
+            display: none;
+            top: 0;
+        `;
+        endMarker.innerHTML = `<span style="position: absolute; top: -20px; right: -15px; background: var(--danger-color); color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">END</span>`;
+        framesStrip.appendChild(endMarker);
+
+        // Marker being dragged ('start' or 'end')
+        let draggingMarker = null;
+
+        // Audio lane under the thumbnails; it lives in the strip, so it scrolls, zooms
+        // and sits under the selection overlay together with them
+        const waveformLane = document.createElement('div');
+        waveformLane.className = 'waveform-lane';
+        const waveformCanvas = document.createElement('canvas');
+        const waveformStatus = document.createElement('span');
+        waveformStatus.className = 'waveform-status';
+        waveformStatus.textContent = 'Analyzing audio…';
+        waveformLane.appendChild(waveformCanvas);
+        waveformLane.appendChild(waveformStatus);
+        framesStrip.appendChild(waveformLane);
+        framesStrip.classList.add('has-waveform');
+        if (elements.videoSwap) {
+            elements.videoSwap.classList.add('with-waveform');
+        }
+
+        let waveform = null;
+        let timelineActive = true;
+        timelineCleanups.push(() => {
+            timelineActive = false;
+            framesStrip.classList.remove('has-waveform', 'has-subtitles');
+            if (elements.videoSwap) {
+                elements.videoSwap.classList.remove('with-waveform', 'with-subtitles');
+            }
+        });
+
+        // Time where a thumbnail ends (the last one ends exactly at the duration)
+        const frameEndTime = (index) => (index >= frames.length - 1 ? duration : frames[index + 1].time);
+
+        const frameIndexAt = (time) => Math.max(0, Math.min(frames.length - 1, Math.floor(time / interval)));
+
+        // Pixel offset of a time inside the strip content
+        const timeToOffset = (time) => {
+            if (!frames.length) return 0;
+            const index = frameIndexAt(time);
+            const { frameDiv } = frames[index];
+            const span = frameEndTime(index) - frames[index].time;
+            const fraction = Math.max(0, Math.min(1, (time - frames[index].time) / span));
+            return frameDiv.offsetLeft + fraction * frameDiv.offsetWidth;
+        };
+
+        // Frame index under a pixel offset of the strip content (gaps belong to the left frame)
+        const offsetToIndex = (x) => {
+            let low = 0;
+            let high = frames.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (frames[mid].frameDiv.offsetLeft <= x) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return low;
+        };
+
+        // Time under a pixel offset, interpolated inside the thumbnail
+        const offsetToTime = (x) => {
+            if (!frames.length) return 0;
+            const index = offsetToIndex(x);
+            const { frameDiv, time } = frames[index];
+            const fraction = frameDiv.offsetWidth
+                ? Math.max(0, Math.min(1, (x - frameDiv.offsetLeft) / frameDiv.offsetWidth))
+                : 0;
+            return time + fraction * (frameEndTime(index) - time);
+        };
+
+        const pointerOffset = (e) => e.clientX - framesStrip.getBoundingClientRect().left + framesStrip.scrollLeft;
+
+        const pointerTime = (e) => snapTime(offsetToTime(pointerOffset(e)));
+
+        // Thumbnail index a press starts from: the thumbnail itself or the audio under it
+        const pressedIndex = (e) => {
+            const frameDiv = e.target.closest('.frame-thumbnail');
+            if (frameDiv) return Number(frameDiv.dataset.index);
+            return e.target.closest('.waveform-lane') ? offsetToIndex(pointerOffset(e)) : null;
+        };
+
+        // Drag selections cover whole thumbnails between the anchor and the pointer
+        const selectFrames = (fromIndex, toIndex) => {
+            const first = Math.min(fromIndex, toIndex);
+            const last = Math.max(fromIndex, toIndex);
+            selectionStart = frames[first].time;
+            selectionEnd = frameEndTime(last);
+        };
+
+        // Pointer input: mouse and pen work as they always did (drag to select, Ctrl/Shift+Click,
+        // drag markers, middle-drag to pan); touch uses long-press to select, one or two
+        // fingers to pan and pinch to zoom. Pointer capture keeps a drag alive outside the strip.
+        const capturePointer = (e) => {
+            try {
+                framesStrip.setPointerCapture(e.pointerId);
+            } catch (error) {
+                // The pointer is already gone; its pointerup still ends the drag
+            }
+        };
+
+        const startMarkerDrag = (marker) => {
+            draggingMarker = marker;
+            isDragging = true;
+            StateManager.beginGroup(marker === 'start' ? 'Move start marker' : 'Move end marker');
+        };
+
+        // New selection, detached from any saved range; the whole drag is one undo step
+        const startSelection = (index) => {
+            StateManager.beginGroup('Select frames');
+            StateManager.set('activeRangeId', null);
+            isSelecting = true;
+            selectionAnchor = index;
+            selectFrames(index, index);
+            updateSelection();
+        };
+
+        // Follow the pointer while selecting or dragging a marker
+        const trackPointer = (e) => {
+            if (isSelecting) {
+                selectFrames(selectionAnchor, offsetToIndex(pointerOffset(e)));
+                updateSelection();
+            } else if (isDragging && draggingMarker) {
+                // Markers move with frame precision
+                if (draggingMarker === 'start') {
+                    selectionStart = pointerTime(e);
+                } else if (draggingMarker === 'end') {
+                    selectionEnd = pointerTime(e);
+                }
+                updateSelection();
+            }
+        };
+
+        // Pointer released: commit the selection or the marker position
+        const finishInteraction = () => {
+            if (isSelecting) {
+                isSelecting = false;
+                commitSelection();
+                StateManager.endGroup();
+            }
+            if (isDragging) {
+                isDragging = false;
+                draggingMarker = null;
+                commitSelection();
+                StateManager.endGroup();
+            }
+        };
+
+        // Interrupted (the browser took the gesture, or a second finger landed):
+        // show the stored selection again instead of committing
+        const abortInteraction = () => {
+            if (!isSelecting && !isDragging) return;
+            isSelecting = false;
+            isDragging = false;
+            draggingMarker = null;
+            StateManager.endGroup();
+            syncSelectionFromState(StateManager.get('timeRange'));
+        };
+
+        const onMouseDown = (e) => {
+            // Middle mouse button (wheel click) drag scrolls
+            if (e.button === 1) {
+                e.preventDefault();
+                isScrollDragging = true;
+                framesStrip.classList.add('panning');
+                framesStrip.style.cursor = 'grabbing';
+                scrollStartX = e.pageX - framesStrip.offsetLeft;
+                scrollLeft = framesStrip.scrollLeft;
+                capturePointer(e);
+                return;
+            }
+            if (e.button !== 0) return;
+
+            const marker = e.target.closest('.selection-marker');
+            if (marker) {
+                e.preventDefault();
+                startMarkerDrag(marker === startMarker ? 'start' : 'end');
+                capturePointer(e);
+                return;
+            }
+
+            const sceneMarker = e.target.closest('.scene-marker');
+            if (sceneMarker) {
+                e.preventDefault();
+                if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                    snapSelectionToCut(Number(sceneMarker.dataset.time), e.shiftKey ? 'end' : 'start');
+                }
+                return;
+            }
+
+            // Cues and markers are clicked, not dragged across
+            if (e.target.closest('.subtitle-cue, .timeline-marker')) {
+                e.preventDefault();
+                return;
+            }
+
+            const index = pressedIndex(e);
+            if (index === null) return;
+            e.preventDefault();
+
+            if (e.altKey) {
+                // Alt+Click drops a marker at the exact frame under the pointer
+                const marker = MarkerManager.add(pointerTime(e));
+                showSuccess(`${marker.name} added at ${formatTime(marker.time, 2)}`);
+            } else if (e.shiftKey) {
+                // Shift+Click to set end point at the exact frame under the pointer
+                if (selectionStart !== null) {
+                    selectionEnd = pointerTime(e);
+                    updateSelection();
+                    commitSelection();
+                }
+            } else if (e.ctrlKey || e.metaKey) {
+                // Ctrl/Cmd+Click to set start point at the exact frame under the pointer
+                selectionStart = pointerTime(e);
+                if (selectionEnd === null) {
+                    selectionEnd = frameEndTime(index);
+                }
+                updateSelection();
+                commitSelection();
+            } else {
+                startSelection(index);
+                capturePointer(e);
+            }
+        };
+
+        // Touch state: fingers on the strip, a pending long-press and the active pan or pinch
+        const touches = new Map();
+        let longPressTimer = null;
+        let touchPan = null;
+        let pinch = null;
+
+        const cancelLongPress = () => {
+            clearTimeout(longPressTimer);
+            longPressTimer = null;
+        };
+        timelineCleanups.push(cancelLongPress);
+
+        const fingerSpread = () => {
+            const [a, b] = [...touches.values()];
+            return {
+                distance: Math.hypot(a.x - b.x, a.y - b.y),
+                center: (a.x + b.x) / 2,
+                scrollLeft: framesStrip.scrollLeft
+            };
+        };
+
+        const onTouchDown = (e) => {
+            touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            capturePointer(e);
+            framesStrip.classList.add('panning');
+
+            // A second finger turns whatever the first one started into pan and pinch
+            if (touches.size === 2) {
+                cancelLongPress();
+                abortInteraction();
+                touchPan = null;
+                pinch = fingerSpread();
+                return;
+            }
+            if (touches.size > 2) return;
+
+            const marker = e.target.closest('.selection-marker');
+            if (marker) {
+                startMarkerDrag(marker === startMarker ? 'start' : 'end');
+                return;
+            }
+
+            touchPan = { x: e.clientX, scrollLeft: framesStrip.scrollLeft };
+            const index = pressedIndex(e);
+            if (index === null) return;
+
+            // Holding still selects; moving first pans instead
+            longPressTimer = setTimeout(() => {
+                longPressTimer = null;
+                touchPan = null;
+                startSelection(index);
+                if (navigator.vibrate) {
+                    navigator.vibrate(10);
+                }
+            }, AppConfig.LONG_PRESS_DELAY);
+        };
+
+        const onTouchMove = (e) => {
+            if (!touches.has(e.pointerId)) return;
+            touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (pinch) {
+                const spread = fingerSpread();
+                framesStrip.scrollLeft = pinch.scrollLeft - (spread.center - pinch.center);
+
+                // Zoom in steps so the strip is not rebuilt on every move
+                const ratio = pinch.distance > 0 ? spread.distance / pinch.distance : 1;
+                if (ratio > AppConfig.PINCH_ZOOM_STEP || ratio < 1 / AppConfig.PINCH_ZOOM_STEP) {
+                    setZoom(zoom * ratio, spread.center - framesStrip.getBoundingClientRect().left);
+                    pinch = fingerSpread();
+                }
+                return;
+            }
+
+            if (touchPan) {
+                const dx = e.clientX - touchPan.x;
+                if (longPressTimer && Math.abs(dx) > AppConfig.TOUCH_SLOP) {
+                    cancelLongPress();
+                }
+                if (!longPressTimer) {
+                    framesStrip.scrollLeft = touchPan.scrollLeft - dx;
+                }
+                return;
+            }
+
+            trackPointer(e);
+        };
+
+        const onTouchEnd = (e) => {
+            touches.delete(e.pointerId);
+            cancelLongPress();
+            if (touches.size < 2) {
+                pinch = null;
+            }
+            if (touches.size === 0) {
+                touchPan = null;
+                framesStrip.classList.remove('panning');
+            }
+        };
+
+        listen(framesStrip, 'pointerdown', (e) => {
+            if (e.pointerType === 'touch') {
+                onTouchDown(e);
+            } else {
+                onMouseDown(e);
+            }
+        });
+
+        listen(framesStrip, 'pointermove', (e) => {
+            if (e.pointerType === 'touch') {
+                onTouchMove(e);
+            } else if (isScrollDragging) {
+                e.preventDefault();
+                const x = e.pageX - framesStrip.offsetLeft;
+                const walk = (x - scrollStartX) * 2; // Scroll speed
+                framesStrip.scrollLeft = scrollLeft - walk;
+            } else {
+                trackPointer(e);
+            }
+        });
+
+        const onPointerEnd = (e) => {
+            if (e.pointerType === 'touch') {
+                onTouchEnd(e);
+            } else if (isScrollDragging) {
+                isScrollDragging = false;
+                framesStrip.classList.remove('panning');
+                framesStrip.style.cursor = 'default';
+            }
+
+            if (e.type === 'pointercancel') {
+                abortInteraction();
+            } else if (touches.size === 0) {
+                finishInteraction();
+            }
+        };
+
+        listen(framesStrip, 'pointerup', onPointerEnd);
+        listen(framesStrip, 'pointercancel', onPointerEnd);
+
+        // Click to seek (single click)
+        listen(framesStrip, 'click', (e) => {
+            const sceneMarker = e.target.closest('.scene-marker');
+            if (sceneMarker) {
+                if (!e.shiftKey && !e.ctrlKey && !e.metaKey) {
+                    video.currentTime = Number(sceneMarker.dataset.time);
+                }
+                return;
+            }
+
+            const markerFlag = e.target.closest('.timeline-marker');
+            if (markerFlag) {
+                const marker = MarkerManager.find(markerFlag.dataset.markerId);
+                if (marker) {
+                    video.currentTime = marker.time;
+                }
+                return;
+            }
+
+            const cueBlock = e.target.closest('.subtitle-cue');
+            if (cueBlock) {
+                const cue = Subtitles.getCues().find(candidate => candidate.id === cueBlock.dataset.cueId);
+                if (cue) {
+                    video.currentTime = cue.start;
+                }
+                return;
+            }
+
+            const frameDiv = e.target.closest('.frame-thumbnail');
+            // Alt+Click only drops a marker
+            if (!frameDiv || isSelecting || e.altKey) return;
+
+            const time = Number(frameDiv.dataset.time);
+            video.currentTime = time;
+            updateActiveFrame(frameDiv);
+
+            // Also update the main video if it exists
+            const mainVideo = document.querySelector('.first_video video');
+            if (mainVideo) {
+                mainVideo.currentTime = time;
+            }
+        });
+
+        // Update selection visual
+        const updateSelection = () => {
+            if (selectionStart === null || selectionEnd === null || !frames.length) return;
+
+            const start = Math.min(selectionStart, selectionEnd);
+            const end = Math.max(selectionStart, selectionEnd);
+
+            // Mark thumbnails that overlap the selection
+            frames.forEach((f, i) => {
+                f.frameDiv.classList.toggle('selected', f.time < end && frameEndTime(i) > start);
+            });
+
+            // Offsets are relative to the strip content, so they stay correct while scrolled
+            const left = timeToOffset(start);
+            const right = timeToOffset(end);
+
+            selectionOverlay.style.left = `${left}px`;
+            selectionOverlay.style.width = `${Math.max(2, right - left)}px`;
+            selectionOverlay.style.display = 'block';
+
+            // Update markers position
+            startMarker.style.left = `${left - 2}px`;
+            startMarker.style.display = 'block';
+
+            endMarker.style.left = `${right - 2}px`;
+            endMarker.style.display = 'block';
+        };
+
+        const clearSelection = () => {
+            selectionStart = null;
+            selectionEnd = null;
+            frames.forEach(f => f.frameDiv.classList.remove('selected'));
+            selectionOverlay.style.display = 'none';
+            startMarker.style.display = 'none';
+            endMarker.style.display = 'none';
+        };
+
+        // Draw every saved range as its own overlay
+        const renderRangeOverlays = () => {
+            const activeId = StateManager.get('activeRangeId');
+            rangeLayer.innerHTML = '';
+
+            RangeManager.getRanges().forEach((range, index) => {
+                const left = timeToOffset(range.start);
+                const overlay = document.createElement('div');
+                overlay.className = 'range-overlay';
+                overlay.classList.toggle('active', range.id === activeId);
+                overlay.style.left = `${left}px`;
+                overlay.style.width = `${Math.max(2, timeToOffset(range.end) - left)}px`;
+                overlay.title = `${range.name}: ${formatTime(range.start, 2)} - ${formatTime(range.end, 2)}`;
+
+                const label = document.createElement('span');
+                label.className = 'range-overlay-label';
+                label.textContent = `${index + 1}. ${range.name}`;
+                overlay.appendChild(label);
+
+                rangeLayer.appendChild(overlay);
+            });
+        };
+
+        // Cuts passing the current threshold, for this timeline's video only
+        const currentCuts = () => {
+            const scenes = StateManager.get('scenes');
+            if (!scenes || scenes.source !== source) return [];
+            return SceneDetector.cutsFor(scenes.candidates, StateManager.get('sceneSettings').threshold);
+        };
+
+        const renderSceneMarkers = () => {
+            sceneLayer.innerHTML = '';
+            if (!frames.length) return;
+
+            currentCuts().forEach((cut, index) => {
+                const marker = document.createElement('div');
+                marker.className = 'scene-marker';
+                marker.dataset.time = cut.time;
+                marker.style.left = `${timeToOffset(cut.time)}px`;
+                marker.title = `Scene ${index + 2} at ${formatTime(cut.time, 2)} (change ${cut.score.toFixed(2)})\n`
+                    + 'Click: jump | Ctrl+Click: start here | Shift+Click: end here | Double-click: select scene';
+                sceneLayer.appendChild(marker);
+            });
+        };
+
+        const renderMarkers = () => {
+            markerLayer.innerHTML = '';
+            if (!frames.length) return;
+
+            MarkerManager.getMarkers().forEach((marker) => {
+                const flag = document.createElement('div');
+                flag.className = 'timeline-marker';
+                flag.dataset.markerId = marker.id;
+                flag.style.left = `${timeToOffset(Math.min(marker.time, duration))}px`;
+                flag.style.setProperty('--marker-color', marker.color);
+                flag.title = `${marker.name} at ${formatTime(marker.time, 2)}\nClick: jump`;
+
+                const label = document.createElement('span');
+                label.className = 'timeline-marker-label';
+                label.textContent = marker.name;
+                flag.appendChild(label);
+
+                markerLayer.appendChild(flag);
+            });
+        };
+
+        const renderSubtitleCues = () => {
+            subtitleLane.innerHTML = '';
+            const cues = Subtitles.getCues();
+            framesStrip.classList.toggle('has-subtitles', cues.length > 0);
+            if (elements.videoSwap) {
+                elements.videoSwap.classList.toggle('with-subtitles', cues.length > 0);
+            }
+            if (!frames.length) return;
+
+            cues.forEach((cue) => {
+                const left = timeToOffset(Math.min(cue.start, duration));
+                const block = document.createElement('div');
+                block.className = 'subtitle-cue';
+                block.dataset.cueId = cue.id;
+                block.style.left = `${left}px`;
+                block.style.width = `${Math.max(2, timeToOffset(Math.min(cue.end, duration)) - left)}px`;
+                block.textContent = cue.text.replace(/\n/g, ' ');
+                block.title = `${formatTime(cue.start, 2)} - ${formatTime(cue.end, 2)}\n${cue.text}\n`
+                    + 'Click: jump | Double-click: edit';
+                subtitleLane.appendChild(block);
+            });
+        };
+
+        // Move one edge of the selection onto a cut; the other edge stays (or is the video's start or end)
+        const snapSelectionToCut = (time, edge) => {
+            const current = StateManager.get('timeRange');
+            const start = edge === 'start' ? time : (typeof current.start === 'number' ? current.start : 0);
+            const end = edge === 'end' ? time : (typeof current.end === 'number' ? current.end : duration);
+            if (end <= start) {
+                DOMController.showError('Start time must be before the end time');
+                return;
+            }
+            RangeManager.select(start, end, edge === 'start' ? 'Snap start to cut' : 'Snap end to cut');
+        };
+
+        // Double-click a cut to select the scene it starts, or a cue to edit it
+        listen(framesStrip, 'dblclick', (e) => {
+            const cueBlock = e.target.closest('.subtitle-cue');
+            if (cueBlock) {
+                showSubtitleEditor({ focusId: cueBlock.dataset.cueId });
+                return;
+            }
+            const sceneMarker = e.target.closest('.scene-marker');
+            if (!sceneMarker) return;
+            const time = Number(sceneMarker.dataset.time);
+            const next = currentCuts().find(cut => cut.time > time);
+            RangeManager.select(time, next ? next.time : duration, 'Select scene');
+        });
+
+        // Reflect externally changed selections (e.g. activating a saved range)
+        const syncSelectionFromState = (timeRange) => {
+            if (isSelecting || isDragging) return;
+            if (!timeRange || typeof timeRange.start !== 'number' || typeof timeRange.end !== 'number') {
+                clearSelection();
+                return;
+            }
+            selectionStart = timeRange.start;
+            selectionEnd = timeRange.end;
+            updateSelection();
+        };
+
+        // Show the selected range in its own preview view
+        const renderPreview = (timeRange) => {
+            const container = elements.rangePreview;
+            if (!container) return;
+            if (!timeRange || typeof timeRange.start !== 'number' || typeof timeRange.end !== 'number'
+                || timeRange.end <= timeRange.start) {
+                showVideoPlaceholder(container, 'Selected Range', 'Select frames on the timeline');
+                return;
+            }
+            updateRangePreview(video, timeRange.start, timeRange.end, container);
+        };
+
+        timelineCleanups.push(
+            StateManager.subscribe('ranges', renderRangeOverlays),
+            StateManager.subscribe('activeRangeId', renderRangeOverlays),
+            StateManager.subscribe('scenes', renderSceneMarkers),
+            StateManager.subscribe('sceneSettings', renderSceneMarkers),
+            StateManager.subscribe('subtitles', renderSubtitleCues),
+            StateManager.subscribe('markers', renderMarkers),
+            StateManager.subscribe('timeRange', syncSelectionFromState),
+            StateManager.subscribe('timeRange', renderPreview)
+        );
+
+        // Move a selection edge into nearby silence, if there is any
+        const snapToSilence = (time) => {
+            const silent = AudioWaveform.nearestSilence(waveform, time);
+            return silent === null ? time : snapTime(silent);
+        };
+
+        // Store the drawn selection in state
+        const commitSelection = () => {
+            if (selectionStart === null || selectionEnd === null) return;
+
+            let startTime = Math.min(selectionStart, selectionEnd);
+            let endTime = Math.max(selectionStart, selectionEnd);
+            if (endTime <= startTime) return;
+
+            if (waveform && StateManager.get('snapToSilence')) {
+                const snappedStart = snapToSilence(startTime);
+                const snappedEnd = snapToSilence(endTime);
+                // Two edges pulled into the same pause would select nothing
+                if (snappedEnd > snappedStart) {
+                    startTime = snappedStart;
+                    endTime = snappedEnd;
+                }
+            }
+
+            // Update state; time inputs and the preview follow timeRange
+            RangeManager.select(startTime, endTime);
+
+            DOMController.showSuccess(`Selected range: ${formatTime(startTime, 2)} - ${formatTime(endTime, 2)}`);
+        };
+
+        // Build the preview player for a range
+        const updateRangePreview = (sourceVideo, startTime, endTime, container) => {
+            // A separate player on the same source, limited to the range
+            const previewVideo = document.createElement('video');
+            previewVideo.src = sourceVideo.src;
+            previewVideo.controls = false;
+            previewVideo.autoplay = false;
+            previewVideo.loop = false; // No looping
+            previewVideo.muted = true;
+            previewVideo.style.width = '100%';
+            previewVideo.style.height = '100%';
+            previewVideo.style.objectFit = 'cover';
+
+            // Start the preview at the range start
+            previewVideo.addEventListener('loadedmetadata', () => {
+                previewVideo.currentTime = startTime;
+                previewVideo.pause();
+
+                // Create a visual indicator for the current position
+                const seekBar = document.createElement('div');
+                seekBar.style.cssText = `
+                    position: absolute;
+                    bottom: 0;
+                    left: 0;
+                    right: 0;
+                    height: 4px;
+                    background: rgba(255,255,255,0.2);
+                `;
+
+                const seekProgress = document.createElement('div');
+                seekProgress.style.cssText = `
+                    height: 100%;
+                    width: 0%;
+                    background: var(--primary-color);
+                    transition: width 0.1s;
+                `;
+                seekBar.appendChild(seekProgress);
+                container.appendChild(seekBar);
+
+                // Update progress bar
+                previewVideo.addEventListener('timeupdate', () => {
+                    const progress = ((previewVideo.currentTime - startTime) / (endTime - startTime)) * 100;
+                    seekProgress.style.width = `${Math.max(0, Math.min(100, progress))}%`;
+                });
+            });
+
+            // Ensure video stays within bounds
+            previewVideo.addEventListener('seeked', () => {
+                if (previewVideo.currentTime < startTime) {
+                    previewVideo.currentTime = startTime;
+                } else if (previewVideo.currentTime > endTime) {
+                    previewVideo.currentTime = endTime;
+                }
+            });
+
+            // Add custom controls with range info
+            const controlsOverlay = document.createElement('div');
+            controlsOverlay.className = 'range-info-overlay';
+            controlsOverlay.style.cssText = `
+                position: absolute;
+                top: 0;
+                left: 0;
+                right: 0;
+                background: linear-gradient(to bottom, rgba(0,0,0,0.7), transparent);
+                padding: 10px;
+                color: white;
+                pointer-events: none;
+            `;
+            controlsOverlay.innerHTML = `
+                <div style="font-size: 12px; font-weight: bold;">Selected Range</div>
+                <div style="font-size: 14px; margin-top: 5px;">${formatTime(startTime, 2)} - ${formatTime(endTime, 2)}</div>
+                <div style="font-size: 11px; margin-top: 3px; opacity: 0.8;">Duration: ${formatTime(endTime - startTime, 2)}</div>
+            `;
+
+            // Add play button overlay
+            const playButton = document.createElement('div');
+            playButton.style.cssText = `
+                position: absolute;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                width: 60px;
+                height: 60px;
+                background: rgba(0,0,0,0.7);
+                border-radius: 50%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                cursor: pointer;
+                transition: all 0.3s;
+            `;
+            playButton.innerHTML = `
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
+                    <polygon points="8 5 19 12 8 19 8 5"></polygon>
+                </svg>
+            `;
+
+            let isPlaying = false;
+            let playInterval = null;
+
+            // Play only selected range (no auto-play)
+            playButton.addEventListener('click', () => {
+                if (!isPlaying) {
+                    previewVideo.currentTime = startTime;
+                    previewVideo.play();
+                    isPlaying = true;
+                    playButton.style.opacity = '0';
+
+                    // Stop at end time and don't auto-replay
+                    playInterval = setInterval(() => {
+                        if (previewVideo.currentTime >= endTime) {
+                            previewVideo.pause();
+                            previewVideo.currentTime = startTime;
+                            isPlaying = false;
+                            playButton.style.opacity = '1';
+                            clearInterval(playInterval);
+                        }
+                    }, 100);
+                } else {
+                    previewVideo.pause();
+                    isPlaying = false;
+                    playButton.style.opacity = '1';
+                    clearInterval(playInterval);
+                }
+            });
+
+            // Show/hide play button on hover
+            container.addEventListener('mouseenter', () => {
+                if (!isPlaying) {
+                    playButton.style.opacity = '1';
+                }
+            });
+
+            container.addEventListener('mouseleave', () => {
+                if (!isPlaying) {
+                    playButton.style.opacity = '0.5';
+                }
+            });
+
+            // Clear container and add new elements
+            container.innerHTML = '';
+            container.style.position = 'relative';
+            container.appendChild(previewVideo);
+            container.appendChild(controlsOverlay);
+            container.appendChild(playButton);
+        };
+
+        // Add info text
+        const infoText = document.createElement('div');
+        infoText.style.cssText = `
+            position: absolute;
+            top: -40px;
+            left: 0;
+            font-size: 11px;
+            color: var(--text-secondary);
+            background: var(--surface);
+            padding: 4px 8px;
+            border-radius: 4px;
+            border: 1px solid var(--border-color);
+        `;
+        infoText.innerHTML = `<b>Tips:</b> Click & drag to select | Ctrl+Click: set start | Shift+Click: set end | Drag markers: frame-accurate | Mouse wheel: scroll | Middle click & drag: pan | ?: keyboard shortcuts | Touch: long-press to select, pinch to zoom | Waveform: drag to select | Scene cuts: click to jump, Ctrl/Shift+Click to snap | Alt+Click or M: add marker`;
+        framesStrip.appendChild(infoText);
+
+        // Mouse wheel horizontal scroll
+        listen(framesStrip, 'wheel', (e) => {
+            e.preventDefault();
+
+            // Determine scroll direction and amount
+            const delta = e.deltaY || e.deltaX;
+            const scrollAmount = delta * 2; // Adjust scroll speed
+
+            // Smooth scroll
+            framesStrip.scrollBy({
+                left: scrollAmount,
+                behavior: 'smooth'
+            });
+        }, { passive: false });
+
+        // Add visual feedback for scrollable area
+        framesStrip.style.cursor = 'default';
+
+        // Grab cursor while a mouse hovers the strip
+        listen(framesStrip, 'pointerenter', (e) => {
+            if (e.pointerType === 'mouse' && !isSelecting && !isDragging) {
+                framesStrip.style.cursor = 'grab';
+            }
+        });
+
+        listen(framesStrip, 'pointerleave', () => {
+            if (!isScrollDragging) {
+                framesStrip.style.cursor = 'default';
+            }
+        });
+
+        const drawPlaceholder = (canvas, time) => {
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#e0e0e0';
+            ctx.fillRect(0, 0, 160, 90);
+            ctx.fillStyle = '#999';
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(formatTime(time, 2), 80, 45);
+        };
+
+        // Generate thumbnails off the visible video; a rebuild or a new video cancels the previous run
+        let thumbnailAbort = null;
+        timelineCleanups.push(() => thumbnailAbort && thumbnailAbort.abort());
+
+        const captureFrames = () => {
+            if (thumbnailAbort) {
+                thumbnailAbort.abort();
+            }
+            const controller = new AbortController();
+            thumbnailAbort = controller;
+
+            const targets = frames;
+            let completed = 0;
+            const advance = () => {
+                completed++;
+                updateProgressBar((completed / targets.length) * 100);
+            };
+
+            ThumbnailPipeline.extract({
+                source,
+                src: video.src,
+                times: targets.map(f => f.time),
+                width: 160,
+                height: 90,
+                signal: controller.signal,
+                onFrame: (index, image) => {
+                    targets[index].canvas.getContext('2d').drawImage(image, 0, 0, 160, 90);
+                    if (typeof image.close === 'function') {
+                        image.close();
+                    }
+                    advance();
+                },
+                onError: (index, error) => {
+                    console.error(`Error capturing frame at ${targets[index].time}s:`, error);
+                    drawPlaceholder(targets[index].canvas, targets[index].time);
+                    advance();
+                }
+            }).catch((error) => {
+                if (error.name !== 'AbortError') {
+                    console.error('Thumbnail generation stopped:', error);
+                    DOMController.showError(error.message);
+                }
+            });
+        };
+
+        // (Re)create the thumbnails for the current zoom level so the strip always spans the whole video
+        const buildFrames = () => {
+            frames.forEach(f => f.frameDiv.remove());
+
+            const frameCount = getTimelineFrameCount(duration, zoom, getFrameRate());
+            interval = duration / frameCount;
+            frames = [];
+
+            // Sub-second thumbnails get fractional labels
+            const labelDecimals = interval < 1 ? 2 : 0;
+
+            console.log(`Generating ${frameCount} frames for ${duration}s video (every ${interval.toFixed(3)}s)`);
+
+            for (let i = 0; i < frameCount; i++) {
+                const time = i * interval;
+
+                const frameDiv = document.createElement('div');
+                frameDiv.className = 'frame-thumbnail';
+                frameDiv.dataset.time = time;
+                frameDiv.dataset.index = i;
+
+                const canvas = document.createElement('canvas');
+                canvas.width = 160;
+                canvas.height = 90;
+                canvas.style.width = '100%';
+                canvas.style.height = '100%';
+                canvas.style.objectFit = 'cover';
+                canvas.style.borderRadius = '2px';
+
+                const timeLabel = document.createElement('div');
+                timeLabel.className = 'frame-time';
+                timeLabel.textContent = formatTime(time, labelDecimals);
+
+                frameDiv.appendChild(canvas);
+                frameDiv.appendChild(timeLabel);
+
+                frames.push({ frameDiv, canvas, time });
+                framesStrip.appendChild(frameDiv);
+            }
+
+            renderRangeOverlays();
+            renderSceneMarkers();
+            renderSubtitleCues();
+            renderMarkers();
+            updateSelection();
+            updateProgressBar(0);
+            captureFrames();
+            drawWaveform();
+        };
+
+        // Only the visible part is drawn: each pixel column shows the peaks of the time
+        // it covers, so the lane lines up with thumbnails of any width
+        let waveformFrame = null;
+        timelineCleanups.push(() => cancelAnimationFrame(waveformFrame));
+
+        const drawWaveform = () => {
+            if (!waveform || waveformFrame !== null) return;
+            waveformFrame = requestAnimationFrame(() => {
+                waveformFrame = null;
+                if (!frames.length) return;
+
+                const width = framesStrip.clientWidth;
+                const height = waveformLane.clientHeight;
+                const ratio = window.devicePixelRatio || 1;
+                const scrollX = framesStrip.scrollLeft;
+                const last = frames[frames.length - 1].frameDiv;
+                const contentStart = frames[0].frameDiv.offsetLeft;
+                const contentEnd = last.offsetLeft + last.offsetWidth;
+
+                waveformLane.style.left = `${scrollX}px`;
+                waveformLane.style.width = `${width}px`;
+                waveformCanvas.width = Math.round(width * ratio);
+                waveformCanvas.height = Math.round(height * ratio);
+
+                const ctx = waveformCanvas.getContext('2d');
+                ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+                ctx.clearRect(0, 0, width, height);
+                ctx.fillStyle = getComputedStyle(framesStrip).getPropertyValue('--primary-color').trim() || '#6366f1';
+                const middle = height / 2;
+
+                for (let x = 0; x < width; x++) {
+                    const offset = scrollX + x;
+                    if (offset < contentStart || offset >= contentEnd) continue;
+                    const { low, high } = AudioWaveform.peakBetween(waveform, offsetToTime(offset), offsetToTime(offset + 1));
+                    const top = middle - high * middle;
+                    ctx.fillRect(x, top, 1, Math.max(1, (high - low) * middle));
+                }
+            });
+        };
+
+        listen(framesStrip, 'scroll', drawWaveform);
+        listen(window, 'resize', drawWaveform);
+
+        AudioWaveform.analyze(source).then((result) => {
+            if (!timelineActive) return;
+            waveform = result;
+            waveformStatus.hidden = true;
+            drawWaveform();
+        }).catch((error) => {
+            if (!timelineActive) return;
+            waveformLane.classList.add('empty');
+            waveformStatus.textContent = /no decodable audio/.test(error.message) ? 'No audio' : 'Waveform unavailable';
+            console.warn('Waveform unavailable:', error.message);
+        });
+
+        // Zoom changes the thumbnail density, keeping the centre of the view in place
+        // anchorX is the strip position (px from its left edge) that keeps its time, e.g. a pinch center
+        const setZoom = (nextZoom, anchorX = framesStrip.clientWidth / 2) => {
+            const clamped = Math.max(AppConfig.TIMELINE_MIN_ZOOM, Math.min(AppConfig.TIMELINE_MAX_ZOOM, nextZoom));
+            const nextCount = getTimelineFrameCount(duration, clamped, getFrameRate());
+            if (clamped === zoom || nextCount === frames.length) return;
+
+            const anchorTime = offsetToTime(framesStrip.scrollLeft + anchorX);
+            zoom = clamped;
+            buildFrames();
+            framesStrip.scrollLeft = timeToOffset(anchorTime) - anchorX;
+        };
+
+        buildFrames();
+        syncSelectionFromState(StateManager.get('timeRange'));
+        // A restored selection (e.g. undoing a clear) is previewed right away
+        const initialRange = StateManager.get('timeRange');
+        if (initialRange && typeof initialRange.start === 'number') {
+            renderPreview(initialRange);
+        }
+
+        setupTimelineControls(video, {
+            listen,
+            zoomIn: () => setZoom(zoom * 1.5),
+            zoomOut: () => setZoom(zoom / 1.5),
+            frameAt: (time) => (frames.length ? frames[frameIndexAt(time)] : null)
+        });
+    };
+
+    const formatTime = (seconds, decimals = 0) => {
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        if (decimals > 0) {
+            const factor = Math.pow(10, decimals);
+            const fixed = (Math.floor(secs * factor) / factor).toFixed(decimals);
+            return `${mins}:${fixed.padStart(decimals + 3, '0')}`;
+        }
+        return `${mins}:${Math.floor(secs).toString().padStart(2, '0')}`;
+    };
+
+    // Render the ordered list of saved ranges
+    const renderRangeList = () => {
+        const list = elements.rangeList;
+        if (!list) return;
+
+        const ranges = RangeManager.getRanges();
+        const activeId = StateManager.get('activeRangeId');
+        list.innerHTML = '';
+
+        if (ranges.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'range-empty';
+            empty.textContent = 'Select frames on the timeline and press + to keep them as a range';
+            list.appendChild(empty);
+            return;
+        }
+
+        ranges.forEach((range, index) => {
+            const item = document.createElement('li');
+            item.className = 'range-item';
+            item.classList.toggle('active', range.id === activeId);
+            item.dataset.rangeId = range.id;
+
+            const order = document.createElement('span');
+            order.className = 'range-order';
+            order.textContent = `${index + 1}`;
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'range-name';
+            nameInput.value = range.name;
+            nameInput.setAttribute('aria-label', 'Range name');
+
+            const times = document.createElement('span');
+            times.className = 'range-times';
+            times.textContent = `${formatTime(range.start, 2)} - ${formatTime(range.end, 2)}`;
+
+            const actions = document.createElement('div');
+            actions.className = 'range-actions';
+            actions.innerHTML = `
+                <button class="range-btn" data-range-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>&#8593;</button>
+                <button class="range-btn" data-range-action="down" title="Move down" ${index === ranges.length - 1 ? 'disabled' : ''}>&#8595;</button>
+                <button class="range-btn danger" data-range-action="delete" title="Delete range">&#10005;</button>
+            `;
+
+            item.appendChild(order);
+            item.appendChild(nameInput);
+            item.appendChild(times);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    };
+
+    // Markers in time order; clicking one jumps the first video to it
+    const renderMarkerList = () => {
+        const list = elements.markerList;
+        if (!list) return;
+
+        const markers = MarkerManager.getMarkers();
+        list.innerHTML = '';
+        elements.markerPanel.querySelectorAll('[data-action="export-markers"]').forEach((button) => {
+            button.disabled = markers.length === 0;
+        });
+        if (elements.embedChapters) {
+            elements.embedChapters.checked = StateManager.get('embedChapters');
+        }
+
+        if (markers.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'range-empty';
+            empty.textContent = 'Press M or Alt+Click a thumbnail to mark a moment';
+            list.appendChild(empty);
+            return;
+        }
+
+        markers.forEach((marker) => {
+            const item = document.createElement('li');
+            item.className = 'range-item marker-item';
+            item.dataset.markerId = marker.id;
+
+            const swatch = document.createElement('button');
+            swatch.className = 'marker-swatch';
+            swatch.dataset.markerAction = 'color';
+            swatch.style.background = marker.color;
+            swatch.title = 'Change colour';
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'range-name';
+            nameInput.value = marker.name;
+            nameInput.setAttribute('aria-label', 'Marker name');
+
+            const time = document.createElement('span');
+            time.className = 'range-times';
+            time.textContent = formatTime(marker.time, 2);
+
+            const actions = document.createElement('div');
+            actions.className = 'range-actions';
+            actions.innerHTML = `
+                <button class="range-btn danger" data-marker-action="delete" title="Delete marker">&#10005;</button>
+            `;
+
+            item.appendChild(swatch);
+            item.appendChild(nameInput);
+            item.appendChild(time);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    };
+
+    const renderOperationParams = (type, params, enabled) => {
+        const fields = document.createElement('div');
+        fields.className = 'operation-params';
+        const disabled = enabled ? '' : 'disabled';
+
+        if (type === 'resize') {
+            const preset = OperationManager.RESOLUTIONS.find(r => r.width === params.width && r.height === params.height);
+            const options = OperationManager.RESOLUTIONS.map(r => `
+                <option value="${r.width}x${r.height}" ${r === preset ? 'selected' : ''}>${r.label} (${r.width}×${r.height})</option>
+            `).join('');
+            fields.innerHTML = `
+                <select class="operation-input" data-operation-resolution aria-label="Resolution" ${disabled}>
+                    ${options}
+                    <option value="custom" ${preset ? '' : 'selected'}>Custom</option>
+                </select>
+                <input type="number" class="operation-input" data-param="width" min="16" step="2" value="${params.width}" aria-label="Width" ${disabled}>
+                <span>×</span>
+                <input type="number" class="operation-input" data-param="height" min="16" step="2" value="${params.height}" aria-label="Height" ${disabled}>
+            `;
+        } else if (type === 'compress') {
+            const presets = ApiContract.ENCODER_PRESETS.map(preset => `
+                <option value="${preset}" ${preset === params.preset ? 'selected' : ''}>${preset}</option>
+            `).join('');
+            fields.innerHTML = `
+                <label>CRF <input type="number" class="operation-input" data-param="crf" min="0" max="51" step="1" value="${params.crf}" ${disabled}></label>
+                <label>Preset <select class="operation-input" data-param="preset" ${disabled}>${presets}</select></label>
+            `;
+        } else {
+            return null;
+        }
+        return fields;
+    };
+
+    // Operation picker: one row per operation, in pipeline order, with its parameters
+    const renderOperations = () => {
+        const list = elements.operationList;
+        if (!list) return;
+
+        const operations = OperationManager.getAll();
+        list.innerHTML = '';
+
+        ApiContract.OPERATION_TYPES.forEach((type) => {
+            const { label, hint } = OperationManager.DEFINITIONS[type];
+            const { enabled, params } = operations[type];
+
+            const item = document.createElement('li');
+            item.className = 'operation-item';
+            item.classList.toggle('enabled', enabled);
+            item.dataset.operation = type;
+
+            const toggle = document.createElement('label');
+            toggle.className = 'operation-toggle';
+            toggle.innerHTML = `
+                <input type="checkbox" data-operation-toggle ${enabled ? 'checked' : ''}>
+                <span class="operation-label">${label}</span>
+                <span class="operation-hint">${hint}</span>
+            `;
+            item.appendChild(toggle);
+
+            const fields = renderOperationParams(type, params, enabled);
+            if (fields) {
+                item.appendChild(fields);
+            }
+            list.appendChild(item);
+        });
+
+        renderOperationProblems();
+    };
+
+    // Checked against the loaded videos, so problems show before Process is pressed
+    const renderOperationProblems = () => {
+        const list = elements.operationProblems;
+        if (!list) return;
+
+        // The mode Process will use; before the first check only a fixed setting is known
+        const mode = StateManager.get('processingMode') || (AppConfig.PROCESSING_MODE === 'local' ? 'local' : 'remote');
+        list.innerHTML = '';
+        VideoHandler.getOperationProblems(mode).forEach((problem) => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            list.appendChild(item);
+        });
+        list.hidden = list.children.length === 0;
+    };
+
+    const formatEta = (seconds) => {
+        if (typeof seconds !== 'number' || !isFinite(seconds)) return '';
+        if (seconds < 60) return `~${Math.max(1, Math.round(seconds))}s left`;
+        return `~${formatTime(seconds)} left`;
+    };
+
+    // Progress panel for the running processing job (hidden when there is none)
+    const renderJobProgress = (job) => {
+        const panel = document.getElementById('job-progress');
+        if (!panel) return;
+
+        panel.hidden = !job;
+        if (!job) return;
+
+        const statusLabels = {
+            queued: 'Queued',
+            running: 'Processing',
+            completed: 'Completed',
+            failed: 'Failed',
+            cancelled: 'Cancelled'
+        };
+        const progress = Math.max(0, Math.min(100, job.progress || 0));
+
+        panel.querySelector('.job-progress-status').textContent = statusLabels[job.status] || job.status;
+        panel.querySelector('.job-progress-percent').textContent = `${Math.round(progress)}%`;
+        panel.querySelector('.job-progress-eta').textContent = job.status === 'running' ? formatEta(job.eta) : '';
+        panel.querySelector('.job-progress-fill').style.width = `${progress}%`;
+        panel.querySelector('[data-action="cancel-job"]').disabled = JobTracker.isTerminal(job);
+    };
+
+    const updateActiveFrame = (activeFrame) => {
+        document.querySelectorAll('.frame-thumbnail').forEach(frame => {
+            frame.classList.remove('active');
+        });
+        activeFrame.classList.add('active');
+    };
+
+    const updateProgressBar = (percentage) => {
+        const progressBar = document.getElementById('timeline-progress-bar');
+        if (progressBar) {
+            progressBar.style.width = `${percentage}%`;
+        }
+    };
+
+    const setupTimelineControls = (video, timeline) => {
+        const playBtn = document.querySelector('[data-action="play-timeline"]');
+        const pauseBtn = document.querySelector('[data-action="pause-timeline"]');
+        const zoomInBtn = document.querySelector('[data-action="zoom-in"]');
+        const zoomOutBtn = document.querySelector('[data-action="zoom-out"]');
+        const { listen } = timeline;
+
+        if (playBtn) {
+            listen(playBtn, 'click', () => {
+                video.play();
+            });
+        }
+
+        if (pauseBtn) {
+            listen(pauseBtn, 'click', () => {
+                video.pause();
+            });
+        }
+
+        // Zoom controls rebuild the strip with a finer or coarser interval
+        if (zoomInBtn) {
+            listen(zoomInBtn, 'click', timeline.zoomIn);
+        }
+
+        if (zoomOutBtn) {
+            listen(zoomOutBtn, 'click', timeline.zoomOut);
+        }
+
+        // Update active frame as video plays
+        listen(video, 'timeupdate', () => {
+            const currentTime = video.currentTime;
+            const activeFrame = timeline.frameAt(currentTime);
+            if (activeFrame) {
+                updateActiveFrame(activeFrame.frameDiv);
+            }
+            updateProgressBar((currentTime / video.duration) * 100);
+        });
+    };
+
+    return {
+        init,
+        elements: () => elements,
+        showLoading,
+        hideLoading,
+        showError,
+        showSuccess,
+        showInfo,
+        showUploadProgress,
+        showSessionPrompt,
+        showRelinkDialog,
+        toggleShortcutSheet,
+        toggleSlotMenu,
+        renderJobProgress,
+        updateVideoDisplay,
+        showVideoPlaceholder,
+        renderSources,
+        renderTimeInputs,
+        renderBranches,
+        renderBranch,
+        showBranchEditor,
+        renderSubtitleOverlay,
+        showSubtitleEditor,
+        renderHistory,
+        renderCompare,
+        renderScenes,
+        renderFrameExport,
+        renderAnimationEstimate,
+        formatBytes,
+        renderRangeList,
+        renderMarkerList,
+        renderOperations,
+        renderOperationProblems
+    };
+})();
+
+// Video Handler Module
+const VideoHandler = (() => {
+    const validateFile = (file) => {
+        if (!file) {
+            throw new Error('No file selected');
+        }
+
+        if (file.size > AppConfig.MAX_FILE_SIZE) {
+            throw new Error(`File size exceeds ${AppConfig.MAX_FILE_SIZE / (1024 * 1024)}MB limit`);
+        }
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (!AppConfig.SUPPORTED_FORMATS.includes(extension)) {
+            throw new Error(`Unsupported format. Supported: ${AppConfig.SUPPORTED_FORMATS.join(', ')}`);
+        }
+
+        return true;
+    };
+
+    // Measure the frame rate from presented frame timestamps on a hidden copy of the video
+    const probeFrameRate = (src) => new Promise((resolve) => {
+        const fallback = AppConfig.DEFAULT_FRAME_RATE;
+        if (typeof HTMLVideoElement === 'undefined' || !('requestVideoFrameCallback' in HTMLVideoElement.prototype)) {
+            resolve(fallback);
+            return;
+        }
+
+        const probe = document.createElement('video');
+        probe.muted = true;
+        probe.playsInline = true;
+        probe.src = src;
+
+        const mediaTimes = [];
+        let finished = false;
+
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timeoutId);
+            probe.pause();
+            probe.removeAttribute('src');
+            probe.load();
+
+            // Dropped frames only lengthen gaps, so the shortest gap is one frame
+            const gaps = mediaTimes.slice(1)
+                .map((time, i) => time - mediaTimes[i])
+                .filter(gap => gap > 0.001);
+            resolve(gaps.length ? TimeCode.normalizeFrameRate(1 / Math.min(...gaps)) : fallback);
+        };
+
+        const onFrame = (now, metadata) => {
+            mediaTimes.push(metadata.mediaTime);
+            if (mediaTimes.length >= 12) {
+                finish();
+            } else {
+                probe.requestVideoFrameCallback(onFrame);
+            }
+        };
+
+        const timeoutId = setTimeout(finish, 2000);
+        probe.addEventListener('error', finish);
+        probe.requestVideoFrameCallback(onFrame);
+        probe.play().catch(finish);
+    });
+
+    // onTask receives the upload task so the UI can pause, resume or cancel it
+    const uploadVideo = async (file, slot, onProgress, onTask) => {
+        try {
+            validateFile(file);
+            const fingerprint = await Fingerprint.of(file);
+            const task = await ApiService.createUpload(file, { fingerprint, onProgress });
+            if (onTask) {
+                onTask(task);
+            }
+            const response = await task.start();
+
+            // The file may have been swapped into the other slot (or replaced) meanwhile
+            const sources = StateManager.get('sources');
+            const target = sources[slot] === file ? slot : ['first', 'second'].find(key => sources[key] === file);
+            if (target) {
+                StateManager.set('videos', {
+                    ...StateManager.get('videos'),
+                    [target]: response.data
+                }, { record: false });
+            }
+            return response;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            throw new Error(`Upload failed: ${error.message}`);
+        }
+    };
+
+    let modeCheck = null;
+
+    const detectProcessingMode = async () => {
+        const mode = AppConfig.PROCESSING_MODE;
+        if (mode !== 'auto') return mode;
+        if (modeCheck && Date.now() - modeCheck.checkedAt < AppConfig.HEALTH_CHECK_TTL) {
+            return modeCheck.mode;
+        }
+
+        let resolved = 'remote';
+        try {
+            await ApiService.get('/health', { attempts: 1, timeout: AppConfig.HEALTH_TIMEOUT });
+        } catch (error) {
+            if (LocalEngine.isSupported()) {
+                resolved = 'local';
+            }
+        }
+        modeCheck = { mode: resolved, checkedAt: Date.now() };
+        return resolved;
+    };
+
+    // 'local' or 'remote' for the next operation; 'auto' asks the server's health endpoint
+    const resolveProcessingMode = async () => {
+        const mode = await detectProcessingMode();
+        if (mode === 'local') {
+            OperationManager.useLocalDefaults();
+        }
+        StateManager.set('processingMode', mode);
+        return mode;
+    };
+
+    // Saved ranges are trimmed and concatenated in list order;
+    // without any, the current selection is the only range
+    const collectRanges = () => {
+        const timeRange = StateManager.get('timeRange');
+        const ranges = RangeManager.toSegments();
+        if (ranges.length === 0 && timeRange.start !== null && timeRange.end !== null) {
+            ranges.push({ name: 'Selection', start: timeRange.start, end: timeRange.end });
+        }
+        return ranges;
+    };
+
+    // Parts of the first video the output plays, in order; `fallbackEnd` stands in for
+    // the duration when it is not known yet
+    const outputRanges = (fallbackEnd) => {
+        const ranges = OperationManager.isSelected('trim') ? collectRanges() : [];
+        if (ranges.length === 0) {
+            const media = StateManager.get('media');
+            ranges.push({ start: 0, end: (media && media.duration) || fallbackEnd });
+        }
+        return ranges;
+    };
+
+    // The subtitle track as the output plays it: cut to the trimmed ranges and moved to
+    // where they land. Merging appends the second video after it, so nothing changes there.
+    const outputSubtitles = () => {
+        const cues = Subtitles.getCues();
+        if (cues.length === 0) return [];
+        return Subtitles.toPlain(Subtitles.retime(cues, outputRanges(Math.max(...cues.map(cue => cue.end)))));
+    };
+
+    // Marker chapters on the output timeline; a chapter split by a cut comes back together
+    // when its pieces end up side by side
+    const outputChapters = () => {
+        const markers = MarkerManager.getMarkers();
+        if (markers.length === 0) return [];
+        const media = StateManager.get('media');
+        const duration = (media && media.duration) || markers[markers.length - 1].time;
+        const chapters = MarkerManager.toChapters(duration).map(({ start, end, title }) => ({ start, end, text: title }));
+        return Subtitles.retime(chapters, outputRanges(duration)).reduce((merged, piece) => {
+            const last = merged[merged.length - 1];
+            if (last && last.title === piece.text && Math.abs(last.end - piece.start) < 0.001) {
+                last.end = piece.end;
+            } else {
+                merged.push({ start: piece.start, end: piece.end, title: piece.text });
+            }
+            return merged;
+        }, []);
+    };
+
+    // Save the markers as WebVTT chapters, YouTube chapter text or JSON, in source time
+    const exportMarkers = (format) => {
+        if (MarkerManager.getMarkers().length === 0) {
+            throw new Error('Add a marker first');
+        }
+        const media = StateManager.get('media');
+        const markers = MarkerManager.getMarkers();
+        const duration = (media && media.duration) || markers[markers.length - 1].time + 1;
+        const blob = new Blob([MarkerManager.serialize(format, duration)], { type: MarkerManager.FORMATS[format].type });
+        MediaUtils.saveBlob(blob, MarkerManager.fileName(format, StateManager.get('sources').first));
+    };
+
+    // Save the output subtitles as an SRT or WebVTT file; returns the number of cues
+    const exportSubtitles = (format) => {
+        const cues = outputSubtitles();
+        if (cues.length === 0) {
+            throw new Error('No subtitles fall inside the processed ranges');
+        }
+        const blob = new Blob([Subtitles.serialize(cues, format)], { type: Subtitles.FORMATS[format].type });
+        MediaUtils.saveBlob(blob, Subtitles.fileName(format));
+        return cues.length;
+    };
+
+    // Why the chosen operations cannot run on what is loaded; empty when they can
+    const getOperationProblems = (mode) => {
+        const sources = StateManager.get('sources');
+        const secondVideo = mode === 'local' ? sources.second : StateManager.get('videos').second;
+        return OperationManager.validate({
+            ranges: collectRanges(),
+            media: StateManager.get('media'),
+            hasSecondVideo: Boolean(secondVideo),
+            secondVideoPending: Boolean(sources.second) && !secondVideo,
+            mode
+        });
+    };
+
+    const checkOperations = (mode) => {
+        const problems = getOperationProblems(mode);
+        if (problems.length > 0) {
+            throw new Error(problems.join('. '));
+        }
+    };
+
+    let localAbort = null;
+
+    // Trim in the browser; progress goes through the same job state as server jobs
+    const processLocally = async () => {
+        const sources = StateManager.get('sources');
+        if (!sources.first) {
+            throw new Error('Please load a video first');
+        }
+        checkOperations('local');
+        const source = sources.first;
+        const ranges = collectRanges();
+
+        const startedAt = Date.now();
+        localAbort = new AbortController();
+        StateManager.set('job', { id: 'local', status: 'running', progress: 0, eta: null });
+
+        try {
+            const output = await LocalEngine.trim({
+                source,
+                ranges,
+                signal: localAbort.signal,
+                onProgress: (progress) => {
+                    const elapsed = (Date.now() - startedAt) / 1000;
+                    StateManager.set('job', {
+                        id: 'local',
+                        status: 'running',
+                        progress,
+                        eta: progress > 0 ? (elapsed * (100 - progress)) / progress : null
+                    });
+                }
+            });
+
+            const result = {
+                id: null,
+                local: true,
+                blob: output.blob,
+                mimeType: output.mimeType,
+                duration: output.duration
+            };
+            StateManager.set('processedResult', result);
+            return { success: true, data: result };
+        } finally {
+            localAbort = null;
+            StateManager.set('job', null);
+        }
+    };
+
+    const processVideos = async () => {
+        if (await resolveProcessingMode() === 'local') {
+            return processLocally();
+        }
+
+        const videos = StateManager.get('videos');
+        const timeRange = StateManager.get('timeRange');
+        const branch = StateManager.get('currentBranch');
+
+        if (!videos.first) {
+            throw new Error('Please upload a video first');
+        }
+        checkOperations('remote');
+
+        // Ranges only matter to trim; the second video only to merge
+        const payload = {
+            firstVideoId: videos.first.id,
+            secondVideoId: OperationManager.isSelected('merge') ? videos.second.id : null,
+            startTime: timeRange.start,
+            endTime: timeRange.end,
+            ranges: OperationManager.isSelected('trim') ? collectRanges() : [],
+            operations: OperationManager.toPayload(),
+            branch: branch
+        };
+        // The preset as the user last saw it, so the server encodes exactly that
+        const preset = BranchManager.resolvePreset(branch);
+        if (preset) {
+            payload.preset = preset;
+        }
+        // Already on the output timeline; the server adds them as a subtitle stream
+        const subtitles = outputSubtitles();
+        if (subtitles.length > 0) {
+            payload.subtitles = subtitles;
+        }
+        const chapters = StateManager.get('embedChapters') ? outputChapters() : [];
+        if (chapters.length > 0) {
+            payload.chapters = chapters;
+        }
+
+        const response = await ApiService.post('/videos/process', payload);
+        const { jobId } = response.data || {};
+
+        // Servers that finish synchronously return the result directly
+        if (!jobId) {
+            StateManager.set('processedResult', response.data);
+            return response;
+        }
+
+        StateManager.set('job', { id: jobId, status: response.data.status || 'queued', progress: 0, eta: null });
+        const result = await trackJob(jobId);
+        return { ...response, data: result };
+    };
+
+    let jobFollowAbort = null;
+
+    // Follow a submitted job, mirroring its progress into state; resolves with its result
+    const trackJob = async (jobId) => {
+        JobTracker.remember(jobId);
+        jobFollowAbort = new AbortController();
+        try {
+            const job = await JobTracker.follow(jobId, {
+                signal: jobFollowAbort.signal,
+                onUpdate: (update) => StateManager.set('job', update)
+            });
+            StateManager.set('processedResult', job.result);
+            return job.result;
+        } finally {
+            JobTracker.forget();
+            StateManager.set('job', null);
+            jobFollowAbort = null;
+        }
+    };
+
+    const cancelProcessing = async () => {
+        if (localAbort) {
+            localAbort.abort();
+            return;
+        }
+        const job = StateManager.get('job');
+        if (!job) return;
+        // The job stream reports the cancelled status, which ends trackJob
+        await JobTracker.cancel(job.id);
+    };
+
+    // Resume following a job that was running when the page was closed.
+    // Resolves with its result, or null when there was nothing to reattach to.
+    const reattachJob = async () => {
+        const jobId = JobTracker.getRemembered();
+        if (!jobId) return null;
+
+        let job;
+        try {
+            job = await JobTracker.fetchJob(jobId);
+        } catch (error) {
+            JobTracker.forget();
+            return null;
+        }
+
+        if (JobTracker.isTerminal(job)) {
+            JobTracker.forget();
+            if (job.status !== 'completed') return null;
+            StateManager.set('processedResult', job.result);
+            return job.result;
+        }
+
+        StateManager.set('job', job);
+        return trackJob(jobId);
+    };
+
+
+    const downloadResult = async () => {
+        const result = StateManager.get('processedResult');
+        if (!result) {
+            throw new Error('No processed video available');
+        }
+
+        // Locally processed results already hold their file
+        const blob = result.blob || await ApiService.download(`/videos/download/${encodeURIComponent(result.id)}`);
+        const extension = (result.mimeType || blob.type || '').includes('webm') ? 'webm' : 'mp4';
+        // Animated clips carry their own name
+        MediaUtils.saveBlob(blob, result.filename || `processed_${Date.now()}.${extension}`);
+    };
+
+    // One undo step brings everything back; the views follow the restored state
+    const clearAll = () => {
+        StateManager.transaction('Clear', () => {
+            StateManager.set('videos', { first: null, second: null });
+            StateManager.set('sources', { first: null, second: null });
+            StateManager.set('timeRange', { start: null, end: null });
+            StateManager.set('currentBranch', 'main');
+            StateManager.set('subtitles', null);
+            RangeManager.clear();
+            MarkerManager.clear();
+        });
+        StateManager.set('processedResult', null);
+        StateManager.set('media', null);
+    };
+
+    // A newly loaded video starts a fresh history instead of being undoable;
+    // the slot's server copy belongs to the old file
+    const loadSource = (slot, source) => {
+        StateManager.set('videos', { ...StateManager.get('videos'), [slot]: null }, { record: false });
+        StateManager.set('sources', { ...StateManager.get('sources'), [slot]: source }, { record: false });
+        StateManager.clearHistory();
+    };
+
+    // Exchange the two slots together with their uploads
+    const swapSlots = () => {
+        const sources = StateManager.get('sources');
+        const videos = StateManager.get('videos');
+        StateManager.transaction('Swap videos', () => {
+            StateManager.set('videos', { first: videos.second, second: videos.first });
+            StateManager.set('sources', { first: sources.second, second: sources.first });
+        });
+        if (!sources.second) {
+            StateManager.set('media', null);
+        }
+    };
+
+    return {
+        validateFile,
+        probeFrameRate,
+        resolveProcessingMode,
+        getOperationProblems,
+        uploadVideo,
+        processVideos,
+        outputSubtitles,
+        exportSubtitles,
+        outputChapters,
+        exportMarkers,
+        cancelProcessing,
+        reattachJob,
+        downloadResult,
+        clearAll,
+        loadSource,
+        swapSlots
+    };
+})();
+
+// Event Handlers Module
+const EventHandlers = (() => {
+    // Running upload per slot, so replacing a slot's file cancels its old upload
+    const uploads = { first: null, second: null };
+
+    const renderSwapState = () => {
+        const { swapButton } = DOMController.elements();
+        if (swapButton) {
+            const sources = StateManager.get('sources');
+            // Swapping would strand an upload's progress panel in the wrong slot
+            swapButton.disabled = Boolean(uploads.first || uploads.second) || (!sources.first && !sources.second);
+        }
+    };
+
+    // Parse, snap to a frame and check a typed start or end time. The other end defaults
+    // to the video's start or end, so typing one value is enough to select.
+    const resolveTimeInput = (edge, text) => {
+        const media = StateManager.get('media');
+        const frameRate = media ? media.frameRate : null;
+        const duration = media ? media.duration : null;
+        const label = edge === 'start' ? 'Start time' : 'End time';
+
+        const parsed = TimeCode.parse(text, frameRate);
+        if (parsed === null) {
+            throw new Error(`${label}: use seconds (12.5), milliseconds (12500ms), HH:MM:SS.mmm or HH:MM:SS:FF`);
+        }
+        const time = TimeCode.snapToFrame(parsed, frameRate);
+        if (duration && time > duration + 0.001) {
+            throw new Error(`${label} is past the end of the video (${TimeCode.toClock(duration)})`);
+        }
+
+        const current = StateManager.get('timeRange');
+        const fallback = edge === 'start' ? duration : 0;
+        const other = typeof current[edge === 'start' ? 'end' : 'start'] === 'number'
+            ? current[edge === 'start' ? 'end' : 'start']
+            : fallback;
+        const range = edge === 'start' ? { start: time, end: other } : { start: other, end: time };
+        if (typeof range.start === 'number' && typeof range.end === 'number' && range.end <= range.start) {
+            throw new Error('Start time must be before the end time');
+        }
+        return range;
+    };
+
+    const handleTimeInput = (input, edge) => {
+        const item = input.closest('.control-item');
+        // Emptying an input clears the selection
+        if (!input.value.trim()) {
+            StateManager.set('timeRange', { start: null, end: null });
+            return;
+        }
+        try {
+            const range = resolveTimeInput(edge, input.value);
+            if (item) item.classList.remove('invalid');
+            if (typeof range.start === 'number' && typeof range.end === 'number') {
+                RangeManager.select(range.start, range.end, 'Edit time');
+            } else {
+                // No video yet: keep the value until there is something to select
+                StateManager.set('timeRange', range);
+            }
+            DOMController.renderTimeInputs(StateManager.get('timeRange'));
+        } catch (error) {
+            if (item) item.classList.add('invalid');
+            DOMController.showError(error.message);
+        }
+    };
+
+    // Saving needs the server; a new branch becomes the current one
+    const handleEditBranch = (id) => {
+        const branch = id ? BranchManager.find(id) : null;
+        DOMController.showBranchEditor(branch, {
+            onSave: async (values) => {
+                const saved = await BranchManager.save(branch ? branch.id : null, values);
+                if (!branch) {
+                    StateManager.set('currentBranch', saved.id);
+                }
+                DOMController.showSuccess(`Branch "${saved.name}" saved`);
+            }
+        });
+    };
+
+    const handleToggleCompare = () => {
+        const compare = StateManager.get('compare');
+        const sources = StateManager.get('sources');
+        if (!compare.enabled && !(sources.first && sources.second)) {
+            DOMController.showError('Load both videos to compare them');
+            return;
+        }
+        StateManager.set('compare', { ...compare, enabled: !compare.enabled });
+    };
+
+    // View buttons and the shared transport (which drives the first video, the master)
+    const handleCompareControlsClick = (e) => {
+        const viewBtn = e.target.closest('[data-compare-view]');
+        if (viewBtn) {
+            StateManager.set('compare', { ...StateManager.get('compare'), view: viewBtn.dataset.compareView });
+            return;
+        }
+        const actionBtn = e.target.closest('[data-compare-action]');
+        if (actionBtn) {
+            KeyboardController.run(actionBtn.dataset.compareAction);
+        }
+    };
+
+    // The offset snaps to whole frames so stepping keeps both sides on a frame
+    const handleCompareOffsetChange = (e) => {
+        const media = StateManager.get('media');
+        const frameRate = (media && media.frameRate) || AppConfig.DEFAULT_FRAME_RATE;
+        const value = Number(e.target.value);
+        const offset = Number.isFinite(value) ? Math.round(value * frameRate) / frameRate : 0;
+        StateManager.set('compare', { ...StateManager.get('compare'), offset });
+        e.target.value = offset.toFixed(3);
+    };
+
+    // Running scene detection; a new first video or a second click cancels it
+    let sceneAbort = null;
+
+    const cancelSceneDetection = () => {
+        if (sceneAbort) {
+            sceneAbort.abort();
+            sceneAbort = null;
+        }
+    };
+
+    const handleDetectScenes = async () => {
+        if (sceneAbort) {
+            cancelSceneDetection();
+            StateManager.set('scenes', null);
+            return;
+        }
+        const source = StateManager.get('sources').first;
+        const media = StateManager.get('media');
+        if (!source || !media || !media.duration) {
+            DOMController.showError('Load the first video to detect scenes');
+            return;
+        }
+
+        const controller = new AbortController();
+        sceneAbort = controller;
+        const { method } = StateManager.get('sceneSettings');
+        const base = { source, status: 'running', progress: 0, candidates: [] };
+        StateManager.set('scenes', base);
+
+        try {
+            const candidates = await SceneDetector.detect({
+                source,
+                duration: media.duration,
+                frameRate: media.frameRate,
+                method,
+                signal: controller.signal,
+                onProgress: progress => StateManager.set('scenes', { ...base, progress })
+            });
+            if (controller.signal.aborted) return;
+            StateManager.set('scenes', { source, status: 'done', progress: 100, candidates });
+            const cuts = SceneDetector.cutsFor(candidates, StateManager.get('sceneSettings').threshold);
+            DOMController.showSuccess(`Found ${cuts.length} scene change${cuts.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            if (error.name === 'AbortError' || controller.signal.aborted) return;
+            console.error('Scene detection failed:', error);
+            StateManager.set('scenes', { source, status: 'error', progress: 0, candidates: [] });
+            DOMController.showError(`Scene detection failed: ${error.message}`);
+        } finally {
+            if (sceneAbort === controller) {
+                sceneAbort = null;
+            }
+        }
+    };
+
+    // Scores differ per method, so switching resets the threshold and runs the
+    // detection again (cached per file)
+    const handleSceneMethodChange = (e) => {
+        const method = e.target.value;
+        StateManager.set('sceneSettings', { method, threshold: SceneDetector.DEFAULT_THRESHOLDS[method] });
+        const scenes = StateManager.get('scenes');
+        if (scenes && scenes.status !== 'running') {
+            handleDetectScenes();
+        }
+    };
+
+    const handleSplitScenes = () => {
+        const scenes = StateManager.get('scenes');
+        const media = StateManager.get('media');
+        if (!scenes || scenes.status !== 'done' || !media) return;
+
+        const cuts = SceneDetector.cutsFor(scenes.candidates, StateManager.get('sceneSettings').threshold);
+        const segments = SceneDetector.toScenes(cuts, media.duration)
+            .map((scene, index) => ({ ...scene, name: `Scene ${index + 1}` }));
+        RangeManager.replaceAll(segments, 'Split into scenes');
+        DOMController.showSuccess(`Split into ${segments.length} ranges`);
+    };
+
+    // Running sheet or sequence export and the file it reads
+    let exportAbort = null;
+    let exportSource = null;
+
+    // Sheets and sequences cover the selection, or the whole video without one
+    const exportRange = (duration) => {
+        const { start, end } = StateManager.get('timeRange');
+        return typeof start === 'number' && typeof end === 'number' && end > start
+            ? { start, end }
+            : { start: 0, end: duration };
+    };
+
+    const readWholeNumber = (input, label, min, max) => {
+        const value = Number(input.value);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`${label} must be a whole number from ${min} to ${max}`);
+        }
+        return value;
+    };
+
+    const exportSheet = (options) => {
+        const elements = DOMController.elements();
+        const layout = elements.exportLayout.value;
+        return FrameExport.sheet({
+            ...options,
+            layout,
+            count: readWholeNumber(elements.exportTiles, 'Frames', 1, 100),
+            columns: readWholeNumber(elements.exportColumns, 'Columns', 1, 20)
+        }).then(blob => ({ blob, name: `${FrameExport.baseName(options.source)}_${layout}_sheet.${FrameExport.FORMATS[options.format].extension}` }));
+    };
+
+    const exportSequence = (options) => {
+        const elements = DOMController.elements();
+        const step = elements.exportStepUnit.value === 'fps'
+            ? { fps: readWholeNumber(elements.exportStep, 'Frames per second', 1, Math.floor(options.frameRate)) }
+            : { every: readWholeNumber(elements.exportStep, 'The frame step', 1, 100000) };
+        return FrameExport.sequence({ ...options, step })
+            .then(blob => ({ blob, name: `${FrameExport.baseName(options.source)}_frames.zip` }));
+    };
+
+    // The clip is offered through Download, like a processed video
+    const exportAnimation = (options) => {
+        const elements = DOMController.elements();
+        const format = elements.animationFormat.value;
+        return AnimationExport.create({
+            ...options,
+            format,
+            width: readWholeNumber(elements.animationWidth, 'Width', 16, Math.max(16, options.media.width || 1920)),
+            fps: readWholeNumber(elements.animationFps, 'FPS', 1, 30),
+            colors: Number(elements.animationColors.value),
+            dither: elements.animationDither.checked,
+            plays: readWholeNumber(elements.animationPlays, 'Plays', 0, 100)
+        }).then(blob => ({ blob, name: `${FrameExport.baseName(options.source)}_clip.${AnimationExport.FORMATS[format].extension}` }));
+    };
+
+    const EXPORTERS = { sheet: exportSheet, sequence: exportSequence, animation: exportAnimation };
+
+    const handleExport = async (kind) => {
+        if (kind === 'cancel') {
+            if (exportAbort) exportAbort.abort();
+            return;
+        }
+        const elements = DOMController.elements();
+        const source = StateManager.get('sources').first;
+        const media = StateManager.get('media');
+        const video = document.querySelector('.first_video video');
+        if (!source || !media || !video) {
+            DOMController.showError('Load the first video to export frames');
+            return;
+        }
+        const format = elements.exportFormat.value;
+        const frameRate = media.frameRate || AppConfig.DEFAULT_FRAME_RATE;
+
+        // The frame on screen needs no seeking, so it is saved right away
+        if (kind === 'frame') {
+            try {
+                const blob = await FrameExport.snapshot(video, format);
+                MediaUtils.saveBlob(blob, FrameExport.fileName(source, video.currentTime, frameRate, format));
+            } catch (error) {
+                DOMController.showError(error.message);
+            }
+            return;
+        }
+        if (exportAbort) return;
+
+        const timeRange = StateManager.get('timeRange');
+        if (kind === 'animation' && !(typeof timeRange.start === 'number' && typeof timeRange.end === 'number' && timeRange.end > timeRange.start)) {
+            DOMController.showError('Select a range on the timeline first');
+            return;
+        }
+
+        const controller = new AbortController();
+        exportAbort = controller;
+        exportSource = source;
+        const { start, end } = exportRange(media.duration);
+        const options = {
+            source,
+            src: video.src,
+            media,
+            start,
+            end,
+            frameRate,
+            format,
+            signal: controller.signal,
+            onProgress: progress => StateManager.set('frameExport', { kind, progress })
+        };
+
+        StateManager.set('frameExport', { kind, progress: 0 });
+        try {
+            const { blob, name } = await EXPORTERS[kind](options);
+            if (kind === 'animation') {
+                StateManager.set('processedResult', {
+                    id: null,
+                    local: true,
+                    blob,
+                    mimeType: blob.type,
+                    filename: name,
+                    duration: end - start
+                });
+                DOMController.showSuccess(`${name} is ready (${DOMController.formatBytes(blob.size)}): use Download to save it`);
+            } else {
+                MediaUtils.saveBlob(blob, name);
+                DOMController.showSuccess(`Saved ${name}`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                DOMController.showInfo('Export cancelled');
+            } else {
+                console.error('Frame export failed:', error);
+                DOMController.showError(`Export failed: ${error.message}`);
+            }
+        } finally {
+            exportAbort = null;
+            exportSource = null;
+            StateManager.set('frameExport', null);
+        }
+    };
+
+    // Subtitles stay in the browser until processing sends them along
+    const loadSubtitles = async (file) => {
+        try {
+            const track = await Subtitles.load(file);
+            DOMController.showSuccess(`Loaded ${track.cues.length} subtitle cue${track.cues.length === 1 ? '' : 's'} from ${track.name}`);
+        } catch (error) {
+            DOMController.showError(`Could not read subtitles: ${error.message}`);
+        }
+    };
+
+    // Show a file in a slot at once, then upload it unless processing stays in the browser;
+    // SRT and WebVTT files become the subtitle track whichever slot they were given to
+    const loadFile = async (slot, file) => {
+        if (Subtitles.isSubtitleFile(file)) {
+            await loadSubtitles(file);
+            return;
+        }
+        const elements = DOMController.elements();
+        const videoElement = slot === 'first' ? elements.firstVideo : elements.secondVideo;
+        let removeProgress = null;
+        let uploadTask = null;
+
+        try {
+            VideoHandler.validateFile(file);
+            if (uploads[slot]) {
+                uploads[slot].cancel();
+            }
+            VideoHandler.loadSource(slot, file);
+
+            // Without a server the file stays in the browser and is processed locally
+            if (await VideoHandler.resolveProcessingMode() === 'local') {
+                DOMController.showInfo('Server unavailable: the video will be processed in the browser');
+                return;
+            }
+
+            await VideoHandler.uploadVideo(file, slot, (progress) => {
+                console.log(`Upload progress (${slot}): ${progress}%`);
+            }, (task) => {
+                uploadTask = task;
+                uploads[slot] = task;
+                renderSwapState();
+                removeProgress = DOMController.showUploadProgress(videoElement, task);
+            });
+
+            DOMController.showSuccess(`${slot === 'first' ? 'First' : 'Second'} video uploaded successfully`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                DOMController.showInfo('Upload cancelled');
+            } else {
+                DOMController.showError(error.message);
+            }
+        } finally {
+            if (removeProgress) {
+                removeProgress();
+            }
+            if (uploadTask && uploads[slot] === uploadTask) {
+                uploads[slot] = null;
+            }
+            renderSwapState();
+        }
+    };
+
+    const handleFileUpload = (slot) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        const formats = slot === 'subtitles' ? Object.keys(Subtitles.FORMATS) : AppConfig.SUPPORTED_FORMATS;
+        input.accept = formats.map(f => `.${f}`).join(',');
+
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                loadFile(slot, file);
+            }
+        });
+
+        input.click();
+    };
+
+    // Upload asks which slot to fill, or loads and edits the subtitle track
+    const handleUploadClick = (button) => {
+        const sources = StateManager.get('sources');
+        const track = Subtitles.getTrack();
+        DOMController.toggleSlotMenu(button, [
+            { slot: 'first', label: sources.first ? 'Replace first video' : 'First video' },
+            { slot: 'second', label: sources.second ? 'Replace second video' : 'Second video' },
+            { slot: 'subtitles', label: track ? 'Replace subtitles (SRT, VTT)' : 'Subtitles (SRT, VTT)' },
+            { slot: 'edit-subtitles', label: track ? 'Edit subtitles' : 'Write subtitles' }
+        ], (slot) => {
+            if (slot === 'edit-subtitles') {
+                DOMController.showSubtitleEditor();
+            } else {
+                handleFileUpload(slot);
+            }
+        });
+    };
+
+    const handleSwap = () => {
+        VideoHandler.swapSlots();
+        DOMController.showInfo('Videos swapped');
+    };
+
+    const hasFiles = (e) => Boolean(e.dataTransfer) && Array.from(e.dataTransfer.types || []).includes('Files');
+
+    // Dropping a file onto a video container loads it into that slot
+    const setupDropTarget = (container, slot) => {
+        container.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            container.classList.add('drag-over');
+        });
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                container.classList.remove('drag-over');
+            }
+        });
+        container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            container.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                loadFile(slot, file);
+            }
+        });
+    };
+
+    // Runs a processing step while the job panel shows its progress
+    const runProcessing = async (step) => {
+        try {
+            StateManager.set('processing', true);
+            const result = await step();
+            if (result) {
+                DOMController.showSuccess('Videos processed successfully');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                DOMController.showInfo('Processing cancelled');
+            } else {
+                DOMController.showError(error.message);
+            }
+        } finally {
+            StateManager.set('processing', false);
+        }
+    };
+
+    const handleProcess = () => runProcessing(async () => {
+        const result = await VideoHandler.processVideos();
+        // The browser engine writes no subtitle stream; the trimmed track is a separate file
+        if (result && result.data && result.data.local && VideoHandler.outputSubtitles().length > 0) {
+            DOMController.showInfo('Subtitles are not added in the browser: export them from the subtitle editor');
+        }
+        return result;
+    });
+
+    const handleCancelJob = async () => {
+        try {
+            await VideoHandler.cancelProcessing();
+        } catch (error) {
+            DOMController.showError(`Could not cancel: ${error.message}`);
+        }
+    };
+
+    // Reattach to a job that was still running when the page was reloaded
+    const resumeProcessing = () => runProcessing(VideoHandler.reattachJob);
+
+    const handleDownload = async () => {
+        try {
+            await VideoHandler.downloadResult();
+            DOMController.showSuccess('Download started');
+        } catch (error) {
+            DOMController.showError(error.message);
+        }
+    };
+
+    const handleAddRange = () => {
+        const { start, end } = StateManager.get('timeRange');
+        if (typeof start !== 'number' || typeof end !== 'number' || end <= start) {
+            DOMController.showError('Select a range on the timeline first');
+            return;
         }
+        const range = RangeManager.add(start, end);
+        DOMController.showSuccess(`${range.name} added`);
     };
 
-    const setupTimelineControls = (video, frames) => {
-        const playBtn = document.querySelector('[data-action="play-timeline"]');
-        const pauseBtn = document.querySelector('[data-action="pause-timeline"]');
-        const zoomInBtn = document.querySelector('[data-action="zoom-in"]');
-        const zoomOutBtn = document.querySelector('[data-action="zoom-out"]');
+    const handleRangeListClick = (e) => {
+        const item = e.target.closest('.range-item');
+        if (!item) return;
+        const id = item.dataset.rangeId;
+        const button = e.target.closest('[data-range-action]');
 
-        let currentZoom = 1;
+        if (!button) {
+            if (!e.target.classList.contains('range-name')) {
+                RangeManager.activate(id);
+            }
+            return;
+        }
 
-        if (playBtn) {
-            playBtn.addEventListener('click', () => {
-                video.play();
-            });
+        switch (button.dataset.rangeAction) {
+            case 'up':
+                RangeManager.move(id, -1);
+                break;
+            case 'down':
+                RangeManager.move(id, 1);
+                break;
+            case 'delete':
+                RangeManager.remove(id);
+                break;
         }
+    };
 
-        if (pauseBtn) {
-            pauseBtn.addEventListener('click', () => {
-                video.pause();
-            });
+    // M and the + button drop a marker where the first video is
+    const handleAddMarker = () => {
+        const video = document.querySelector('.first_video video');
+        if (!video || !StateManager.get('sources').first) {
+            DOMController.showError('Load a video first');
+            return;
         }
+        const frameRate = (StateManager.get('media') || {}).frameRate;
+        const marker = MarkerManager.add(TimeCode.snapToFrame(video.currentTime, frameRate));
+        DOMController.showSuccess(`${marker.name} added at ${TimeCode.toClock(marker.time)}`);
+    };
 
-        // Zoom controls
-        if (zoomInBtn) {
-            zoomInBtn.addEventListener('click', () => {
-                currentZoom = Math.min(currentZoom * 1.5, 5);
-                applyZoom(currentZoom);
-            });
+    const handleMarkerListClick = (e) => {
+        const item = e.target.closest('.marker-item');
+        if (!item) return;
+        const id = item.dataset.markerId;
+        const button = e.target.closest('[data-marker-action]');
+
+        if (!button) {
+            const marker = MarkerManager.find(id);
+            const video = document.querySelector('.first_video video');
+            if (marker && video && !e.target.classList.contains('range-name')) {
+                video.currentTime = marker.time;
+            }
+            return;
         }
 
-        if (zoomOutBtn) {
-            zoomOutBtn.addEventListener('click', () => {
-                currentZoom = Math.max(currentZoom / 1.5, 0.5);
-                applyZoom(currentZoom);
-            });
+        switch (button.dataset.markerAction) {
+            case 'color':
+                MarkerManager.cycleColor(id);
+                break;
+            case 'delete':
+                MarkerManager.remove(id);
+                break;
         }
+    };
 
-        const applyZoom = (zoom) => {
-            const frameThumbnails = document.querySelectorAll('.frame-thumbnail');
-            frameThumbnails.forEach(frame => {
-                const baseWidth = 80;
-                const baseHeight = 60;
-                frame.style.minWidth = `${baseWidth * zoom}px`;
-                frame.style.height = `${baseHeight * zoom}px`;
-            });
+    // Export asks for the chapter format
+    const handleExportMarkers = (button) => {
+        DOMController.toggleSlotMenu(button, Object.entries(MarkerManager.FORMATS)
+            .map(([format, { label }]) => ({ slot: format, label })), (format) => {
+            try {
+                VideoHandler.exportMarkers(format);
+            } catch (error) {
+                DOMController.showError(error.message);
+            }
+        });
+    };
 
-            // Also zoom the canvases inside
-            const frameCanvases = document.querySelectorAll('.frame-thumbnail canvas');
-            frameCanvases.forEach(canvas => {
-                canvas.style.transform = `scale(${zoom})`;
-                canvas.style.transformOrigin = 'center';
-            });
-        };
+    // Chapters from a file replace the markers (one undo step)
+    const handleImportMarkers = () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.vtt,.txt,.json';
 
-        // Update active frame as video plays
-        video.addEventListener('timeupdate', () => {
-            const currentTime = video.currentTime;
-            const activeFrame = frames.find(f => Math.abs(f.time - currentTime) < 0.5);
-            if (activeFrame) {
-                updateActiveFrame(activeFrame.frameDiv);
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const entries = MarkerManager.parse(await file.text());
+                MarkerManager.replaceAll(entries);
+                DOMController.showSuccess(`Imported ${entries.length} marker${entries.length === 1 ? '' : 's'} from ${file.name}`);
+            } catch (error) {
+                DOMController.showError(`Could not import chapters: ${error.message}`);
             }
-            updateProgressBar((currentTime / video.duration) * 100);
         });
-    };
 
-    return {
-        init,
-        elements: () => elements,
-        showLoading,
-        hideLoading,
-        showError,
-        showSuccess,
-        updateVideoDisplay
+        input.click();
     };
-})();
 
-// Video Handler Module
-const VideoHandler = (() => {
-    const validateFile = (file) => {
-        if (!file) {
-            throw new Error('No file selected');
+    // Fingerprinting reads a little of each video, so saving takes a moment
+    const handleSaveProject = async () => {
+        if (!StateManager.get('sources').first) {
+            DOMController.showError('Load a video before saving a project');
+            return;
         }
-
-        if (file.size > AppConfig.MAX_FILE_SIZE) {
-            throw new Error(`File size exceeds ${AppConfig.MAX_FILE_SIZE / (1024 * 1024)}MB limit`);
+        try {
+            const project = await ProjectFile.save();
+            const count = project.ranges.length;
+            DOMController.showSuccess(`Project saved with ${count} range${count === 1 ? '' : 's'}`);
+        } catch (error) {
+            DOMController.showError(`Could not save the project: ${error.message}`);
         }
+    };
 
-        const extension = file.name.split('.').pop().toLowerCase();
-        if (!AppConfig.SUPPORTED_FORMATS.includes(extension)) {
-            throw new Error(`Unsupported format. Supported: ${AppConfig.SUPPORTED_FORMATS.join(', ')}`);
+    // The project's videos: loaded ones are reused when their fingerprint matches, paths
+    // load as they are and the user locates the rest; resolves with null when cancelled
+    const relinkSources = async (project) => {
+        const sources = { first: null, second: null };
+        const missing = [];
+        for (const slot of ['first', 'second']) {
+            const reference = project.sources[slot];
+            if (!reference) continue;
+            sources[slot] = reference.url || await ProjectFile.findLoaded(reference);
+            if (!sources[slot]) {
+                missing.push({ slot, reference });
+            }
         }
+        if (missing.length === 0) return sources;
 
-        return true;
+        const located = await new Promise((resolve) => {
+            DOMController.showRelinkDialog(missing, {
+                onLocate: (slot, file) => ProjectFile.matches(project.sources[slot], file),
+                onOpen: resolve,
+                onCancel: () => resolve(null)
+            });
+        });
+        return located && { ...sources, ...located };
     };
 
-    const uploadVideo = async (file, slot, onProgress) => {
+    // Changed videos load (and upload) as if they had been dropped onto their slots,
+    // then the edit goes in as one undo step
+    const openProject = async (file) => {
         try {
-            validateFile(file);
-            const response = await ApiService.upload('/videos/upload', file, onProgress);
-            StateManager.set('videos', {
-                ...StateManager.get('videos'),
-                [slot]: response.data
+            const project = ProjectFile.parse(await file.text());
+            const sources = await relinkSources(project);
+            if (!sources) return;
+
+            // A video the project wants in the other slot moves there instead of uploading again
+            const current = StateManager.get('sources');
+            const swap = (Boolean(sources.first) && sources.first === current.second)
+                || (Boolean(sources.second) && sources.second === current.first);
+            const placed = swap ? { first: current.second, second: current.first } : current;
+            const changed = ['first', 'second'].filter(slot => sources[slot] !== placed[slot]);
+
+            // A newly loaded video starts a fresh history, so the videos go in before the
+            // edit; the swap joins the edit's undo step when nothing else is loaded
+            if (swap && changed.length > 0) {
+                VideoHandler.swapSlots();
+            }
+            changed.forEach((slot) => {
+                const source = sources[slot];
+                if (typeof source === 'string' || !source) {
+                    if (uploads[slot]) {
+                        uploads[slot].cancel();
+                    }
+                    VideoHandler.loadSource(slot, source);
+                } else {
+                    loadFile(slot, source);
+                }
             });
-            return response;
+            const warnings = StateManager.transaction('Open project', () => {
+                if (swap && changed.length === 0) {
+                    VideoHandler.swapSlots();
+                }
+                return ProjectFile.apply(project);
+            });
+            StateManager.set('processedResult', null);
+
+            DOMController.showSuccess(`Opened ${file.name}`);
+            warnings.forEach(DOMController.showInfo);
         } catch (error) {
-            throw new Error(`Upload failed: ${error.message}`);
+            DOMController.showError(`Could not open ${file.name}: ${error.message}`);
         }
     };
 
-    const processVideos = async () => {
-        const videos = StateManager.get('videos');
-        const timeRange = StateManager.get('timeRange');
-        const branch = StateManager.get('currentBranch');
-
-        if (!videos.first || !videos.second) {
-            throw new Error('Please upload both videos');
-        }
+    const handleOpenProject = () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = `.${ProjectFile.EXTENSION},.json`;
 
-        const payload = {
-            firstVideoId: videos.first.id,
-            secondVideoId: videos.second.id,
-            startTime: timeRange.start,
-            endTime: timeRange.end,
-            branch: branch
-        };
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                openProject(file);
+            }
+        });
 
-        const response = await ApiService.post('/videos/process', payload);
-        StateManager.set('processedResult', response.data);
-        return response;
+        input.click();
     };
 
+    const handleProjectClick = (button) => {
+        DOMController.toggleSlotMenu(button, [
+            { slot: 'save', label: 'Save project' },
+            { slot: 'open', label: 'Open project…' }
+        ], (choice) => {
+            if (choice === 'save') {
+                handleSaveProject();
+            } else {
+                handleOpenProject();
+            }
+        });
+    };
 
-    const downloadResult = async () => {
-        const result = StateManager.get('processedResult');
-        if (!result) {
-            throw new Error('No processed video available');
+    const handleOperationChange = (e) => {
+        const item = e.target.closest('.operation-item');
+        if (!item) return;
+        const type = item.dataset.operation;
+
+        if (e.target.matches('[data-operation-toggle]')) {
+            OperationManager.setEnabled(type, e.target.checked);
+        } else if (e.target.matches('[data-operation-resolution]')) {
+            if (e.target.value !== 'custom') {
+                const [width, height] = e.target.value.split('x').map(Number);
+                OperationManager.setParams(type, { width, height });
+            }
+        } else if (e.target.dataset.param) {
+            const { param } = e.target.dataset;
+            // Empty or partial numbers stay invalid so validation can point at them
+            const value = e.target.type === 'number' ? (e.target.value === '' ? null : Number(e.target.value)) : e.target.value;
+            OperationManager.setParams(type, { [param]: value });
         }
-
-        const response = await fetch(`${AppConfig.API_BASE_URL}/videos/download/${result.id}`);
-        const blob = await response.blob();
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `processed_${Date.now()}.mp4`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
     };
 
-    const clearAll = () => {
-        StateManager.set('videos', { first: null, second: null });
-        StateManager.set('processedResult', null);
-        StateManager.set('timeRange', { start: null, end: null });
+    const handleClear = () => {
+        if (confirm('Are you sure you want to clear all data?')) {
+            VideoHandler.clearAll();
+            DOMController.showSuccess('All data cleared (Ctrl+Z to undo)');
+        }
+    };
 
-        const elements = DOMController.elements();
-        elements.firstVideo.innerHTML = `
-            <div class="video-placeholder">
-                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <rect x="2" y="2" width="20" height="20" rx="2.18" ry="2.18"></rect>
-                    <line x1="7" y1="2" x2="7" y2="22"></line>
-                    <line x1="17" y1="2" x2="17" y2="22"></line>
-                    <line x1="2" y1="12" x2="22" y2="12"></line>
-                </svg>
-                <span>First Video</span>
-            </div>
-        `;
-        elements.secondVideo.innerHTML = `
-            <div class="video-placeholder">
-                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <rect x="2" y="2" width="20" height="20" rx="2.18" ry="2.18"></rect>
-                    <line x1="7" y1="2" x2="7" y2="22"></line>
-                    <line x1="17" y1="2" x2="17" y2="22"></line>
-                    <line x1="2" y1="12" x2="22" y2="12"></line>
-                </svg>
-                <span>Second Video</span>
-            </div>
-        `;
-        elements.firstTimeInput.value = '';
-        elements.secondTimeInput.value = '';
-        elements.branchSelect.value = 'main';
+    const handleUndo = () => {
+        const { undoLabel } = StateManager.getHistory();
+        if (StateManager.undo()) {
+            DOMController.showInfo(`Undone: ${undoLabel}`);
+        }
     };
 
-    return {
-        uploadVideo,
-        processVideos,
-        downloadResult,
-        clearAll
+    const handleRedo = () => {
+        const { redoLabel } = StateManager.getHistory();
+        if (StateManager.redo()) {
+            DOMController.showInfo(`Redone: ${redoLabel}`);
+        }
     };
-})();
 
-// Event Handlers Module
-const EventHandlers = (() => {
-    const handleFileUpload = (slot) => {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = AppConfig.SUPPORTED_FORMATS.map(f => `.${f}`).join(',');
 
-        input.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                try {
-                    const videoElement = slot === 'first'
-                        ? DOMController.elements().firstVideo
-                        : DOMController.elements().secondVideo;
+    const init = () => {
+        const elements = DOMController.elements();
 
-                    DOMController.showLoading(videoElement);
-                    DOMController.updateVideoDisplay(videoElement, file);
+        // Typed times go into the same timeRange the timeline edits
+        [[elements.firstTimeInput, 'start'], [elements.secondTimeInput, 'end']].forEach(([input, edge]) => {
+            input.addEventListener('change', () => handleTimeInput(input, edge));
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    DOMController.renderTimeInputs(StateManager.get('timeRange'));
+                    input.blur();
+                }
+            });
+        });
 
-                    await VideoHandler.uploadVideo(file, slot, (progress) => {
-                        console.log(`Upload progress: ${progress}%`);
-                    });
+        // Branch select; the list and presets come from the server
+        elements.branchSelect.addEventListener('change', (e) => {
+            StateManager.set('currentBranch', e.target.value);
+        });
+        StateManager.subscribe('branches', DOMController.renderBranches);
+        const editBranchBtn = document.querySelector('[data-action="edit-branch"]');
+        if (editBranchBtn) {
+            editBranchBtn.addEventListener('click', () => handleEditBranch(StateManager.get('currentBranch')));
+        }
+        const newBranchBtn = document.querySelector('[data-action="new-branch"]');
+        if (newBranchBtn) {
+            newBranchBtn.addEventListener('click', () => handleEditBranch(null));
+        }
 
-                    DOMController.hideLoading(videoElement);
-                    DOMController.showSuccess(`Video uploaded successfully`);
-                } catch (error) {
-                    DOMController.showError(error.message);
-                    DOMController.hideLoading(DOMController.elements().container);
+        // Inputs, branch and videos render from state so undo/redo restores them too
+        StateManager.subscribe('timeRange', DOMController.renderTimeInputs);
+        // The timecode tooltips depend on the measured frame rate
+        StateManager.subscribe('media', () => DOMController.renderTimeInputs(StateManager.get('timeRange')));
+        StateManager.subscribe('currentBranch', DOMController.renderBranch);
+        StateManager.subscribe('sources', DOMController.renderSources);
+
+        // Undo/redo history
+        const undoBtn = document.querySelector('[data-action="undo"]');
+        const redoBtn = document.querySelector('[data-action="redo"]');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', handleUndo);
+        }
+        if (redoBtn) {
+            redoBtn.addEventListener('click', handleRedo);
+        }
+
+        // Keyboard shortcuts
+        KeyboardController.init();
+        KeyboardController.register({
+            undo: handleUndo,
+            redo: handleRedo,
+            'show-shortcuts': DOMController.toggleShortcutSheet
+        });
+        const shortcutsBtn = document.querySelector('[data-action="show-shortcuts"]');
+        if (shortcutsBtn) {
+            shortcutsBtn.addEventListener('click', DOMController.toggleShortcutSheet);
+        }
+        StateManager.subscribe('history', DOMController.renderHistory);
+        DOMController.renderHistory(StateManager.getHistory());
+
+        // Range list (edit decision list)
+        const addRangeBtn = document.querySelector('[data-action="add-range"]');
+        if (addRangeBtn) {
+            addRangeBtn.addEventListener('click', handleAddRange);
+        }
+        if (elements.rangeList) {
+            elements.rangeList.addEventListener('click', handleRangeListClick);
+            elements.rangeList.addEventListener('change', (e) => {
+                const item = e.target.closest('.range-item');
+                if (item && e.target.classList.contains('range-name')) {
+                    RangeManager.rename(item.dataset.rangeId, e.target.value);
+                }
+            });
+        }
+        // Markers and their chapter files
+        if (elements.markerPanel) {
+            const markerButton = action => elements.markerPanel.querySelector(`[data-action="${action}"]`);
+            markerButton('add-marker').addEventListener('click', handleAddMarker);
+            markerButton('import-markers').addEventListener('click', handleImportMarkers);
+            markerButton('export-markers').addEventListener('click', e => handleExportMarkers(e.currentTarget));
+            elements.markerList.addEventListener('click', handleMarkerListClick);
+            elements.markerList.addEventListener('change', (e) => {
+                const item = e.target.closest('.marker-item');
+                if (item && e.target.classList.contains('range-name')) {
+                    MarkerManager.rename(item.dataset.markerId, e.target.value);
                 }
+            });
+            elements.embedChapters.addEventListener('change', (e) => StateManager.set('embedChapters', e.target.checked));
+        }
+        KeyboardController.register({ 'add-marker': handleAddMarker });
+        StateManager.subscribe('markers', DOMController.renderMarkerList);
+        StateManager.subscribe('embedChapters', DOMController.renderMarkerList);
+        DOMController.renderMarkerList();
+
+        // Operation picker
+        if (elements.operationList) {
+            elements.operationList.addEventListener('change', handleOperationChange);
+        }
+        StateManager.subscribe('operations', DOMController.renderOperations);
+        ['ranges', 'timeRange', 'media', 'videos', 'sources', 'processingMode'].forEach((key) => {
+            StateManager.subscribe(key, DOMController.renderOperationProblems);
+        });
+        DOMController.renderOperations();
+
+        // Processing job progress
+        const cancelJobBtn = document.querySelector('[data-action="cancel-job"]');
+        if (cancelJobBtn) {
+            cancelJobBtn.addEventListener('click', handleCancelJob);
+        }
+        StateManager.subscribe('job', DOMController.renderJobProgress);
+        StateManager.subscribe('processing', (processing) => {
+            const processBtn = document.querySelector('.action-btn[data-action="process"]');
+            if (processBtn) {
+                processBtn.disabled = processing;
             }
         });
 
-        input.click();
-    };
+        StateManager.subscribe('ranges', DOMController.renderRangeList);
+        StateManager.subscribe('activeRangeId', DOMController.renderRangeList);
+        DOMController.renderRangeList();
 
-    const handleProcess = async () => {
-        try {
-            StateManager.set('processing', true);
-            DOMController.showLoading(DOMController.elements().container);
+        // Video containers only display videos; files arrive via Upload or drag-and-drop
+        setupDropTarget(elements.firstVideo, 'first');
+        setupDropTarget(elements.secondVideo, 'second');
+        // A file dropped next to a container must not replace the page
+        window.addEventListener('dragover', e => e.preventDefault());
+        window.addEventListener('drop', e => e.preventDefault());
 
-            await VideoHandler.processVideos();
+        // Subtitles follow the first video; media events do not bubble, so listen while capturing
+        ['timeupdate', 'seeked', 'loadedmetadata'].forEach((type) => {
+            elements.firstVideo.addEventListener(type, DOMController.renderSubtitleOverlay, true);
+        });
+        StateManager.subscribe('subtitles', DOMController.renderSubtitleOverlay);
+        DOMController.renderSubtitleOverlay();
 
-            DOMController.hideLoading(DOMController.elements().container);
-            DOMController.showSuccess('Videos processed successfully');
-            StateManager.set('processing', false);
-        } catch (error) {
-            DOMController.showError(error.message);
-            DOMController.hideLoading(DOMController.elements().container);
-            StateManager.set('processing', false);
+        if (elements.swapButton) {
+            elements.swapButton.addEventListener('click', handleSwap);
         }
-    };
-
-    const handleDownload = async () => {
-        try {
-            await VideoHandler.downloadResult();
-            DOMController.showSuccess('Download started');
-        } catch (error) {
-            DOMController.showError(error.message);
+        StateManager.subscribe('sources', renderSwapState);
+        renderSwapState();
+
+        // Snap timeline selections to silence
+        const snapSilenceBtn = document.querySelector('[data-action="snap-silence"]');
+        if (snapSilenceBtn) {
+            snapSilenceBtn.addEventListener('click', () => {
+                StateManager.set('snapToSilence', !StateManager.get('snapToSilence'));
+            });
+            StateManager.subscribe('snapToSilence', (enabled) => {
+                snapSilenceBtn.classList.toggle('active', enabled);
+                snapSilenceBtn.setAttribute('aria-pressed', String(enabled));
+            });
         }
-    };
 
-    const handleClear = () => {
-        if (confirm('Are you sure you want to clear all data?')) {
-            VideoHandler.clearAll();
-            DOMController.showSuccess('All data cleared');
+        // A/B compare
+        const renderCompare = () => {
+            DOMController.renderCompare();
+            CompareController.relink();
+        };
+        StateManager.subscribe('compare', renderCompare);
+        StateManager.subscribe('sources', (sources) => {
+            const compare = StateManager.get('compare');
+            if (compare.enabled && !(sources.first && sources.second)) {
+                StateManager.set('compare', { ...compare, enabled: false });
+            } else {
+                renderCompare();
+            }
+        });
+        if (elements.compareToggle) {
+            elements.compareToggle.addEventListener('click', handleToggleCompare);
         }
-    };
-
-    const init = () => {
-        const elements = DOMController.elements();
+        if (elements.compareControls) {
+            elements.compareControls.addEventListener('click', handleCompareControlsClick);
+        }
+        if (elements.compareOffset) {
+            elements.compareOffset.addEventListener('change', handleCompareOffsetChange);
+        }
+        if (elements.compareOpacity) {
+            elements.compareOpacity.addEventListener('input', (e) => {
+                StateManager.set('compare', { ...StateManager.get('compare'), opacity: Number(e.target.value) / 100 });
+            });
+        }
+        KeyboardController.register({ 'toggle-compare': handleToggleCompare });
+        renderCompare();
 
-        // Time inputs
-        elements.firstTimeInput.addEventListener('change', (e) => {
-            StateManager.set('timeRange', {
-                ...StateManager.get('timeRange'),
-                start: e.target.value
+        // Scene detection; the cuts belong to the first video, so a new one drops them
+        if (elements.detectScenesButton) {
+            elements.detectScenesButton.addEventListener('click', handleDetectScenes);
+        }
+        if (elements.sceneMethod) {
+            elements.sceneMethod.addEventListener('change', handleSceneMethodChange);
+        }
+        if (elements.sceneThreshold) {
+            elements.sceneThreshold.addEventListener('input', (e) => {
+                StateManager.set('sceneSettings', { ...StateManager.get('sceneSettings'), threshold: Number(e.target.value) / 100 });
             });
+        }
+        if (elements.splitScenesButton) {
+            elements.splitScenesButton.addEventListener('click', handleSplitScenes);
+        }
+        StateManager.subscribe('sources', (sources) => {
+            const scenes = StateManager.get('scenes');
+            if (scenes && scenes.source !== sources.first) {
+                cancelSceneDetection();
+                StateManager.set('scenes', null);
+            } else {
+                DOMController.renderScenes();
+            }
         });
-
-        elements.secondTimeInput.addEventListener('change', (e) => {
-            StateManager.set('timeRange', {
-                ...StateManager.get('timeRange'),
-                end: e.target.value
+        StateManager.subscribe('scenes', DOMController.renderScenes);
+        StateManager.subscribe('sceneSettings', DOMController.renderScenes);
+        DOMController.renderScenes();
+
+        // Frame export; replacing the first video cancels a running export
+        if (elements.exportPanel) {
+            elements.exportPanel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-export]');
+                if (button) {
+                    handleExport(button.dataset.export);
+                }
             });
+        }
+        StateManager.subscribe('sources', (sources) => {
+            if (exportAbort && sources.first !== exportSource) {
+                exportAbort.abort();
+            }
+            DOMController.renderFrameExport();
         });
+        StateManager.subscribe('frameExport', DOMController.renderFrameExport);
+        DOMController.renderFrameExport();
 
-        // Branch select
-        elements.branchSelect.addEventListener('change', (e) => {
-            StateManager.set('currentBranch', e.target.value);
+        // The clip estimate follows its settings and the selection
+        ['animationFormat', 'animationWidth', 'animationFps', 'animationColors', 'animationDither'].forEach((name) => {
+            if (elements[name]) {
+                elements[name].addEventListener('input', DOMController.renderAnimationEstimate);
+            }
         });
-
-        // Remove video container click events - they should only display videos
-        // Videos are now loaded only via action buttons
+        StateManager.subscribe('timeRange', DOMController.renderAnimationEstimate);
+        StateManager.subscribe('media', DOMController.renderAnimationEstimate);
+        DOMController.renderAnimationEstimate();
 
 
         // Action buttons
@@ -1266,7 +8521,7 @@ const EventHandlers = (() => {
                 const action = button.dataset.action;
                 switch (action) {
                     case 'upload':
-                        handleFileUpload('first');
+                        handleUploadClick(button);
                         break;
                     case 'process':
                         await handleProcess();
@@ -1277,35 +8532,47 @@ const EventHandlers = (() => {
                     case 'clear':
                         handleClear();
                         break;
+                    case 'project':
+                        handleProjectClick(button);
+                        break;
+
                 }
             });
         });
     };
 
-    return { init };
+    return { init, resumeProcessing };
 })();
 
 // Application Initialization
 const App = (() => {
-    const loadTestVideo = () => {
-        // Test video path - use file:// protocol for local files
-        const testVideoPath = 'video.mp4'; // Use relative path
-
-        // Create file input to load test video
-        const video = document.createElement('video');
-        video.src = testVideoPath;
-        video.style.display = 'none';
-        document.body.appendChild(video);
+    // Offer the previous session back; saving starts once the user has answered,
+    // or as soon as they load another video instead
+    const offerSessionRestore = async () => {
+        const session = await Session.load();
+        if (!session) {
+            Session.start();
+            return;
+        }
 
-        video.addEventListener('loadedmetadata', () => {
-            video.pause(); // Make sure test video doesn't autoplay
-            const firstVideoElement = DOMController.elements().firstVideo;
-            DOMController.updateVideoDisplay(firstVideoElement, testVideoPath);
-            console.log('Test video loaded:', testVideoPath);
+        let unsubscribe = () => {};
+        const removePrompt = DOMController.showSessionPrompt(Session.describe(session), {
+            onRestore: () => {
+                unsubscribe();
+                Session.restore(session);
+                Session.start();
+                DOMController.showSuccess('Previous session restored');
+            },
+            onDiscard: () => {
+                unsubscribe();
+                Session.discard().then(Session.start);
+            }
         });
-
-        video.addEventListener('error', (e) => {
-            console.log('Could not load test video, please upload manually');
+        // Loading another video first counts as discarding the old session
+        unsubscribe = StateManager.subscribe('sources', () => {
+            unsubscribe();
+            removePrompt();
+            Session.start();
         });
     };
 
@@ -1318,6 +8585,15 @@ const App = (() => {
         // Initialize Event Handlers
         EventHandlers.init();
 
+        // Branch list and presets from the server (built-in ones when it is down)
+        BranchManager.load();
+
+        // Let users know when a failed request is being retried
+        ApiService.onRetry(({ attempt, maxAttempts, delay, error }) => {
+            const seconds = Math.max(1, Math.round(delay / 1000));
+            DOMController.showInfo(`${error.message}. Retrying in ${seconds}s (attempt ${attempt + 1} of ${maxAttempts})`);
+        });
+
         // Add animation styles
         const style = document.createElement('style');
         style.textContent = `
@@ -1334,14 +8610,10 @@ const App = (() => {
         `;
         document.head.appendChild(style);
 
-        // Auto-load test video if available
-        setTimeout(() => {
-            try {
-                loadTestVideo();
-            } catch(e) {
-                console.log('Test video not found, skipping auto-load');
-            }
-        }, 500);
+        // Pick up a processing job that outlived the previous page
+        EventHandlers.resumeProcessing();
+
+        offerSessionRestore();
 
         console.log('Application initialized successfully');
     };
@@ -1359,8 +8631,15 @@ if (document.readyState === 'loading') {
 // Export modules for testing and external use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        TimeCode,
+        ApiError,
         ApiService,
         StateManager,
+        RangeManager,
+        Session,
+        MediaUtils,
+        JobTracker,
+        LocalEngine,
         VideoHandler,
         DOMController,
         EventHandlers,
@@ -0,0 +1,76 @@
+/**
+ * Branches and their processing presets
+ * Unlike videos, branches are settings people edit by hand, so they are kept
+ * in DATA_DIR/branches.json and survive a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Seeded on first start; the ids match the options the frontend used to hard-code
+const DEFAULT_BRANCHES = [
+    { id: 'main', name: 'Main', preset: { format: 'mp4', crf: 20, speed: 'veryfast', width: null, height: null } },
+    { id: 'develop', name: 'Develop', preset: { format: 'mp4', crf: 28, speed: 'ultrafast', width: 1280, height: 720 } },
+    { id: 'feature', name: 'Feature', preset: { format: 'webm', crf: 32, speed: 'medium', width: 854, height: 480 } }
+];
+
+// "My Branch" -> "my-branch"
+const slugify = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'branch';
+
+const createBranchStore = ({ dataDir }) => {
+    const file = path.join(dataDir, 'branches.json');
+    const branches = new Map();
+
+    const load = () => {
+        let saved = null;
+        try {
+            saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read ${file}, using the default branches:`, error.message);
+            }
+        }
+        (Array.isArray(saved) ? saved : DEFAULT_BRANCHES).forEach(branch => branches.set(branch.id, branch));
+    };
+
+    // Written whole and renamed into place, so a crash never leaves half a file
+    const save = () => {
+        const temp = `${file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify([...branches.values()], null, 2));
+        fs.renameSync(temp, file);
+    };
+
+    const list = () => [...branches.values()];
+
+    const get = id => branches.get(id) || null;
+
+    const uniqueId = (name) => {
+        const base = slugify(name);
+        let id = base;
+        for (let n = 2; branches.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    };
+
+    const create = ({ name, preset }) => {
+        const branch = { id: uniqueId(name), name, preset };
+        branches.set(branch.id, branch);
+        save();
+        return branch;
+    };
+
+    // The id stays put: jobs, saved sessions and project files refer to it
+    const update = (id, { name, preset }) => {
+        const branch = { id, name, preset };
+        branches.set(id, branch);
+        save();
+        return branch;
+    };
+
+    load();
+
+    return { list, get, create, update };
+};
+
+module.exports = { createBranchStore, DEFAULT_BRANCHES };
@@ -0,0 +1,36 @@
+/**
+ * Reference server configuration
+ * Every value can be overridden with an environment variable; --fake and
+ * --port=<n> on the command line take precedence
+ */
+
+const path = require('path');
+
+const flag = (name) => process.argv.includes(`--${name}`);
+
+const option = (name) => {
+    const prefix = `--${name}=`;
+    const arg = process.argv.find(value => value.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : undefined;
+};
+
+const env = process.env;
+
+const config = {
+    PORT: Number(option('port') || env.PORT) || 3000,
+    HOST: env.HOST || '0.0.0.0',
+    API_PREFIX: '/api',
+    CORS_ORIGIN: env.CORS_ORIGIN || '*',
+    DATA_DIR: path.resolve(env.DATA_DIR || path.join(__dirname, 'data')),
+    MAX_UPLOAD_SIZE: Number(env.MAX_UPLOAD_SIZE) || 100 * 1024 * 1024, // Same limit as AppConfig.MAX_FILE_SIZE
+    MAX_JSON_SIZE: 1024 * 1024,
+    FFMPEG_PATH: env.FFMPEG_PATH || 'ffmpeg',
+    FFPROBE_PATH: env.FFPROBE_PATH || 'ffprobe',
+    // 'ffmpeg', 'fake', or 'auto' (ffmpeg when the binary is found, fake otherwise)
+    PROCESSOR: flag('fake') ? 'fake' : (env.PROCESSOR || 'auto'),
+    FAKE_JOB_DURATION: Number(env.FAKE_JOB_DURATION) || 8000, // Milliseconds a fake job takes
+    JOB_CONCURRENCY: Number(env.JOB_CONCURRENCY) || 1,
+    SSE_KEEPALIVE: 15000
+};
+
+module.exports = config;
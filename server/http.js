@@ -0,0 +1,147 @@
+/**
+ * HTTP helpers: errors, CORS, JSON bodies and a small router
+ */
+
+const ApiContract = require('../contract');
+
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+// Headers the frontend must be able to read across origins (tus offsets, upload location)
+const EXPOSED_HEADERS = [
+    'Location',
+    'Upload-Offset',
+    'Upload-Length',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Max-Size',
+    'Tus-Extension',
+    'Retry-After',
+    'Content-Disposition',
+    'Accept-Ranges',
+    'Content-Range',
+    ApiContract.VERSION_HEADER
+];
+
+const ALLOWED_HEADERS = [
+    'Content-Type',
+    'Tus-Resumable',
+    'Upload-Length',
+    'Upload-Metadata',
+    'Upload-Offset',
+    'Range',
+    ApiContract.VERSION_HEADER
+];
+
+const corsHeaders = (origin) => ({
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, HEAD, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': ALLOWED_HEADERS.join(', '),
+    'Access-Control-Expose-Headers': EXPOSED_HEADERS.join(', '),
+    'Access-Control-Max-Age': '600'
+});
+
+const sendJson = (res, status, body, headers = {}) => {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        ...headers,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+};
+
+const sendEmpty = (res, status, headers = {}) => {
+    res.writeHead(status, headers);
+    res.end();
+};
+
+// Same envelope as a successful response, so the client reads `message` either way
+const sendError = (res, error) => {
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+    const status = error instanceof HttpError ? error.status : 500;
+    const message = error instanceof HttpError ? error.message : 'Internal server error';
+    sendJson(res, status, { success: false, message }, error.headers);
+};
+
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+            reject(new HttpError(413, 'Request body is too large', { Connection: 'close' }));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const readJson = async (req, limit) => {
+    const body = await readBody(req, limit);
+    try {
+        return body.length ? JSON.parse(body.toString('utf8')) : {};
+    } catch (error) {
+        throw new HttpError(400, 'Request body is not valid JSON');
+    }
+};
+
+// Routes are matched in order; ':name' segments become params
+const createRouter = () => {
+    const routes = [];
+
+    const compile = (pattern) => new RegExp(`^${pattern.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`);
+
+    const add = (method, pattern, handler) => {
+        routes.push({ method, regex: compile(pattern), handler });
+    };
+
+    const resolve = (method, pathname) => {
+        let pathMatched = false;
+        for (const route of routes) {
+            const match = route.regex.exec(pathname);
+            if (!match) continue;
+            pathMatched = true;
+            if (route.method === method) {
+                const params = {};
+                Object.entries(match.groups || {}).forEach(([name, value]) => {
+                    try {
+                        params[name] = decodeURIComponent(value);
+                    } catch (error) {
+                        // A broken escape such as "%E0%A4%A" is the client's mistake
+                        throw new HttpError(400, 'Malformed path');
+                    }
+                });
+                return { handler: route.handler, params };
+            }
+        }
+        throw pathMatched
+            ? new HttpError(405, `Method ${method} is not allowed here`)
+            : new HttpError(404, `Not found: ${pathname}`);
+    };
+
+    return { add, resolve };
+};
+
+module.exports = {
+    HttpError,
+    corsHeaders,
+    sendJson,
+    sendEmpty,
+    sendError,
+    readJson,
+    createRouter
+};
@@ -0,0 +1,65 @@
+/**
+ * Reference server for the Video Processing frontend
+ * Zero dependencies: run with `node server/index.js` (add --fake to skip ffmpeg)
+ */
+
+const http = require('http');
+const ApiContract = require('../contract');
+const config = require('./config');
+const { HttpError, corsHeaders, sendEmpty, sendError } = require('./http');
+const { createStore } = require('./store');
+const { createBranchStore } = require('./branches');
+const { createJobQueue } = require('./jobs');
+const { createProcessor } = require('./processors');
+const { createRoutes } = require('./routes');
+
+const createServer = async (options = config) => {
+    const store = createStore({ dataDir: options.DATA_DIR });
+    const branches = createBranchStore({ dataDir: options.DATA_DIR });
+    const processor = await createProcessor(options, store.workDir);
+    const jobs = createJobQueue({ concurrency: options.JOB_CONCURRENCY });
+    const router = createRoutes({ config: options, store, branches, jobs, processor });
+    const cors = corsHeaders(options.CORS_ORIGIN);
+
+    const server = http.createServer(async (req, res) => {
+        Object.entries(cors).forEach(([name, value]) => res.setHeader(name, value));
+        res.setHeader(ApiContract.VERSION_HEADER, String(ApiContract.VERSION));
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        // CORS preflight; a plain OPTIONS (the tus capability check) goes to its route
+        if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+            sendEmpty(res, 204);
+            return;
+        }
+
+        try {
+            const version = req.headers[ApiContract.VERSION_HEADER.toLowerCase()];
+            if (!ApiContract.isCompatible(version)) {
+                throw new HttpError(400, `Unsupported API contract v${version}; this server speaks v${ApiContract.VERSION}`);
+            }
+            const { handler, params } = router.resolve(req.method, pathname);
+            await handler(req, res, params);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(`${req.method} ${pathname} failed:`, error);
+            }
+            sendError(res, error);
+        }
+    });
+
+    return { server, processor };
+};
+
+if (require.main === module) {
+    createServer().then(({ server, processor }) => {
+        server.listen(config.PORT, config.HOST, () => {
+            console.log(`Video server listening on http://localhost:${config.PORT}${config.API_PREFIX} (${processor.name} processing)`);
+        });
+    }).catch((error) => {
+        console.error('Server failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,128 @@
+/**
+ * Processing job queue
+ * A job wraps an async task; its public record is what GET /api/jobs/:id and
+ * the SSE stream report to the frontend
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const isTerminal = job => TERMINAL_STATUSES.includes(job.status);
+
+const createJobQueue = ({ concurrency = 1 } = {}) => {
+    const jobs = new Map();
+    const queue = [];
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    let running = 0;
+
+    const toPublic = job => ({
+        id: job.id,
+        status: job.status,
+        progress: job.progress,
+        eta: job.eta,
+        result: job.result,
+        error: job.error
+    });
+
+    const update = (job, changes) => {
+        Object.assign(job, changes);
+        events.emit(job.id, toPublic(job));
+    };
+
+    // Seconds left, extrapolated from the progress so far
+    const estimate = (job, progress) => {
+        if (!job.startedAt || progress <= 0) return null;
+        const elapsed = (Date.now() - job.startedAt) / 1000;
+        return Math.round((elapsed * (100 - progress)) / progress);
+    };
+
+    const run = async (job) => {
+        running++;
+        job.controller = new AbortController();
+        job.startedAt = Date.now();
+        update(job, { status: 'running' });
+
+        try {
+            const result = await job.task({
+                signal: job.controller.signal,
+                onProgress: (value) => {
+                    const progress = Math.max(0, Math.min(100, value));
+                    // Throttle to whole-percent steps; every update goes out over SSE
+                    if (Math.floor(progress) === Math.floor(job.progress)) return;
+                    update(job, { progress, eta: estimate(job, progress) });
+                }
+            });
+            update(job, { status: 'completed', progress: 100, eta: 0, result });
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                update(job, { status: 'cancelled', eta: null });
+            } else {
+                console.error(`Job ${job.id} failed:`, error);
+                update(job, { status: 'failed', eta: null, error: error.message });
+            }
+        } finally {
+            job.controller = null;
+            running--;
+            pump();
+        }
+    };
+
+    const pump = () => {
+        while (running < concurrency && queue.length > 0) {
+            run(queue.shift());
+        }
+    };
+
+    // task({ signal, onProgress }) resolves with the job's result
+    const submit = (task) => {
+        const job = {
+            id: `job_${crypto.randomBytes(6).toString('hex')}`,
+            status: 'queued',
+            progress: 0,
+            eta: null,
+            result: null,
+            error: null,
+            task,
+            controller: null,
+            startedAt: null
+        };
+        jobs.set(job.id, job);
+        queue.push(job);
+        setImmediate(pump);
+        return toPublic(job);
+    };
+
+    const get = (id) => {
+        const job = jobs.get(id);
+        return job ? toPublic(job) : null;
+    };
+
+    // Queued jobs are dropped at once; running ones report 'cancelled' when their task stops
+    const cancel = (id) => {
+        const job = jobs.get(id);
+        if (!job) return null;
+        if (isTerminal(job)) return toPublic(job);
+
+        const queued = queue.indexOf(job);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+            update(job, { status: 'cancelled' });
+        } else if (job.controller) {
+            job.controller.abort();
+        }
+        return toPublic(job);
+    };
+
+    // Returns an unsubscribe function
+    const subscribe = (id, listener) => {
+        events.on(id, listener);
+        return () => events.off(id, listener);
+    };
+
+    return { submit, get, cancel, subscribe };
+};
+
+module.exports = { createJobQueue, isTerminal };
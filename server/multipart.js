@@ -0,0 +1,151 @@
+/**
+ * Streaming multipart/form-data reader
+ * Writes one file field straight to disk so large uploads never sit in memory
+ */
+
+const fs = require('fs');
+const { HttpError } = require('./http');
+
+const MAX_HEADER_SIZE = 16 * 1024;
+
+const parseHeaders = (text) => {
+    const headers = {};
+    text.split('\r\n').forEach((line) => {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    });
+    return headers;
+};
+
+const dispositionParam = (disposition, name) => {
+    const match = new RegExp(`(?:^|;)\\s*${name}="([^"]*)"`, 'i').exec(disposition || '');
+    return match ? match[1] : null;
+};
+
+// Resolves with { filename, type, size } once `field` has been written to `destination`
+const receiveFile = (req, { field, destination, maxSize }) => new Promise((resolve, reject) => {
+    const contentType = req.headers['content-type'] || '';
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!/^multipart\/form-data/i.test(contentType) || !boundaryMatch) {
+        reject(new HttpError(400, 'Expected a multipart/form-data body'));
+        return;
+    }
+
+    // Every delimiter but the first is preceded by CRLF; seeding the buffer with one
+    // lets the first delimiter be found the same way
+    const delimiter = Buffer.from(`\r\n--${boundaryMatch[1] || boundaryMatch[2]}`);
+    let buffer = Buffer.from('\r\n');
+    let state = 'body'; // body (preamble or part data), delimiter, headers, end
+    let out = null;
+    let file = null;
+    let failed = false;
+
+    const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        if (out) {
+            out.destroy();
+            fs.unlink(destination, () => {});
+        }
+        // Drain whatever the client still sends so the error response can be read
+        req.resume();
+        reject(error);
+    };
+
+    const write = (data) => {
+        if (!out || data.length === 0) return;
+        file.size += data.length;
+        if (file.size > maxSize) {
+            fail(new HttpError(413, `File is larger than ${maxSize} bytes`, { Connection: 'close' }));
+            return;
+        }
+        if (!out.write(data)) {
+            req.pause();
+            out.once('drain', () => req.resume());
+        }
+    };
+
+    const startPart = (headers) => {
+        const disposition = headers['content-disposition'];
+        const filename = dispositionParam(disposition, 'filename');
+        if (file || dispositionParam(disposition, 'name') !== field || filename === null) return;
+
+        file = { filename, type: headers['content-type'] || 'application/octet-stream', size: 0 };
+        out = fs.createWriteStream(destination);
+        out.on('error', fail);
+    };
+
+    const endPart = () => {
+        if (out && !out.writableEnded) {
+            out.end();
+        }
+    };
+
+    const consume = () => {
+        while (!failed) {
+            if (state === 'body') {
+                const index = buffer.indexOf(delimiter);
+                if (index === -1) {
+                    // Keep a tail that could be the start of a delimiter split across chunks
+                    const safe = Math.max(0, buffer.length - delimiter.length + 1);
+                    write(buffer.subarray(0, safe));
+                    buffer = buffer.subarray(safe);
+                    return;
+                }
+                write(buffer.subarray(0, index));
+                endPart();
+                buffer = buffer.subarray(index + delimiter.length);
+                state = 'delimiter';
+            } else if (state === 'delimiter') {
+                if (buffer.length < 2) return;
+                if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+                    state = 'end';
+                    return;
+                }
+                const lineEnd = buffer.indexOf('\r\n');
+                if (lineEnd === -1) return;
+                buffer = buffer.subarray(lineEnd + 2);
+                state = 'headers';
+            } else if (state === 'headers') {
+                const headerEnd = buffer.indexOf('\r\n\r\n');
+                if (headerEnd === -1) {
+                    if (buffer.length > MAX_HEADER_SIZE) {
+                        fail(new HttpError(400, 'Multipart part headers are too large'));
+                    }
+                    return;
+                }
+                startPart(parseHeaders(buffer.subarray(0, headerEnd).toString('utf8')));
+                buffer = buffer.subarray(headerEnd + 4);
+                state = 'body';
+            } else {
+                return;
+            }
+        }
+    };
+
+    req.on('data', (chunk) => {
+        if (failed || state === 'end') return;
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        consume();
+    });
+
+    req.on('end', () => {
+        if (failed) return;
+        if (state !== 'end') {
+            fail(new HttpError(400, 'Multipart body ended unexpectedly'));
+        } else if (!file) {
+            fail(new HttpError(400, `Missing file field "${field}"`));
+        } else if (out.writableFinished) {
+            resolve(file);
+        } else {
+            out.once('finish', () => resolve(file));
+        }
+    });
+
+    req.on('aborted', () => fail(new HttpError(400, 'Upload was interrupted')));
+    req.on('error', fail);
+});
+
+module.exports = { receiveFile };
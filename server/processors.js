@@ -0,0 +1,341 @@
+/**
+ * Video processors
+ * Both take the same request — the first and second video, the ranges, an
+ * ordered operation list (trim, merge, resize, compress, mute), the branch
+ * preset and optional subtitle cues and chapters — and write or point at an output file.
+ * The fake processor only simulates the work, for frontend development without ffmpeg.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ENCODER_PRESETS } = require('../contract');
+
+const abortError = () => {
+    const error = new Error('Processing cancelled');
+    error.name = 'AbortError';
+    return error;
+};
+
+const sumDurations = ranges => ranges.reduce((sum, range) => sum + (range.end - range.start), 0);
+
+const findOperation = (operations, type) => operations.find(operation => operation.type === type) || null;
+
+// Encoder settings used when neither the pipeline nor the preset sets them
+const DEFAULT_ENCODING = { crf: 20, preset: 'veryfast' };
+
+// Codecs per output container; VP9 has no x264 speed names, so the preset maps onto -cpu-used
+const CONTAINERS = {
+    mp4: {
+        type: 'video/mp4',
+        video: ({ crf, preset }) => ['-c:v', 'libx264', '-preset', preset, '-crf', String(crf)],
+        audio: ['-c:a', 'aac'],
+        subtitles: ['-c:s', 'mov_text'],
+        finish: ['-movflags', '+faststart']
+    },
+    webm: {
+        type: 'video/webm',
+        video: ({ crf, preset }) => {
+            const slowness = Math.max(0, ENCODER_PRESETS.indexOf(preset)) / (ENCODER_PRESETS.length - 1);
+            return ['-c:v', 'libvpx-vp9', '-crf', String(crf), '-b:v', '0', '-deadline', 'good',
+                '-cpu-used', String(Math.round((1 - slowness) * 5)), '-row-mt', '1'];
+        },
+        audio: ['-c:a', 'libopus'],
+        subtitles: ['-c:s', 'webvtt'],
+        finish: []
+    }
+};
+
+// Resolves with the process' stdout; `onLine` sees stdout line by line
+const runCommand = (command, args, { signal, onLine } = {}) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+    }
+
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let pending = '';
+    const stderrTail = [];
+
+    const onAbort = () => child.kill('SIGKILL');
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    child.stdout.on('data', (chunk) => {
+        const text = chunk.toString();
+        stdout += text;
+        if (!onLine) return;
+        const lines = (pending + text).split('\n');
+        pending = lines.pop();
+        lines.forEach(line => onLine(line.trim()));
+    });
+
+    // Only the last lines matter for the error message
+    child.stderr.on('data', (chunk) => {
+        stderrTail.push(...chunk.toString().split('\n').filter(Boolean));
+        stderrTail.splice(0, Math.max(0, stderrTail.length - 20));
+    });
+
+    child.on('error', (error) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(error);
+    });
+
+    child.on('close', (code) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (signal && signal.aborted) {
+            reject(abortError());
+        } else if (code !== 0) {
+            reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderrTail.slice(-1)[0] || 'no output'}`));
+        } else {
+            resolve(stdout);
+        }
+    });
+});
+
+// Cues as an SRT file, the input ffmpeg converts to either container's subtitle codec
+const toSrt = (cues) => {
+    const stamp = (seconds) => {
+        const ms = Math.round(seconds * 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+    };
+    return cues.map((cue, index) => `${index + 1}\n${stamp(cue.start)} --> ${stamp(cue.end)}\n${cue.text}\n`).join('\n');
+};
+
+// Chapters as an FFMETADATA file, read with -map_chapters
+const toMetadata = (chapters) => {
+    const escape = value => value.replace(/[=;#\\\n]/g, match => `\\${match}`);
+    const sections = chapters.map(chapter => [
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        `START=${Math.round(chapter.start * 1000)}`,
+        `END=${Math.round(chapter.end * 1000)}`,
+        `title=${escape(chapter.title)}`
+    ].join('\n'));
+    return `;FFMETADATA1\n${sections.join('\n')}\n`;
+};
+
+const isAvailable = async (command) => {
+    try {
+        await runCommand(command, ['-version']);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const createFfmpegProcessor = ({ ffmpegPath, ffprobePath, workDir }) => {
+    const probe = async (filePath) => {
+        const output = await runCommand(ffprobePath, [
+            '-v', 'error',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            filePath
+        ]);
+        const info = JSON.parse(output);
+        const video = (info.streams || []).find(stream => stream.codec_type === 'video');
+        const [num, den] = ((video && video.avg_frame_rate) || '0/0').split('/').map(Number);
+
+        return {
+            duration: Number(info.format && info.format.duration) || null,
+            width: video ? video.width : null,
+            height: video ? video.height : null,
+            frameRate: num > 0 && den > 0 ? num / den : null,
+            hasAudio: (info.streams || []).some(stream => stream.codec_type === 'audio')
+        };
+    };
+
+    // Re-encode one piece to a common size, frame rate and audio layout so the
+    // pieces can be joined without another encode
+    const encodePiece = (piece, output, format, { signal, onTime }) => {
+        const length = piece.end - piece.start;
+        const { width, height, frameRate, audio, container } = format;
+        const args = ['-hide_banner', '-nostdin', '-y', '-progress', 'pipe:1', '-nostats'];
+
+        args.push('-ss', String(piece.start), '-t', String(length), '-i', piece.path);
+        // Silent pieces get a silent track so every part has the same streams
+        if (audio && !piece.hasAudio) {
+            args.push('-f', 'lavfi', '-t', String(length), '-i', 'anullsrc=channel_layout=stereo:sample_rate=48000');
+        }
+
+        const filter = `[0:v:0]scale=${width}:${height}:force_original_aspect_ratio=decrease,`
+            + `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${frameRate},format=yuv420p[v]`;
+
+        args.push('-filter_complex', filter, '-map', '[v]', ...CONTAINERS[container].video(format));
+        if (audio) {
+            args.push('-map', piece.hasAudio ? '0:a:0' : '1:a:0', ...CONTAINERS[container].audio, '-ar', '48000', '-ac', '2');
+        } else {
+            args.push('-an');
+        }
+        args.push('-t', String(length), output);
+
+        return runCommand(ffmpegPath, args, {
+            signal,
+            onLine: (line) => {
+                // out_time_us and out_time_ms are both microseconds
+                const match = /^out_time_(?:us|ms)=(\d+)$/.exec(line);
+                if (match) onTime(Math.min(length, Number(match[1]) / 1e6));
+            }
+        });
+    };
+
+    // Joining is also where subtitles and chapters go in, as both are on the joined timeline
+    const concat = async (parts, output, container, { subtitles, chapters }, signal) => {
+        const listPath = `${output}.txt`;
+        const subtitlePath = `${output}.srt`;
+        const metadataPath = `${output}.meta`;
+        const list = parts.map(part => `file '${part.replace(/'/g, "'\\''")}'`).join('\n');
+        fs.writeFileSync(listPath, list);
+
+        const inputs = ['-f', 'concat', '-safe', '0', '-i', listPath];
+        const maps = ['-map', '0'];
+        const codecs = ['-c', 'copy'];
+        let nextInput = 1;
+        if (subtitles.length > 0) {
+            fs.writeFileSync(subtitlePath, toSrt(subtitles));
+            maps.push('-map', `${nextInput++}:s:0`);
+            inputs.push('-i', subtitlePath);
+            codecs.push(...CONTAINERS[container].subtitles);
+        }
+        if (chapters.length > 0) {
+            fs.writeFileSync(metadataPath, toMetadata(chapters));
+            maps.push('-map_chapters', String(nextInput++));
+            inputs.push('-i', metadataPath);
+        }
+        try {
+            await runCommand(ffmpegPath, [
+                '-hide_banner', '-nostdin', '-y',
+                ...inputs, ...maps, ...codecs, ...CONTAINERS[container].finish,
+                output
+            ], { signal });
+        } finally {
+            [listPath, subtitlePath, metadataPath].forEach(file => fs.rm(file, { force: true }, () => {}));
+        }
+    };
+
+    // Every operation maps onto the same encode: trim picks the pieces of the first
+    // video, merge appends the second, resize/compress/mute set the output format.
+    // The preset fills in what resize and compress leave open.
+    const run = async ({ first, second, ranges, operations, preset, subtitles = [], chapters = [], output }, { signal, onProgress }) => {
+        const merge = findOperation(operations, 'merge');
+        const resize = findOperation(operations, 'resize');
+        const compress = findOperation(operations, 'compress');
+
+        const firstInfo = await probe(first.path);
+        const trimmed = findOperation(operations, 'trim') && ranges.length > 0
+            ? ranges
+            : [{ start: 0, end: firstInfo.duration }];
+        const pieces = trimmed.map(range => ({
+            path: first.path,
+            hasAudio: firstInfo.hasAudio,
+            start: range.start,
+            end: firstInfo.duration ? Math.min(range.end, firstInfo.duration) : range.end
+        }));
+
+        if (merge) {
+            const secondInfo = await probe(second.path);
+            pieces.push({ path: second.path, hasAudio: secondInfo.hasAudio, start: 0, end: secondInfo.duration });
+        }
+        const playable = pieces.filter(piece => piece.end > piece.start);
+
+        // Output takes the first video's size (even, as the encoders require) and frame rate
+        // unless resized or the preset sets a size
+        const even = value => Math.max(2, Math.round((value || 0) / 2) * 2);
+        const presetSize = preset && preset.width ? { width: preset.width, height: preset.height } : null;
+        const size = resize ? resize.params : presetSize || { width: firstInfo.width || 1280, height: firstInfo.height || 720 };
+        const presetEncoding = preset ? { crf: preset.crf, preset: preset.speed } : DEFAULT_ENCODING;
+        const encoding = compress ? compress.params : presetEncoding;
+        const container = preset && CONTAINERS[preset.format] ? preset.format : 'mp4';
+        const format = {
+            container,
+            width: even(size.width),
+            height: even(size.height),
+            frameRate: Math.round((firstInfo.frameRate || 30) * 1000) / 1000,
+            crf: encoding.crf,
+            preset: encoding.preset,
+            audio: !findOperation(operations, 'mute')
+        };
+
+        const total = sumDurations(playable);
+        const parts = [];
+        let done = 0;
+
+        try {
+            for (let i = 0; i < playable.length; i++) {
+                const piece = playable[i];
+                const partPath = path.join(workDir, `${path.parse(output).name}_part${i}.${container}`);
+                parts.push(partPath);
+
+                // Encoding is most of the work; joining takes the last few percent
+                await encodePiece(piece, partPath, format, {
+                    signal,
+                    onTime: time => onProgress(((done + time) / total) * 95)
+                });
+                done += piece.end - piece.start;
+            }
+            await concat(parts, output, container, { subtitles, chapters }, signal);
+            onProgress(100);
+        } catch (error) {
+            fs.rm(output, { force: true }, () => {});
+            throw error;
+        } finally {
+            parts.forEach(part => fs.rm(part, { force: true }, () => {}));
+        }
+
+        return { path: output, duration: total, type: CONTAINERS[container].type };
+    };
+
+    return { name: 'ffmpeg', probe, run };
+};
+
+// Pretends to process for FAKE_JOB_DURATION and returns the first video as the output,
+// whatever the preset, subtitles and chapters ask for
+const createFakeProcessor = ({ duration }) => {
+    const probe = async () => ({ duration: null });
+
+    const run = ({ first, ranges, operations }, { signal, onProgress }) => new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+
+        const finish = (callback) => {
+            clearInterval(timer);
+            signal.removeEventListener('abort', onAbort);
+            callback();
+        };
+        const onAbort = () => finish(() => reject(abortError()));
+
+        const timer = setInterval(() => {
+            const progress = ((Date.now() - startedAt) / duration) * 100;
+            if (progress < 100) {
+                onProgress(progress);
+                return;
+            }
+            finish(() => resolve({
+                path: first.path,
+                duration: findOperation(operations, 'trim') && ranges.length > 0 ? sumDurations(ranges) : first.duration
+            }));
+        }, 250);
+
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return { name: 'fake', probe, run };
+};
+
+// 'auto' falls back to the fake processor when ffmpeg cannot be run
+const createProcessor = async (config, workDir) => {
+    if (config.PROCESSOR !== 'fake') {
+        const available = await isAvailable(config.FFMPEG_PATH) && await isAvailable(config.FFPROBE_PATH);
+        if (available) {
+            return createFfmpegProcessor({ ffmpegPath: config.FFMPEG_PATH, ffprobePath: config.FFPROBE_PATH, workDir });
+        }
+        if (config.PROCESSOR === 'ffmpeg') {
+            throw new Error(`ffmpeg not found (FFMPEG_PATH=${config.FFMPEG_PATH}, FFPROBE_PATH=${config.FFPROBE_PATH})`);
+        }
+        console.warn('ffmpeg not found: falling back to fake processing');
+    }
+    return createFakeProcessor({ duration: config.FAKE_JOB_DURATION });
+};
+
+module.exports = { createProcessor, createFfmpegProcessor, createFakeProcessor };
@@ -0,0 +1,454 @@
+/**
+ * API routes — the contract logic.js calls, documented in BACKEND_INTEGRATION.md
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ApiContract = require('../contract');
+const { HttpError, sendJson, sendEmpty, readJson, createRouter } = require('./http');
+const { receiveFile } = require('./multipart');
+const { isTerminal } = require('./jobs');
+
+const TUS_VERSION = '1.0.0';
+
+const tusHeaders = (extra = {}) => ({ 'Tus-Resumable': TUS_VERSION, 'Cache-Control': 'no-store', ...extra });
+
+// "key base64value,key base64value" from Upload-Metadata
+const parseMetadata = (header) => {
+    const metadata = {};
+    (header || '').split(',').forEach((pair) => {
+        const [key, value] = pair.trim().split(' ');
+        if (key) {
+            metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+        }
+    });
+    return metadata;
+};
+
+// Saved ranges in order, else the single startTime/endTime selection, else the whole video.
+// Types are already checked by the contract; only the ordering is left.
+const readRanges = (body) => {
+    if (body.ranges.length > 0) {
+        return body.ranges.map((range, index) => {
+            if (range.end <= range.start) {
+                throw new HttpError(400, `ranges[${index}] must start before it ends`);
+            }
+            return { start: range.start, end: range.end };
+        });
+    }
+    if (typeof body.startTime === 'number' && typeof body.endTime === 'number') {
+        if (body.endTime <= body.startTime) {
+            throw new HttpError(400, 'endTime must be after startTime');
+        }
+        return [{ start: body.startTime, end: body.endTime }];
+    }
+    return [];
+};
+
+// Subtitle cues in output order; an empty list means no subtitle stream
+const readSubtitles = (body) => (body.subtitles || []).map((cue, index) => {
+    if (cue.end <= cue.start) {
+        throw new HttpError(400, `subtitles[${index}] must start before it ends`);
+    }
+    return { start: cue.start, end: cue.end, text: cue.text };
+}).sort((a, b) => a.start - b.start);
+
+// Chapters in output order; overlapping ones cannot be embedded
+const readChapters = (body) => {
+    const chapters = (body.chapters || []).map((chapter, index) => {
+        if (chapter.end <= chapter.start) {
+            throw new HttpError(400, `chapters[${index}] must start before it ends`);
+        }
+        return { start: chapter.start, end: chapter.end, title: chapter.title };
+    }).sort((a, b) => a.start - b.start);
+    if (chapters.some((chapter, index) => index > 0 && chapter.start < chapters[index - 1].end)) {
+        throw new HttpError(400, 'chapters must not overlap');
+    }
+    return chapters;
+};
+
+// Requests from before the operation picker meant trim and merge
+const LEGACY_OPERATIONS = [{ type: 'trim', params: {} }, { type: 'merge', params: {} }];
+
+// One of each type, in pipeline order whatever order they arrived in
+const readOperations = (body) => {
+    const operations = body.operations || LEGACY_OPERATIONS;
+    if (operations.length === 0) {
+        throw new HttpError(400, 'operations must not be empty');
+    }
+    const types = operations.map(operation => operation.type);
+    const duplicate = types.find((type, index) => types.indexOf(type) !== index);
+    if (duplicate) {
+        throw new HttpError(400, `Operation "${duplicate}" appears more than once`);
+    }
+    return ApiContract.OPERATION_TYPES
+        .map(type => operations.find(operation => operation.type === type))
+        .filter(Boolean)
+        .map(operation => ({ type: operation.type, params: operation.params || {} }));
+};
+
+// The byte span of a single "bytes=a-b" Range header ("bytes=a-" and the suffix form
+// "bytes=-n" included), null to send the whole file, or false when it lies outside the file.
+// Multiple ranges are answered with the whole file, which HTTP allows
+const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    return start <= end && start < size ? { start, end } : false;
+};
+
+// Videos are played straight from these files, so seeking needs byte ranges
+const streamFile = (req, res, filePath, headers) => {
+    fs.stat(filePath, (error, stats) => {
+        if (error) {
+            sendJson(res, 404, { success: false, message: 'File not found' });
+            return;
+        }
+        const range = parseRange(req.headers.range, stats.size);
+        if (range === false) {
+            sendJson(res, 416, { success: false, message: 'Requested range is outside the file' }, {
+                'Content-Range': `bytes */${stats.size}`
+            });
+            return;
+        }
+        if (range) {
+            res.writeHead(206, {
+                ...headers,
+                'Accept-Ranges': 'bytes',
+                'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+                'Content-Length': range.end - range.start + 1
+            });
+        } else {
+            res.writeHead(200, { ...headers, 'Accept-Ranges': 'bytes', 'Content-Length': stats.size });
+        }
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath, range || {}).on('error', () => res.destroy()).pipe(res);
+    });
+};
+
+// Preset fields the contract cannot cross-check
+const checkPreset = (preset) => {
+    if ((preset.width === null || preset.width === undefined) !== (preset.height === null || preset.height === undefined)) {
+        throw new HttpError(400, 'preset width and height must be set together');
+    }
+    if (preset.width && (preset.width % 2 !== 0 || preset.height % 2 !== 0)) {
+        throw new HttpError(400, 'preset width and height must be even numbers');
+    }
+    return { ...preset, width: preset.width || null, height: preset.height || null };
+};
+
+const createRoutes = ({ config, store, branches, jobs, processor }) => {
+    const router = createRouter();
+    const api = config.API_PREFIX;
+
+    // Contract keys are paths as the client names them, without the API prefix
+    const contractPath = (req) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        return pathname.startsWith(api) ? pathname.slice(api.length) : pathname;
+    };
+
+    // Bad requests are the client's fault (400); a bad response is a server bug and fails as 500
+    const accept = (req, body) => {
+        try {
+            return ApiContract.check(req.method, contractPath(req), 'request', body);
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+    };
+
+    const reply = (req, res, status, body, headers) => {
+        ApiContract.check(req.method, contractPath(req), 'response', body);
+        sendJson(res, status, body, headers);
+    };
+
+    // Probing is best effort: a missing duration never fails an upload
+    const registerVideo = async (target, { filename, type, size }) => {
+        let duration = null;
+        try {
+            duration = (await processor.probe(target.path)).duration;
+        } catch (error) {
+            console.warn(`Could not probe ${filename}:`, error.message);
+        }
+        return store.addVideo({ ...target, filename, type, size, duration });
+    };
+
+    router.add('GET', `${api}/health`, (req, res) => {
+        reply(req, res, 200, {
+            success: true,
+            status: 'ok',
+            data: { processor: processor.name, tusVersion: TUS_VERSION }
+        });
+    });
+
+    // Branches name a processing preset; the frontend lists them in its Branch select
+    router.add('GET', `${api}/branches`, (req, res) => {
+        reply(req, res, 200, { success: true, data: branches.list() });
+    });
+
+    const readBranch = async (req) => {
+        const body = accept(req, await readJson(req, config.MAX_JSON_SIZE));
+        const name = body.name.trim();
+        if (!name) {
+            throw new HttpError(400, 'name must not be blank');
+        }
+        return { name, preset: checkPreset(body.preset) };
+    };
+
+    router.add('POST', `${api}/branches`, async (req, res) => {
+        const branch = branches.create(await readBranch(req));
+        reply(req, res, 201, { success: true, data: branch });
+    });
+
+    router.add('PUT', `${api}/branches/:id`, async (req, res, { id }) => {
+        if (!branches.get(id)) {
+            throw new HttpError(404, `Branch not found: ${id}`);
+        }
+        reply(req, res, 200, { success: true, data: branches.update(id, await readBranch(req)) });
+    });
+
+    // Single-shot multipart upload (fallback when tus is not used)
+    router.add('POST', `${api}/videos/upload`, async (req, res) => {
+        const target = store.allocateVideo('');
+        const file = await receiveFile(req, { field: 'file', destination: target.path, maxSize: config.MAX_UPLOAD_SIZE });
+        const renamed = store.allocateVideo(file.filename, target.id);
+        fs.renameSync(target.path, renamed.path);
+
+        const video = await registerVideo(renamed, file);
+        reply(req, res, 200, { success: true, data: store.publicVideo(video) });
+    });
+
+    // Resumable uploads (tus 1.0.0: core, creation and termination)
+    router.add('OPTIONS', `${api}/videos/uploads`, (req, res) => {
+        sendEmpty(res, 204, tusHeaders({
+            'Tus-Version': TUS_VERSION,
+            'Tus-Extension': 'creation,termination',
+            'Tus-Max-Size': String(config.MAX_UPLOAD_SIZE)
+        }));
+    });
+
+    router.add('POST', `${api}/videos/uploads`, (req, res) => {
+        const length = Number(req.headers['upload-length']);
+        if (!Number.isInteger(length) || length < 0) {
+            throw new HttpError(400, 'Upload-Length header is required');
+        }
+        if (length > config.MAX_UPLOAD_SIZE) {
+            throw new HttpError(413, `File is larger than ${config.MAX_UPLOAD_SIZE} bytes`);
+        }
+
+        const upload = store.createUpload({ length, metadata: parseMetadata(req.headers['upload-metadata']) });
+        sendEmpty(res, 201, tusHeaders({ Location: `${api}/videos/uploads/${upload.id}` }));
+    });
+
+    const findUpload = (id) => {
+        const upload = store.getUpload(id);
+        if (!upload) {
+            throw new HttpError(404, 'Upload not found', tusHeaders());
+        }
+        return upload;
+    };
+
+    router.add('HEAD', `${api}/videos/uploads/:id`, (req, res, { id }) => {
+        const upload = findUpload(id);
+        sendEmpty(res, 200, tusHeaders({
+            'Upload-Offset': String(upload.offset),
+            'Upload-Length': String(upload.length)
+        }));
+    });
+
+    router.add('PATCH', `${api}/videos/uploads/:id`, async (req, res, { id }) => {
+        const upload = findUpload(id);
+        if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+            throw new HttpError(415, 'Content-Type must be application/offset+octet-stream', tusHeaders());
+        }
+        // A chunk still being written, or one from a stale offset, makes the client re-read the offset
+        if (upload.busy || Number(req.headers['upload-offset']) !== upload.offset) {
+            throw new HttpError(409, 'Upload-Offset does not match', tusHeaders({ 'Upload-Offset': String(upload.offset) }));
+        }
+
+        upload.busy = true;
+        try {
+            await new Promise((resolve, reject) => {
+                const out = fs.createWriteStream(upload.path, { flags: 'a' });
+                let written = 0;
+                let overflow = false;
+                let closed = false;
+
+                req.on('data', (chunk) => {
+                    const room = upload.length - upload.offset - written;
+                    if (chunk.length > room) {
+                        overflow = true;
+                        chunk = chunk.subarray(0, Math.max(0, room));
+                    }
+                    written += chunk.length;
+                    if (!out.write(chunk)) {
+                        req.pause();
+                        out.once('drain', () => req.resume());
+                    }
+                });
+
+                // An interrupted chunk keeps what arrived; the client resumes from there
+                const close = () => {
+                    if (closed) return;
+                    closed = true;
+                    out.end(finish);
+                };
+                const finish = () => {
+                    upload.offset += written;
+                    if (overflow) {
+                        reject(new HttpError(400, 'Chunk goes past Upload-Length', tusHeaders()));
+                    } else {
+                        resolve();
+                    }
+                };
+                req.on('end', close);
+                req.on('aborted', close);
+                out.on('error', reject);
+            });
+        } finally {
+            upload.busy = false;
+        }
+
+        const headers = tusHeaders({ 'Upload-Offset': String(upload.offset) });
+        if (upload.offset < upload.length) {
+            sendEmpty(res, 204, headers);
+            return;
+        }
+
+        // The last chunk answers with the video record, like the single-shot upload
+        const { filename = 'video', filetype = 'application/octet-stream' } = upload.metadata;
+        const video = await registerVideo(store.finishUpload(upload), { filename, type: filetype, size: upload.length });
+        upload.video = video;
+        reply(req, res, 200, { success: true, data: store.publicVideo(video) }, headers);
+    });
+
+    router.add('GET', `${api}/videos/uploads/:id`, (req, res, { id }) => {
+        const upload = findUpload(id);
+        if (!upload.video) {
+            throw new HttpError(409, 'Upload is not complete', tusHeaders({ 'Upload-Offset': String(upload.offset) }));
+        }
+        reply(req, res, 200, { success: true, data: store.publicVideo(upload.video) }, tusHeaders());
+    });
+
+    router.add('DELETE', `${api}/videos/uploads/:id`, (req, res, { id }) => {
+        const upload = findUpload(id);
+        if (!upload.video) {
+            store.removeUpload(upload);
+        }
+        sendEmpty(res, 204, tusHeaders());
+    });
+
+    // Processing runs as a job; the response only carries its id
+    router.add('POST', `${api}/videos/process`, async (req, res) => {
+        const body = accept(req, await readJson(req, config.MAX_JSON_SIZE));
+        const operations = readOperations(body);
+        const merging = operations.some(operation => operation.type === 'merge');
+        if (merging && !body.secondVideoId) {
+            throw new HttpError(400, 'merge needs secondVideoId');
+        }
+
+        const first = store.getVideo(body.firstVideoId);
+        const second = merging ? store.getVideo(body.secondVideoId) : null;
+        if (!first || (merging && !second)) {
+            throw new HttpError(404, `Video not found: ${!first ? body.firstVideoId : body.secondVideoId}`);
+        }
+        const ranges = readRanges(body);
+        const subtitles = readSubtitles(body);
+        const chapters = readChapters(body);
+
+        // The client sends the preset it showed the user; older clients only name the branch
+        const branch = branches.get(body.branch);
+        if (!body.preset && !branch) {
+            throw new HttpError(400, `Unknown branch: ${body.branch}`);
+        }
+        const preset = checkPreset(body.preset || branch.preset);
+
+        const job = jobs.submit(async ({ signal, onProgress }) => {
+            const target = store.allocateResult(preset.format);
+            const output = await processor.run({ first, second, ranges, operations, preset, subtitles, chapters, output: target.path }, { signal, onProgress });
+            const result = store.addResult({ id: target.id, path: output.path, duration: output.duration, type: output.type });
+            return store.publicResult(result);
+        });
+
+        reply(req, res, 202, { success: true, data: { jobId: job.id, status: job.status } });
+    });
+
+    const findJob = (id) => {
+        const job = jobs.get(id);
+        if (!job) {
+            throw new HttpError(404, 'Job not found');
+        }
+        return job;
+    };
+
+    router.add('GET', `${api}/jobs/:id`, (req, res, { id }) => {
+        reply(req, res, 200, { success: true, data: findJob(id) });
+    });
+
+    router.add('DELETE', `${api}/jobs/:id`, (req, res, { id }) => {
+        findJob(id);
+        reply(req, res, 200, { success: true, data: jobs.cancel(id) });
+    });
+
+    // Server-Sent Events: the current job first, then every change until it finishes
+    router.add('GET', `${api}/jobs/:id/events`, (req, res, { id }) => {
+        const job = findJob(id);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+
+        const send = (update) => {
+            ApiContract.check('GET', contractPath(req), 'message', update);
+            res.write(`data: ${JSON.stringify(update)}\n\n`);
+            if (isTerminal(update)) {
+                close();
+                res.end();
+            }
+        };
+
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), config.SSE_KEEPALIVE);
+        const unsubscribe = jobs.subscribe(id, send);
+        const close = () => {
+            clearInterval(keepAlive);
+            unsubscribe();
+        };
+        req.on('close', close);
+        send(job);
+    });
+
+    router.add('GET', `${api}/videos/download/:id`, (req, res, { id }) => {
+        const result = store.getResult(id);
+        if (!result) {
+            throw new HttpError(404, 'Processed video not found');
+        }
+        streamFile(req, res, result.path, {
+            'Content-Type': result.type,
+            'Content-Disposition': `attachment; filename="processed_${result.id}${path.extname(result.path) || '.mp4'}"`
+        });
+    });
+
+    // Uploaded originals, at the url each video record carries
+    router.add('GET', '/uploads/:name', (req, res, { name }) => {
+        const video = store.findVideoByStoredName(name);
+        if (!video) {
+            throw new HttpError(404, 'Video not found');
+        }
+        streamFile(req, res, video.path, { 'Content-Type': video.type });
+    });
+
+    return router;
+};
+
+module.exports = { createRoutes };
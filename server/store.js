@@ -0,0 +1,124 @@
+/**
+ * Uploaded videos, resumable uploads in progress and processed results
+ * Records live in memory; files live under DATA_DIR. A restart forgets the
+ * records, and clients then simply upload again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const createId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+
+// Keep a known video extension; anything else is stored without one
+const safeExtension = (filename) => {
+    const extension = path.extname(filename || '').toLowerCase();
+    return /^\.[a-z0-9]{1,5}$/.test(extension) ? extension : '';
+};
+
+const createStore = ({ dataDir }) => {
+    const dirs = {
+        uploads: path.join(dataDir, 'uploads'),
+        partial: path.join(dataDir, 'partial'),
+        processed: path.join(dataDir, 'processed'),
+        work: path.join(dataDir, 'work')
+    };
+    Object.values(dirs).forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+
+    const videos = new Map();
+    const uploads = new Map();
+    const results = new Map();
+
+    // A new video's id and the path it should be written to
+    const allocateVideo = (filename, id = createId('video')) => {
+        const storedName = `${id}${safeExtension(filename)}`;
+        return { id, storedName, path: path.join(dirs.uploads, storedName) };
+    };
+
+    const addVideo = ({ id, storedName, path: filePath, filename, type, size, duration = null }) => {
+        const video = { id, storedName, path: filePath, filename, type, size, duration };
+        videos.set(id, video);
+        return video;
+    };
+
+    const getVideo = id => videos.get(id) || null;
+
+    const findVideoByStoredName = storedName => [...videos.values()].find(video => video.storedName === storedName) || null;
+
+    // The record the frontend keeps; server paths stay private
+    const publicVideo = video => ({
+        id: video.id,
+        filename: video.filename,
+        size: video.size,
+        duration: video.duration,
+        url: `/uploads/${video.storedName}`
+    });
+
+    const createUpload = ({ length, metadata }) => {
+        const id = createId('upload');
+        const upload = {
+            id,
+            length,
+            offset: 0,
+            metadata,
+            path: path.join(dirs.partial, id),
+            busy: false,
+            video: null
+        };
+        fs.writeFileSync(upload.path, '');
+        uploads.set(id, upload);
+        return upload;
+    };
+
+    const getUpload = id => uploads.get(id) || null;
+
+    // Move a finished upload into place; the video record is created by the caller
+    const finishUpload = (upload) => {
+        const target = allocateVideo(upload.metadata.filename);
+        fs.renameSync(upload.path, target.path);
+        return target;
+    };
+
+    const removeUpload = (upload) => {
+        uploads.delete(upload.id);
+        fs.rm(upload.path, { force: true }, () => {});
+    };
+
+    const allocateResult = (format = 'mp4') => {
+        const id = createId('output');
+        return { id, path: path.join(dirs.processed, `${id}.${format}`) };
+    };
+
+    const addResult = ({ id, path: filePath, duration, type = 'video/mp4' }) => {
+        const result = { id, path: filePath, duration, type };
+        results.set(id, result);
+        return result;
+    };
+
+    const getResult = id => results.get(id) || null;
+
+    const publicResult = result => ({
+        id: result.id,
+        processedUrl: `/api/videos/download/${encodeURIComponent(result.id)}`,
+        duration: result.duration
+    });
+
+    return {
+        workDir: dirs.work,
+        allocateVideo,
+        addVideo,
+        getVideo,
+        findVideoByStoredName,
+        publicVideo,
+        createUpload,
+        getUpload,
+        finishUpload,
+        removeUpload,
+        allocateResult,
+        addResult,
+        getResult,
+        publicResult
+    };
+};
+
+module.exports = { createStore };